@@ -21,6 +21,18 @@ if (process.env.NODE_ENV === 'production') {
 // MongoDB database instance
 const { db } = require('./lib/db-mongodb')
 const { AuthService } = require('./lib/auth')
+const { CachePolicy } = require('./lib/cache-policy')
+const { TraktClient } = require('./lib/trakt-client')
+const { CatalogService } = require('./lib/catalog-service')
+const { CacheWarmup } = require('./lib/cache-warmup')
+const { RoleService, requirePermission } = require('./lib/role-service')
+const { AuthMiddleware, requireAuth, optionalAuth } = require('./lib/auth-middleware')
+const { LoginProtectionService } = require('./lib/login-protection-service')
+const { rateLimit } = require('./lib/rate-limiter')
+const { OAuthService } = require('./lib/oauth-service')
+const { PasswordPolicy } = require('./lib/password-policy')
+const { CommentService } = require('./lib/comment-service')
+const { ModerationService } = require('./lib/moderation-service')
 // const { activityMiddleware } = require('./lib/activity-middleware') // Temporarily disabled
 
 // Initialize database connection
@@ -32,16 +44,23 @@ async function initializeDatabase() {
     console.log('[app] Database initialized successfully')
     // Create activity indexes for optimal performance
     await db.createActivityIndexes()
+    // TTL index that expires Trakt cache entries
+    await db.createCacheIndexes()
+    await db.createCatalogIndexes()
+    await db.createUserIndexes()
+    await db.createEmailChangeIndexes()
+    await db.createCommentIndexes()
+    await db.createWatchHistoryIndexes()
+    await db.createModerationIndexes()
+    await db.createSessionIndexes()
+    await db.createLoginAttemptIndexes()
+    await db.createRateLimitIndexes()
+    await db.createOAuthIndexes()
   } else {
     console.log('[app] Database not available - running in limited mode')
   }
 }
 
-// Trakt config (server env)
-const BASE_URL = (process.env.TRAKT_BASE_URL || "https://api.trakt.tv").replace(/\/+$/, "")
-const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID
-const TRAKT_API_VERSION = process.env.TRAKT_API_VERSION || "2"
-
 async function insertApiLog({ method, path, query, body, ip }) {
   if (!db.isConfigured()) return
   await db.insertApiLog({ method, path, query, body, ip })
@@ -58,7 +77,8 @@ app.use(express.urlencoded({ extended: true }))
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization'],
+  exposedHeaders: ['x-cache', 'x-search-source', 'X-Pagination-Page', 'X-Pagination-Limit', 'X-Pagination-Page-Count', 'X-Pagination-Item-Count', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }))
 
 // Global CORS headers middleware
@@ -74,6 +94,9 @@ app.use((req, res, next) => {
   next()
 })
 
+// Per route group request quotas (see lib/rate-limiter.js)
+app.use(rateLimit)
+
 // Activity tracking middleware temporarily disabled due to performance issues
 // app.use(activityMiddleware)
 
@@ -95,6 +118,11 @@ app.get("/", (req, res) => {
     database: {
       connected: db.isConnected
     },
+    proxy: {
+      ...proxyMetrics,
+      inFlight: inFlightFetches.size,
+      upstream: TraktClient.stats
+    },
     memory: process.memoryUsage(),
     cpu: process.cpuUsage()
   })
@@ -109,151 +137,195 @@ app.all("/api/trakt/*", async (req, res) => {
   const ip = req.ip
 
   try {
-    if (!TRAKT_CLIENT_ID) {
+    if (!TraktClient.isConfigured()) {
       return res.status(500).json({ error: "TRAKT_CLIENT_ID not configured" })
     }
 
-    const targetUrl = `${BASE_URL}${path}${Object.keys(query).length ? '?' + new URLSearchParams(query).toString() : ''}`
-
-    const headers = {
-      "Content-Type": "application/json",
-      "trakt-api-key": TRAKT_CLIENT_ID,
-      "trakt-api-version": TRAKT_API_VERSION
-    }
-
-    const response = await fetch(targetUrl, {
-      method,
-      headers,
-      body: method !== "GET" ? JSON.stringify(body) : undefined
-    })
+    const response = await TraktClient.request(path, { method, query, body })
 
     // Log API request asynchronously
     insertApiLog({ method, path, query: JSON.stringify(query), body: JSON.stringify(body), ip }).catch(e => console.error("Log insert failed:", e))
 
-    const data = await response.json()
+    // Trakt sends empty bodies for some responses (e.g. 204 or 404)
+    const text = await response.text()
+    const data = text ? JSON.parse(text) : null
+
+    if (method === "GET" && response.ok && data !== null) {
+      saveIndividualItemsFromResponse(data, path, query)
+    }
 
     res.status(response.status)
     res.set("x-proxied-by", "trakt-proxy")
+    if (data === null) return res.end()
     res.json(data)
   } catch (e) {
+    if (e.code === 'TRAKT_RATE_LIMITED') return sendTraktRateLimited(res, e)
+
     console.error("Proxy error:", e)
     res.status(502).json({ error: "Upstream request failed", detail: e && e.message ? e.message : String(e) })
   }
 })
 
-// Function to save individual movies/shows from trending/popular responses
-async function saveIndividualItemsFromResponse(data, path) {
-  try {
-    const isMovie = path.includes('/movies/')
-    const isShow = path.includes('/shows/')
+// Respond when the Trakt request budget is exhausted and nothing is cached
+function sendTraktRateLimited(res, error) {
+  res.set("Retry-After", String(error.retryAfter))
+  return res.status(429).json({ error: "Trakt rate limit reached", retryAfter: error.retryAfter })
+}
 
-    if (!isMovie && !isShow) return
+// Respond when login or password reset attempts are locked out
+function sendTooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter))
+  return res.status(429).json({
+    success: false,
+    message: 'Too many failed attempts. Try again later.',
+    retryAfter
+  })
+}
 
-    // Handle array responses (like trending/popular lists)
-    if (Array.isArray(data)) {
-      for (const item of data) {
-        if (isMovie && item.movie) {
-          await cacheMovieItem(item.movie)
-        } else if (isShow && item.show) {
-          await cacheShowItem(item.show)
-        }
-      }
-    }
-    // Handle responses with numeric keys (like { "0": { "title": "Deadpool", "year": 2016 } })
-    else if (typeof data === 'object' && data !== null) {
-      for (const key in data) {
-        if (key.match(/^\d+$/)) { // Check if key is numeric
-          const item = data[key]
-          // Check if this item has movie/show specific fields to determine type
-          const hasMovieFields = item && (item.title || item.year || item.released)
-          const hasShowFields = item && (item.first_aired || item.seasons || item.episode_count)
-
-          if (isMovie && hasMovieFields) {
-            await cacheMovieItem(item)
-          } else if (isShow && hasShowFields) {
-            await cacheShowItem(item)
-          }
-          // If path contains both movies and shows, determine by content
-          else if (hasMovieFields && item.movie) {
-            await cacheMovieItem(item)
-          } else if (hasShowFields && item.show) {
-            await cacheShowItem(item)
-          }
-          // Fallback: check path context
-          else if (isMovie && item) {
-            await cacheMovieItem(item)
-          } else if (isShow && item) {
-            await cacheShowItem(item)
-          }
-        }
-      }
-    }
-    // Handle single movie/show responses
-    else if (isMovie && data.movie) {
-      await cacheMovieItem(data.movie)
-    } else if (isShow && data.show) {
-      await cacheShowItem(data.show)
-    }
+// Upsert every movie, show, season, episode and person in a Trakt response
+// into the catalog collections, noting whether the query asked for images
+async function saveIndividualItemsFromResponse(data, path, query = {}) {
+  try {
+    const hasImages = String(query.extended || '').split(',').includes('images')
+    await CatalogService.saveFromResponse(data, path, { hasImages })
   } catch (error) {
     console.error('Error saving individual items from response:', error)
   }
 }
 
-// Function to cache individual movie item
-async function cacheMovieItem(item) {
-  try {
-    // Handle both direct movie objects and nested movie objects
-    const movie = item.movie || item
+// Write a Trakt payload to the cache using the TTL policy for its path.
+// 404s are cached briefly so repeated lookups of missing items stay local.
+// Responses made of catalog entities only store references to them, so the
+// catalog has to be written first.
+async function writeCacheEntry(cacheKey, path, data, { status = 200, headers = {} } = {}) {
+  const notFound = status === 404
+  const refs = notFound ? null : CatalogService.toReferences(data, path)
+  const payload = refs
+    ? null
+    : data && typeof data === 'object'
+      ? { ...data, _hasImages: data.images || (data.movie && data.movie.images) ? true : false, _cacheStatus: "HIT" }
+      : data
+
+  // Store data directly without wrapper to avoid confusion
+  await db.cacheResponse(cacheKey, payload, {
+    ttl: notFound ? CachePolicy.notFoundTtl : CachePolicy.getTtl(path),
+    staleTtl: notFound ? 0 : CachePolicy.staleTtl,
+    status,
+    headers,
+    refs
+  })
+}
 
-    if (!movie || !movie.ids || !movie.ids.trakt) return
+// Extract the response (status, pagination headers and payload) from a cache
+// document. Returns null if the catalog entries it references are gone.
+async function readCachedPayload(cached) {
+  if (cached.refs) {
+    const rebuilt = await CatalogService.fromReferences(cached.refs)
+    if (rebuilt === null) return null
 
-    const movieId = movie.ids.trakt.toString()
-    const cacheKey = `trakt-movies-${movieId}`
+    return { status: cached.status || 200, headers: cached.headers || {}, data: rebuilt.data, hasImages: rebuilt.hasImages }
+  }
 
-    // Check if already cached
-    const existing = await db.getCachedResponse(cacheKey)
-    if (existing) return
+  let data
 
-    // Cache the movie data
-    await db.cacheResponse(cacheKey, {
-      ...movie,
-      _hasImages: movie.images ? true : false,
-      _cacheStatus: "HIT",
-      _source: "trending-popular"
-    })
+  // Handle both old format (with .data wrapper) and new format (direct)
+  if (cached.data && cached.data.data) {
+    // Old format with double nested .data
+    data = cached.data.data
+  } else if (cached.data || cached.status) {
+    // Old format with single .data wrapper
+    data = cached.data
+  } else {
+    // New format (direct data)
+    data = cached
+  }
 
-    console.log(`Cached movie from trending/popular: ${movie.title} (${movieId})`)
-  } catch (error) {
-    console.error('Error caching movie item:', error)
+  // Determine if images are available (for both old and new formats)
+  const hasImages = cached._hasImages !== undefined ? cached._hasImages :
+                    (cached.data && cached.data.hasImages !== undefined ? cached.data.hasImages : false)
+
+  // Remove internal cache properties before returning
+  if (data && data._hasImages !== undefined) delete data._hasImages
+  if (data && data._cacheStatus !== undefined) delete data._cacheStatus
+
+  return { status: cached.status || 200, headers: cached.headers || {}, data, hasImages }
+}
+
+// Fetch a Trakt path and refresh its cache entry. Shared by cache misses and
+// background revalidation so both go through the same write path.
+async function fetchAndCache({ method = "GET", path, query, body, cacheKey }) {
+  const response = await TraktClient.request(path, { method, query, body })
+
+  // Treat upstream outages and rate limiting as failures so callers can fall
+  // back to the cache
+  if (response.status === 429) {
+    throw TraktClient.rateLimitError(TraktClient.getRetryAfterMs(response))
+  }
+  if (response.status >= 500) {
+    throw new Error(`Trakt responded with status ${response.status}`)
+  }
+
+  // Trakt sends empty bodies for some errors (e.g. 404)
+  const text = await response.text()
+  const data = text ? JSON.parse(text) : null
+  const result = {
+    status: response.status,
+    headers: TraktClient.getPaginationHeaders(response),
+    data
+  }
+
+  // Only successful GET responses replace the last good payload
+  if (method === "GET" && response.ok) {
+    await saveIndividualItemsFromResponse(data, path, query)
+    await writeCacheEntry(cacheKey, path, data, result)
+  } else if (method === "GET" && response.status === 404) {
+    await writeCacheEntry(cacheKey, path, data, result)
   }
+
+  return result
 }
 
-// Function to cache individual show item
-async function cacheShowItem(item) {
-  try {
-    // Handle both direct show objects and nested show objects
-    const show = item.show || item
+// Upstream GET fetches currently in flight, keyed by cache key
+const inFlightFetches = new Map()
+
+// Proxy counters reported by the health check
+const proxyMetrics = {
+  upstreamFetches: 0,
+  coalescedRequests: 0
+}
 
-    if (!show || !show.ids || !show.ids.trakt) return
+// Concurrent GETs for the same cache key share a single upstream promise
+function fetchAndCacheOnce(options) {
+  const pending = inFlightFetches.get(options.cacheKey)
+  if (pending) {
+    proxyMetrics.coalescedRequests++
+    return pending
+  }
 
-    const showId = show.ids.trakt.toString()
-    const cacheKey = `trakt-shows-${showId}`
+  proxyMetrics.upstreamFetches++
+  const promise = fetchAndCache(options).finally(() => inFlightFetches.delete(options.cacheKey))
+  inFlightFetches.set(options.cacheKey, promise)
+  return promise
+}
 
-    // Check if already cached
-    const existing = await db.getCachedResponse(cacheKey)
-    if (existing) return
+// Refresh a stale cache entry without blocking the response
+function revalidateInBackground(options) {
+  if (inFlightFetches.has(options.cacheKey)) return
 
-    // Cache the show data
-    await db.cacheResponse(cacheKey, {
-      ...show,
-      _hasImages: show.images ? true : false,
-      _cacheStatus: "HIT",
-      _source: "trending-popular"
-    })
+  fetchAndCacheOnce(options)
+    .catch(e => console.error(`[Proxy] Background refresh failed for ${options.cacheKey}:`, e.message))
+}
 
-    console.log(`Cached show from trending/popular: ${show.title} (${showId})`)
-  } catch (error) {
-    console.error('Error caching show item:', error)
+// Upstream request and cache key for a /api/trakt-new/* request. The cache
+// warm-up job uses this too so it fills the same entries visitors read.
+function buildProxyFetchOptions({ method = "GET", path, query = {}, body }) {
+  return {
+    method,
+    path,
+    // Override query parameters to always include extended=full,images
+    query: { ...query, extended: 'full,images' },
+    body,
+    cacheKey: CachePolicy.getCacheKey(path, query)
   }
 }
 
@@ -266,21 +338,17 @@ app.all("/api/trakt-new/*", async (req, res) => {
   const ip = req.ip
 
   try {
-    if (!TRAKT_CLIENT_ID) {
+    if (!TraktClient.isConfigured()) {
       return res.status(500).json({ error: "TRAKT_CLIENT_ID not configured" })
     }
 
-    // Override query parameters to always include extended=full,images
-    const overriddenQuery = { ...query, extended: 'full,images' }
-    const targetUrl = `${BASE_URL}${path}${Object.keys(overriddenQuery).length ? '?' + new URLSearchParams(overriddenQuery).toString() : ''}`
-    console.log(`[Proxy] ${method} ${targetUrl}`);
-    const headers = {
-      "Content-Type": "application/json",
-      "trakt-api-key": TRAKT_CLIENT_ID,
-      "trakt-api-version": TRAKT_API_VERSION
-    }
+    const fetchOptions = buildProxyFetchOptions({ method, path, query, body })
+    const { cacheKey } = fetchOptions
+    console.log(`[Proxy] ${method} ${TraktClient.buildUrl(path, fetchOptions.query)}`);
 
-    let data, cacheStatus = "MISS"
+    let result, cacheStatus = "MISS"
+    // Expired entry kept as a fallback for when the upstream fetch fails
+    let staleEntry = null
 
     // Check cache for GET requests to specific endpoints
     if (method === "GET" && [
@@ -288,39 +356,36 @@ app.all("/api/trakt-new/*", async (req, res) => {
       "/shows/trending/", "/movies/popular/", "/shows/popular/"
     ].some(p => path.startsWith(p))) {
 
-      const cacheKey = path + JSON.stringify(query)
-      const cached = await db.getCachedResponse(cacheKey)
-
-      if (cached) {
-        // Handle both old format (with .data wrapper) and new format (direct)
-        if (cached.data && cached.data.data) {
-          // Old format with double nested .data
-          data = cached.data.data
-          cacheStatus = "HIT"
-        } else if (cached.data) {
-          // Old format with single .data wrapper
-          data = cached.data
-          cacheStatus = "HIT"
-        } else {
-          // New format (direct data)
-          data = cached
-          cacheStatus = cached._cacheStatus || "HIT"
-          
-          // Remove internal cache properties before returning
-          if (data._hasImages !== undefined) delete data._hasImages
-          if (data._cacheStatus !== undefined) delete data._cacheStatus
+      const cached = await db.getCachedResponse(cacheKey, { allowStale: true })
+      const isStale = cached && !(cached.expiresAt > new Date())
+
+      if (cached && isStale && !CachePolicy.staleWhileRevalidate) {
+        staleEntry = cached
+      } else if (cached) {
+        result = await readCachedPayload(cached)
+
+        // Catalog entries first saved without images are refetched with them,
+        // which also fills in the images on the catalog entries. The entry
+        // still serves as the fallback if that fetch fails.
+        if (result && cached.refs && !result.hasImages) {
+          staleEntry = cached
+          result = null
         }
+      }
 
-        // Determine if images are available (for both old and new formats)
-        const hasImages = cached._hasImages !== undefined ? cached._hasImages :
-                          (cached.data && cached.data.hasImages !== undefined ? cached.data.hasImages : false)
+      if (result) {
+        cacheStatus = isStale ? "STALE" : "HIT"
+
+        if (isStale) {
+          revalidateInBackground(fetchOptions)
+        }
 
         // If images are missing, fetch them separately
-        if (!hasImages && path.startsWith("/movies/")) {
+        if (!result.hasImages && result.status === 200 && path.startsWith("/movies/")) {
           try {
-            const imagesUrl = `${BASE_URL}${path}?extended=full,images`
-            const imagesResponse = await fetch(imagesUrl, { headers })
+            const imagesResponse = await TraktClient.request(path, { query: { extended: 'full,images' } })
             const imagesData = await imagesResponse.json()
+            const data = result.data
 
             if (imagesData.movie && imagesData.movie.images) {
               data.movie = { ...data.movie, images: imagesData.movie.images }
@@ -334,40 +399,215 @@ app.all("/api/trakt-new/*", async (req, res) => {
       }
     }
 
-    if (!data) {
-      // Fetch data from Trakt API
-      const response = await fetch(targetUrl, {
-        method,
-        headers,
-        body: method !== "GET" ? JSON.stringify(body) : undefined
-      })
-
-      data = await response.json()
+    if (!result) {
+      try {
+        result = method === "GET" ? await fetchAndCacheOnce(fetchOptions) : await fetchAndCache(fetchOptions)
+      } catch (e) {
+        if (!staleEntry) throw e
 
-      // Cache the response for GET requests
-      if (method === "GET") {
-        const cacheKey = path + JSON.stringify(query)
-        const hasImages = data.movie && data.movie.images
-        // Store data directly without wrapper to avoid confusion
-        await db.cacheResponse(cacheKey, { ...data, _hasImages: hasImages, _cacheStatus: "HIT" })
+        // Upstream failed - fall back to the last good payload
+        result = await readCachedPayload(staleEntry)
+        if (!result) throw e
 
-        // Save individual movies/shows from trending/popular responses
-        if (path.includes('/trending') || path.includes('/popular')) {
-          await saveIndividualItemsFromResponse(data, path)
-        }
+        console.error(`[Proxy] Upstream failed, serving stale ${cacheKey}:`, e.message)
+        cacheStatus = "STALE"
       }
     }
 
-    res.status(200)
+    if (method === "GET") {
+      db.recordCacheOutcome(CachePolicy.getGroup(path), cacheStatus).catch(e => console.error("Cache stats update failed:", e))
+    }
+
+    res.status(result.status)
     res.set("x-proxied-by", "trakt-proxy")
     res.set("x-cache", cacheStatus)
-    res.json(data)
+    res.set(result.headers)
+    if (result.data === null) return res.end()
+    res.json(result.data)
   } catch (e) {
+    if (e.code === 'TRAKT_RATE_LIMITED') return sendTraktRateLimited(res, e)
+
     console.error("Proxy error:", e)
     res.status(502).json({ error: "Upstream request failed", detail: e && e.message ? e.message : String(e) })
   }
 })
 
+// Status of the cache warm-up job
+app.get("/api/cache/warmup", requirePermission(RoleService.PERMISSIONS.CACHE_MANAGE), (req, res) => {
+  res.status(200).json(CacheWarmup.getStatus())
+})
+
+// Build the key filter for the cache admin endpoints from ?prefix= or ?regex=
+function getCacheKeyPattern(query) {
+  if (query.prefix) {
+    return '^' + String(query.prefix).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  }
+  if (query.regex) {
+    // Throws on an invalid expression
+    return new RegExp(String(query.regex)).source
+  }
+  return null
+}
+
+// List cache entries with their size and age
+app.get("/api/cache/entries", requirePermission(RoleService.PERMISSIONS.CACHE_MANAGE), async (req, res) => {
+  try {
+    let keyPattern
+    try {
+      keyPattern = getCacheKeyPattern(req.query)
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid regex: ${e.message}` })
+    }
+
+    const { limit, skip } = parseQueryParams(req.query)
+    const { entries, total } = await db.listCacheEntries(keyPattern, limit, skip)
+    const now = Date.now()
+
+    return res.status(200).json({
+      total,
+      entries: entries.map(entry => ({
+        ...entry,
+        ageSeconds: entry.createdAt ? Math.round((now - entry.createdAt.getTime()) / 1000) : null,
+        isStale: !(entry.expiresAt > new Date(now))
+      }))
+    })
+  } catch (error) {
+    console.error('List cache entries error:', error)
+    return res.status(500).json({ error: error.message || 'Failed to list cache entries' })
+  }
+})
+
+// Purge cache entries by key prefix or regex
+app.delete("/api/cache/entries", requirePermission(RoleService.PERMISSIONS.CACHE_MANAGE), async (req, res) => {
+  try {
+    let keyPattern
+    try {
+      keyPattern = getCacheKeyPattern(req.query)
+    } catch (e) {
+      return res.status(400).json({ error: `Invalid regex: ${e.message}` })
+    }
+
+    if (!keyPattern) {
+      return res.status(400).json({ error: 'Either prefix or regex is required' })
+    }
+
+    const deleted = await db.purgeCacheEntries(keyPattern)
+    console.log(`[Cache] ${req.user.email} purged ${deleted} entries matching ${keyPattern}`)
+
+    const { ActivityService } = require('./lib/activity-service')
+    await ActivityService.logActivity({
+      userId: req.user._id,
+      activityType: ActivityService.ACTIVITY_TYPES.CACHE_PURGE,
+      resourceType: ActivityService.RESOURCE_TYPES.CACHE,
+      metadata: { keyPattern, deleted },
+      req
+    })
+
+    return res.status(200).json({ deleted })
+  } catch (error) {
+    console.error('Purge cache error:', error)
+    return res.status(500).json({ error: error.message || 'Failed to purge cache' })
+  }
+})
+
+// Refetch a proxy cache entry from Trakt now
+app.post("/api/cache/refresh", requirePermission(RoleService.PERMISSIONS.CACHE_MANAGE), async (req, res) => {
+  try {
+    const { key } = req.body
+    if (!key) {
+      return res.status(400).json({ error: 'key is required' })
+    }
+
+    const request = CachePolicy.parseCacheKey(String(key))
+    if (!request) {
+      return res.status(400).json({ error: 'key is not a /api/trakt-new cache key' })
+    }
+
+    const fetchOptions = buildProxyFetchOptions(request)
+    const result = await fetchAndCacheOnce(fetchOptions)
+    const cached = await db.getCachedResponse(fetchOptions.cacheKey, { allowStale: true })
+
+    return res.status(200).json({
+      key: fetchOptions.cacheKey,
+      upstreamStatus: result.status,
+      expiresAt: cached ? cached.expiresAt : null
+    })
+  } catch (error) {
+    if (error.code === 'TRAKT_RATE_LIMITED') return sendTraktRateLimited(res, error)
+
+    console.error('Refresh cache entry error:', error)
+    return res.status(502).json({ error: 'Upstream request failed', detail: error.message })
+  }
+})
+
+// Hit/miss/stale ratios of /api/trakt-new/* GETs, per cache-policy rule
+app.get("/api/cache/stats", requirePermission(RoleService.PERMISSIONS.CACHE_MANAGE), async (req, res) => {
+  try {
+    const hours = Math.max(1, Math.min(30 * 24, Number(req.query.hours) || 24))
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000)
+    since.setUTCMinutes(0, 0, 0)
+
+    const withRatios = (counts) => {
+      const total = counts.hit + counts.miss + counts.stale
+      return {
+        ...counts,
+        total,
+        hitRatio: total ? counts.hit / total : 0,
+        missRatio: total ? counts.miss / total : 0,
+        staleRatio: total ? counts.stale / total : 0
+      }
+    }
+
+    const groups = await db.getCacheStats(since)
+    const overall = groups.reduce((sum, group) => ({
+      hit: sum.hit + group.hit,
+      miss: sum.miss + group.miss,
+      stale: sum.stale + group.stale
+    }), { hit: 0, miss: 0, stale: 0 })
+
+    return res.status(200).json({
+      since,
+      hours,
+      overall: withRatios(overall),
+      groups: groups.map(({ _id, ...counts }) => ({ group: _id, ...withRatios(counts) }))
+    })
+  } catch (error) {
+    console.error('Cache stats error:', error)
+    return res.status(500).json({ error: error.message || 'Failed to get cache stats' })
+  }
+})
+
+// Search the local movie/show catalog, falling back to Trakt for thin results
+app.get("/api/catalog/search", async (req, res) => {
+  try {
+    const { query, type, years, genres, runtimes, certifications, min_rating } = req.query
+    const { limit, skip } = parseQueryParams(req.query)
+
+    const types = type ? String(type).split(',') : ['movie', 'show']
+    if (types.some(t => t !== 'movie' && t !== 'show')) {
+      return res.status(400).json({ error: 'type must be movie, show or movie,show' })
+    }
+
+    const { source, results } = await CatalogService.search({
+      query: query ? String(query).trim() : '',
+      types,
+      filters: { years, genres, runtimes, certifications, minRating: min_rating },
+      limit,
+      skip
+    })
+
+    res.set("x-search-source", source)
+    return res.status(200).json(results)
+  } catch (error) {
+    if (error.code === 'INVALID_SEARCH_FILTER') {
+      return res.status(400).json({ error: error.message })
+    }
+
+    console.error('Catalog search error:', error)
+    return res.status(500).json({ error: error.message || 'Failed to search catalog' })
+  }
+})
+
 // User Authentication endpoints with email verification
 app.post("/api/auth/register", async (req, res) => {
   try {
@@ -379,7 +619,7 @@ app.post("/api/auth/register", async (req, res) => {
       await db.connect();
     }
 
-    const { email, username, password, firstName, lastName, bio, avatar, preferences } = req.body;
+    const { email, username, password, firstName, lastName, bio, avatar, preferences, inviteCode } = req.body;
 
     // Register user with email verification
     const user = await UserService.registerUser({
@@ -390,7 +630,8 @@ app.post("/api/auth/register", async (req, res) => {
       lastName,
       bio,
       avatar,
-      preferences
+      preferences,
+      inviteCode
     });
 
     return res.status(201).json({
@@ -422,8 +663,36 @@ app.post("/api/auth/login", async (req, res) => {
 
     const { email, password } = req.body;
 
+    const attempt = await LoginProtectionService.checkAttempt('login', { ip: req.ip, account: email });
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt.retryAfter);
+    }
+
     // Login user
-    const { user, session } = await UserService.loginUser(email, password);
+    let result;
+    try {
+      result = await UserService.loginUser(email, password, AuthService.getClientInfo(req));
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        await LoginProtectionService.recordFailure('login', { ip: req.ip, account: email }, req);
+      }
+      throw error;
+    }
+
+    // With two-factor authentication the counter is only cleared once the
+    // second factor is correct as well
+    if (result.twoFactorRequired) {
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: result.challengeToken,
+        expiresIn: result.expiresIn
+      });
+    }
+
+    const { user, session } = result;
+    await LoginProtectionService.recordSuccess('login', { account: email });
 
     // Log activity using the simple activity logger
     const { activityLogger } = require('./lib/activity-logger');
@@ -467,9 +736,21 @@ app.get("/api/auth/verify-email", async (req, res) => {
     // Verify email
     const user = await UserService.verifyEmail(token);
 
+    if (user.emailChanged) {
+      const { ActivityService } = require('./lib/activity-service');
+      await ActivityService.logActivity({
+        userId: user._id,
+        activityType: ActivityService.ACTIVITY_TYPES.PROFILE_UPDATE,
+        resourceType: ActivityService.RESOURCE_TYPES.USER,
+        resourceId: user._id,
+        metadata: { changes: { email: user.email }, previousEmail: user.previousEmail },
+        req
+      });
+    }
+
     return res.status(200).json({
       success: true,
-      message: 'Email verified successfully',
+      message: user.emailChanged ? 'Email address changed successfully' : 'Email verified successfully',
       user
     });
 
@@ -482,6 +763,47 @@ app.get("/api/auth/verify-email", async (req, res) => {
   }
 });
 
+// Lifts a login lockout using the link from the account locked email
+app.get("/api/auth/unlock", async (req, res) => {
+  try {
+    const { db } = require('./lib/db-mongodb');
+
+    // Ensure database connection
+    if (!db.isConnected) {
+      await db.connect();
+    }
+
+    const token = req.query.token;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unlock token is required'
+      });
+    }
+
+    const unlocked = await LoginProtectionService.unlock(token, req);
+    if (!unlocked) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired unlock token'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can sign in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to unlock account'
+    });
+  }
+});
+
 app.post("/api/auth/resend-verification", async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
@@ -537,6 +859,14 @@ app.post("/api/auth/forgot-password", async (req, res) => {
       });
     }
 
+    // Every request counts, so reset emails can't be used to flood an inbox
+    const client = { ip: req.ip, account: email };
+    const attempt = await LoginProtectionService.checkAttempt('forgot-password', client);
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt.retryAfter);
+    }
+    await LoginProtectionService.recordFailure('forgot-password', client, req);
+
     // Request password reset
     const result = await UserService.requestPasswordReset(email);
 
@@ -573,15 +903,7 @@ app.post("/api/auth/reset-password", async (req, res) => {
       });
     }
 
-    // Validate password strength
-    if (newPassword.length < 8) {
-      return res.status(400).json({
-        success: false,
-        message: 'Password must be at least 8 characters long'
-      });
-    }
-
-    // Reset password
+    // Reset password (the password policy is checked by the service)
     const result = await UserService.resetPassword(token, newPassword);
 
     return res.status(result.success ? 200 : 400).json({
@@ -598,95 +920,255 @@ app.post("/api/auth/reset-password", async (req, res) => {
   }
 });
 
-app.post("/api/auth/logout", async (req, res) => {
+app.get("/api/auth/password-policy", (req, res) => {
+  return res.status(200).json({
+    success: true,
+    policy: PasswordPolicy.describe()
+  });
+});
+
+app.post("/api/auth/change-password", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const { UserService } = require('./lib/user-service');
+
+    const { currentPassword, newPassword } = req.body;
+    if (!newPassword) {
+      return res.status(400).json({
         success: false,
-        message: 'Access token is required'
+        message: 'New password is required'
       });
     }
 
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    
-    // Set user for activity logging
-    if (user) {
-      req.user = user;
+    // Wrong current passwords count as failed logins, so a stolen session
+    // can't be used to guess the password
+    const client = { ip: req.ip, account: req.user.email };
+    const attempt = await LoginProtectionService.checkAttempt('login', client);
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt.retryAfter);
     }
-    
-    await AuthService.destroySession(token);
+
+    let result;
+    try {
+      result = await UserService.changePassword(req.user._id, currentPassword, newPassword, req.token);
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        await LoginProtectionService.recordFailure('login', client, req);
+      }
+      throw error;
+    }
+
+    const { activityLogger } = require('./lib/activity-logger');
+    await activityLogger.logPasswordChange(req.user._id, req, {
+      passwordSet: result.passwordSet,
+      sessionsRevoked: result.sessionsRevoked
+    });
 
     return res.status(200).json({
       success: true,
-      message: 'Logout successful'
+      message: result.passwordSet ? 'Password set successfully' : 'Password changed successfully',
+      sessionsRevoked: result.sessionsRevoked
     });
 
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Change password error:', error);
     return res.status(400).json({
       success: false,
-      message: error.message || 'Logout failed'
+      message: error.message || 'Failed to change password',
+      ...(error.details ? { errors: error.details } : {})
     });
   }
 });
 
-// Legacy auth endpoint for backward compatibility
-app.post("/api/auth", async (req, res) => {
+// Email change: confirmed through /api/auth/verify-email from the new
+// address, cancelled through the link sent to the old one
+app.get("/api/auth/email-change", requireAuth, async (req, res) => {
   try {
-    const { action, ...data } = req.body;
+    const { UserService } = require('./lib/user-service');
+    const emailChange = await UserService.getPendingEmailChange(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      emailChange
+    });
 
-    switch (action) {
-      case 'register':
-        return await handleRegister(req, res, data);
-      case 'login':
-        return await handleLogin(req, res, data);
-      case 'logout':
-        return await handleLogout(req, res, data);
-      case 'verify':
-        return await handleVerify(req, res, data);
-      case 'refresh':
-        return await handleRefreshToken(req, res, data);
-      default:
-        return res.status(400).json({ error: 'Invalid action' });
-    }
   } catch (error) {
-    return res.status(500).json({ error: error.message || 'Internal server error' });
+    console.error('Get email change error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to get email change'
+    });
   }
 });
 
-app.get("/api/auth", async (req, res) => {
+app.post("/api/auth/email-change", requireAuth, async (req, res) => {
   try {
-    const action = req.query.action
-    if (action !== 'verify') {
-      return res.status(400).json({ error: 'Only verify action is supported for GET requests' })
-    }
+    const { UserService } = require('./lib/user-service');
 
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
+    const { newEmail, password } = req.body;
+    if (!newEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'New email is required'
+      });
     }
 
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
+    // Wrong passwords count as failed logins, as with password changes
+    const client = { ip: req.ip, account: req.user.email };
+    const attempt = await LoginProtectionService.checkAttempt('login', client);
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt.retryAfter);
+    }
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
+    let result;
+    try {
+      result = await UserService.requestEmailChange(req.user._id, newEmail, password);
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        await LoginProtectionService.recordFailure('login', client, req);
+      }
+      throw error;
     }
 
-    return res.status(200).json({ user })
+    return res.status(200).json({
+      success: true,
+      message: 'Check your new email address to confirm the change',
+      ...result
+    });
+
   } catch (error) {
-    return res.status(500).json({ error: error.message || 'Internal server error' })
+    console.error('Request email change error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to request email change'
+    });
   }
-})
+});
 
-// Refresh token endpoint
-app.post("/api/auth/refresh", async (req, res) => {
+app.delete("/api/auth/email-change", requireAuth, async (req, res) => {
   try {
-    const { refreshToken } = req.body
+    const { UserService } = require('./lib/user-service');
 
-    if (!refreshToken) {
+    const cancelled = await UserService.cancelOwnEmailChange(req.user._id);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending email change'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Email change cancelled'
+    });
+
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel email change'
+    });
+  }
+});
+
+app.get("/api/auth/email-change/cancel", async (req, res) => {
+  try {
+    const { db } = require('./lib/db-mongodb');
+    const { UserService } = require('./lib/user-service');
+
+    // Ensure database connection
+    if (!db.isConnected) {
+      await db.connect();
+    }
+
+    const result = await UserService.cancelEmailChange(req.query.token);
+
+    return res.status(200).json({
+      success: true,
+      message: result.reverted
+        ? 'Email change reverted. All devices have been logged out; sign in and change your password.'
+        : 'Email change cancelled',
+      email: result.email
+    });
+
+  } catch (error) {
+    console.error('Cancel email change error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel email change'
+    });
+  }
+});
+
+// optionalAuth sets req.user for activity logging; an expired session can
+// still be logged out
+app.post("/api/auth/logout", optionalAuth, async (req, res) => {
+  try {
+    const token = AuthMiddleware.getToken(req);
+    if (!token) {
+      return AuthMiddleware.sendUnauthorized(res, 'Access token is required');
+    }
+
+    await AuthService.destroySession(token);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Logout failed'
+    });
+  }
+});
+
+// Legacy auth endpoint for backward compatibility
+app.post("/api/auth", async (req, res) => {
+  try {
+    const { action, ...data } = req.body;
+
+    switch (action) {
+      case 'register':
+        return await handleRegister(req, res, data);
+      case 'login':
+        return await handleLogin(req, res, data);
+      case 'logout':
+        return await handleLogout(req, res, data);
+      case 'verify':
+        return await handleVerify(req, res, data);
+      case 'refresh':
+        return await handleRefreshToken(req, res, data);
+      default:
+        return res.status(400).json({ error: 'Invalid action' });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Internal server error' });
+  }
+});
+
+app.get("/api/auth", requireAuth, async (req, res) => {
+  try {
+    const action = req.query.action
+    if (action !== 'verify') {
+      return res.status(400).json({ error: 'Only verify action is supported for GET requests' })
+    }
+
+    const { UserService } = require('./lib/user-service')
+
+    return res.status(200).json({ user: UserService.toPublicUser(req.user) })
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Internal server error' })
+  }
+})
+
+// Refresh token endpoint
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
       return res.status(400).json({ error: 'Refresh token is required' })
     }
 
@@ -702,8 +1184,8 @@ app.post("/api/auth/refresh", async (req, res) => {
   }
 })
 
-// User Profile API endpoints
-app.get("/api/auth/profile", async (req, res) => {
+// Two-factor authentication (TOTP)
+app.post("/api/auth/2fa/login", async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { UserService } = require('./lib/user-service');
@@ -713,25 +1195,437 @@ app.get("/api/auth/profile", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken) {
+      return res.status(400).json({
         success: false,
-        message: 'Access token is required'
+        message: 'Challenge token is required'
       });
     }
 
-    const token = authHeader.substring(7);
+    // Wrong codes count as failed logins of the account
+    const challenge = AuthService.verifyChallengeToken(challengeToken);
+    const challengeUser = challenge ? await db.getUserById(challenge.userId) : null;
+    const client = { ip: req.ip, account: challengeUser ? challengeUser.email : null };
 
-    // Verify session and get user
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
+    const attempt = await LoginProtectionService.checkAttempt('login', client);
+    if (!attempt.allowed) {
+      return sendTooManyAttempts(res, attempt.retryAfter);
+    }
+
+    let result;
+    try {
+      result = await UserService.completeTwoFactorLogin(
+        challengeToken,
+        { code, recoveryCode },
+        AuthService.getClientInfo(req)
+      );
+    } catch (error) {
+      if (error.code === 'INVALID_CREDENTIALS') {
+        await LoginProtectionService.recordFailure('login', client, req);
+      }
+      throw error;
+    }
+
+    const { user, session } = result;
+    await LoginProtectionService.recordSuccess('login', client);
+
+    const { activityLogger } = require('./lib/activity-logger');
+    await activityLogger.logLogin(user._id, req);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      user,
+      session
+    });
+
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    return res.status(401).json({
+      success: false,
+      message: error.message || 'Login failed'
+    });
+  }
+});
+
+app.get("/api/auth/2fa", requireAuth, async (req, res) => {
+  try {
+    const { TwoFactorService } = require('./lib/two-factor-service');
+    const status = await TwoFactorService.getStatus(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      ...status
+    });
+
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to get two-factor status'
+    });
+  }
+});
+
+app.post("/api/auth/2fa/setup", requireAuth, async (req, res) => {
+  try {
+    const { TwoFactorService } = require('./lib/two-factor-service');
+    const { secret, otpauthUri } = await TwoFactorService.startEnrollment(req.user);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the URI with an authenticator app, then confirm a code to enable two-factor authentication',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to start two-factor setup'
+    });
+  }
+});
+
+app.post("/api/auth/2fa/enable", requireAuth, async (req, res) => {
+  try {
+    const { TwoFactorService } = require('./lib/two-factor-service');
+
+    const { code } = req.body;
+    if (!code) {
+      return res.status(400).json({
         success: false,
-        message: 'Invalid or expired token'
+        message: 'Verification code is required'
       });
     }
 
+    const recoveryCodes = await TwoFactorService.enable(req.user._id, code);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are not shown again.',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to enable two-factor authentication'
+    });
+  }
+});
+
+// Changing two-factor settings needs the password or, for accounts without
+// one, a TOTP or recovery code. Wrong proofs count as failed logins.
+async function verifyTwoFactorOwner(req, res) {
+  const { TwoFactorService } = require('./lib/two-factor-service');
+
+  const client = { ip: req.ip, account: req.user.email };
+  const attempt = await LoginProtectionService.checkAttempt('login', client);
+  if (!attempt.allowed) {
+    sendTooManyAttempts(res, attempt.retryAfter);
+    return false;
+  }
+
+  const { password, code, recoveryCode } = req.body;
+  try {
+    await TwoFactorService.verifyOwner(req.user._id, { password, code, recoveryCode });
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') {
+      await LoginProtectionService.recordFailure('login', client, req);
+    }
+    throw error;
+  }
+  return true;
+}
+
+app.post("/api/auth/2fa/disable", requireAuth, async (req, res) => {
+  try {
+    const { TwoFactorService } = require('./lib/two-factor-service');
+
+    if (!await verifyTwoFactorOwner(req, res)) return;
+    await TwoFactorService.disable(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to disable two-factor authentication'
+    });
+  }
+});
+
+app.post("/api/auth/2fa/recovery-codes", requireAuth, async (req, res) => {
+  try {
+    const { TwoFactorService } = require('./lib/two-factor-service');
+
+    const status = await TwoFactorService.getStatus(req.user._id);
+    if (!status.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await verifyTwoFactorOwner(req, res)) return;
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated; the previous codes no longer work',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('Recovery code generation error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to generate recovery codes'
+    });
+  }
+});
+
+// Session management: the devices a user is logged in on
+app.get("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await AuthService.listSessions(req.user._id, req.token);
+
+    return res.status(200).json({
+      success: true,
+      sessions
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to list sessions'
+    });
+  }
+});
+
+// Log out everywhere else
+app.delete("/api/auth/sessions", requireAuth, async (req, res) => {
+  try {
+    const revoked = await AuthService.revokeOtherSessions(req.user._id, req.token);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to revoke sessions'
+    });
+  }
+});
+
+app.delete("/api/auth/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const revoked = await AuthService.revokeUserSession(req.user._id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to revoke session'
+    });
+  }
+});
+
+// OAuth sign-in and account linking
+app.get("/api/auth/oauth/providers", (req, res) => {
+  return res.status(200).json({
+    success: true,
+    providers: OAuthService.listProviders()
+  });
+});
+
+app.post("/api/auth/oauth/:provider/start", async (req, res) => {
+  try {
+    const { authorizationUrl } = await OAuthService.startAuthorization(req.params.provider, {
+      mode: 'login',
+      returnUrl: req.body.returnUrl || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      authorizationUrl
+    });
+
+  } catch (error) {
+    console.error('OAuth start error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to start OAuth login'
+    });
+  }
+});
+
+app.post("/api/auth/oauth/:provider/link", requireAuth, async (req, res) => {
+  try {
+    const { authorizationUrl } = await OAuthService.startAuthorization(req.params.provider, {
+      mode: 'link',
+      userId: req.user._id,
+      returnUrl: req.body.returnUrl || null
+    });
+
+    return res.status(200).json({
+      success: true,
+      authorizationUrl
+    });
+
+  } catch (error) {
+    console.error('OAuth link error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to start account linking'
+    });
+  }
+});
+
+// The provider redirects here. With a returnUrl the result is passed on to
+// the frontend in the URL fragment, which never reaches a server log.
+app.get("/api/auth/oauth/:provider/callback", async (req, res) => {
+  const respond = (status, body, returnUrl) => {
+    if (!returnUrl) {
+      return res.status(status).json(body);
+    }
+    const fragment = new URLSearchParams();
+    for (const [key, value] of Object.entries(body)) {
+      if (value !== undefined && value !== null && typeof value !== 'object') {
+        fragment.set(key, String(value));
+      }
+    }
+    if (body.session) {
+      fragment.set('accessToken', body.session.accessToken);
+      fragment.set('refreshToken', body.session.refreshToken);
+      fragment.set('expiresIn', String(body.session.expiresIn));
+    }
+    return res.redirect(`${returnUrl}#${fragment.toString()}`);
+  };
+
+  try {
+    const { UserService } = require('./lib/user-service');
+
+    if (req.query.error) {
+      throw new Error(req.query.error_description || 'Authorization was denied');
+    }
+
+    const result = await OAuthService.handleCallback(req.params.provider, {
+      code: req.query.code,
+      state: req.query.state
+    });
+
+    if (result.mode === 'link') {
+      return respond(200, {
+        success: true,
+        message: 'Account linked successfully',
+        provider: req.params.provider,
+        account: result.identity
+      }, result.returnUrl);
+    }
+
+    const login = await UserService.loginWithOAuth(result.user, AuthService.getClientInfo(req));
+    if (login.twoFactorRequired) {
+      return respond(200, {
+        success: true,
+        message: 'Two-factor authentication required',
+        ...login
+      }, result.returnUrl);
+    }
+
+    const { activityLogger } = require('./lib/activity-logger');
+    await activityLogger.logLogin(login.user._id, req);
+
+    return respond(200, {
+      success: true,
+      message: 'Login successful',
+      user: login.user,
+      session: login.session
+    }, result.returnUrl);
+
+  } catch (error) {
+    console.error('OAuth callback error:', error);
+    return respond(400, {
+      success: false,
+      message: error.message || 'OAuth login failed'
+    }, error.returnUrl);
+  }
+});
+
+app.get("/api/auth/oauth/accounts", requireAuth, async (req, res) => {
+  try {
+    const accounts = await OAuthService.listLinkedAccounts(req.user._id);
+
+    return res.status(200).json({
+      success: true,
+      accounts
+    });
+
+  } catch (error) {
+    console.error('List linked accounts error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to list linked accounts'
+    });
+  }
+});
+
+app.delete("/api/auth/oauth/accounts/:provider", requireAuth, async (req, res) => {
+  try {
+    await OAuthService.unlinkAccount(req.user._id, req.params.provider);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Account unlinked successfully'
+    });
+
+  } catch (error) {
+    console.error('Unlink account error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to unlink account'
+    });
+  }
+});
+
+// User Profile API endpoints
+app.get("/api/auth/profile", requireAuth, async (req, res) => {
+  try {
+    const { db } = require('./lib/db-mongodb');
+    const { UserService } = require('./lib/user-service');
+
+    // Ensure database connection
+    if (!db.isConnected) {
+      await db.connect();
+    }
+
+    const user = req.user;
+
     // Get user profile
     const profile = await UserService.getUserProfile(user._id);
 
@@ -749,7 +1643,7 @@ app.get("/api/auth/profile", async (req, res) => {
   }
 });
 
-app.put("/api/auth/profile", async (req, res) => {
+app.put("/api/auth/profile", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { UserService } = require('./lib/user-service');
@@ -759,24 +1653,7 @@ app.put("/api/auth/profile", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-
-    // Verify session and get user
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { firstName, lastName, bio, avatar, preferences } = req.body;
 
@@ -808,22 +1685,11 @@ app.put("/api/auth/profile", async (req, res) => {
 });
 
 // Legacy user profile endpoints for backward compatibility
-app.get("/api/user/profile", async (req, res) => {
+app.get("/api/user/profile", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const { UserService } = require('./lib/user-service')
 
-    const stats = await db.getUserStats(user._id)
-    const userProfile = { ...user, stats }
+    const userProfile = await UserService.getUserProfile(req.user._id)
 
     return res.status(200).json(userProfile)
   } catch (error) {
@@ -831,19 +1697,9 @@ app.get("/api/user/profile", async (req, res) => {
   }
 })
 
-app.put("/api/user/profile", async (req, res) => {
+app.put("/api/user/profile", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { firstName, lastName, bio, avatar, photo } = req.body
     const updates = {}
@@ -854,9 +1710,11 @@ app.put("/api/user/profile", async (req, res) => {
     if (avatar !== undefined) updates.avatar = avatar
     if (photo !== undefined) updates.photo = photo
 
+    const { UserService } = require('./lib/user-service')
+
     const updatedUser = await db.updateUser(user._id, updates)
 
-    return res.status(200).json(updatedUser)
+    return res.status(200).json(UserService.toPublicUser(updatedUser))
   } catch (error) {
     return res.status(500).json({ error: error.message || 'Internal server error' })
   }
@@ -898,27 +1756,8 @@ const upload = multer({
   }
 })
 
-// Middleware to set user in request for multer
-const setUserForUpload = async (req, res, next) => {
-  try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
-    req.user = user
-    next()
-  } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token' })
-  }
-}
-
 // Upload user photo
-app.post("/api/user/photo", setUserForUpload, upload.single('photo'), async (req, res) => {
+app.post("/api/user/photo", requireAuth, upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No photo file provided' })
@@ -949,7 +1788,7 @@ app.post("/api/user/photo", setUserForUpload, upload.single('photo'), async (req
 })
 
 // Update user photo (same as upload - replaces existing photo)
-app.put("/api/user/photo", setUserForUpload, upload.single('photo'), async (req, res) => {
+app.put("/api/user/photo", requireAuth, upload.single('photo'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No photo file provided' })
@@ -980,17 +1819,9 @@ app.put("/api/user/photo", setUserForUpload, upload.single('photo'), async (req,
 })
 
 // Delete user photo
-app.delete("/api/user/photo", async (req, res) => {
+app.delete("/api/user/photo", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     // Get current user to find photo
     const currentUser = await db.findUserByEmail(user.email)
@@ -1019,7 +1850,30 @@ app.delete("/api/user/photo", async (req, res) => {
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')))
 
 // Comments API endpoints
-app.get("/api/comments", async (req, res) => {
+// Movie and show comment routes share their handlers, so a comment is only
+// reachable through the routes for its own content type. Missing or invalid
+// IDs are left to the handlers to report.
+async function requireCommentRouteType(req, res, next) {
+  const commentId = req.params.commentId || (req.body && req.body.commentId) || req.query.commentId
+  if (!commentId || !require('mongodb').ObjectId.isValid(String(commentId))) return next()
+
+  try {
+    if (!db.isConnected) {
+      await db.connect()
+    }
+
+    const comment = await db.getCommentById(commentId)
+    const idField = req.path.startsWith('/api/shows/') ? 'showId' : 'movieId'
+    if (comment && !comment[idField]) {
+      return res.status(404).json({ error: 'Comment not found' })
+    }
+    next()
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Failed to fetch comment' })
+  }
+}
+
+app.get("/api/comments", optionalAuth, async (req, res) => {
   try {
     const { movieId, userId } = req.query
     const { limit, skip } = parseQueryParams(req.query)
@@ -1029,20 +1883,14 @@ app.get("/api/comments", async (req, res) => {
     }
 
     let comments
-    let currentUserId = null
-
-    // Get current user if authenticated
-    const authHeader = req.get('authorization')
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7)
-      const authUser = await AuthService.verifySession(token)
-      if (authUser) {
-        currentUserId = authUser._id
-      }
-    }
+    // Set by optionalAuth when the request is authenticated
+    const currentUserId = req.user ? req.user._id : null
 
     if (movieId) {
-      comments = await db.getMovieComments(movieId, limit, skip, currentUserId)
+      comments = await CommentService.getComments('movie', movieId, limit, skip, req.user || null, {
+        sort: req.query.sort,
+        spoilers: req.query.spoilers
+      })
     } else if (userId) {
       if (!currentUserId || currentUserId.toString() !== userId) {
         return res.status(401).json({ error: 'Authentication required to view user comments' })
@@ -1053,83 +1901,68 @@ app.get("/api/comments", async (req, res) => {
 
     return res.status(200).json(comments)
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
     return res.status(500).json({ error: error.message || 'Failed to fetch comments' })
   }
 })
 
-app.post("/api/comments", async (req, res) => {
+app.post("/api/comments", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
-    const { movieId, content, isSpoiler = false } = req.body
+    const { movieId, content, isSpoiler = false, spoilerRanges, parentId } = req.body
 
-    if (!movieId) {
-      return res.status(400).json({ error: 'Movie ID is required' })
-    }
-
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' })
-    }
-
-    if (content.length > 2000) {
-      return res.status(400).json({ error: 'Comment content must be less than 2000 characters' })
-    }
-
-    const commentId = await db.createMovieComment({
-      userId: user._id,
-      movieId,
-      content: content.trim(),
+    const comment = await CommentService.createComment(user, {
+      contentType: 'movie',
+      contentId: movieId,
+      content,
       isSpoiler,
+      spoilerRanges,
+      parentId
     })
 
     // Log activity using the simple activity logger
     const { activityLogger } = require('./lib/activity-logger');
-    await activityLogger.logCommentCreate(user._id, commentId.toString(), movieId, null, req);
+    await activityLogger.logCommentCreate(user._id, comment.commentId.toString(), comment.movieId, null, req);
 
     return res.status(201).json({
-      message: 'Comment created successfully',
-      commentId: commentId.toString()
+      message: comment.status === 'pending'
+        ? 'Comment is held for review by a moderator'
+        : parentId ? 'Reply created successfully' : 'Comment created successfully',
+      commentId: comment.commentId.toString(),
+      status: comment.status,
+      parentId: comment.parentId,
+      rootId: comment.rootId,
+      depth: comment.depth
     })
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    if (error.code === 'COMMENTING_RESTRICTED') {
+      return res.status(403).json({ error: error.message, restriction: error.restriction })
+    }
     return res.status(500).json({ error: error.message || 'Failed to create comment' })
   }
 })
 
-app.put("/api/comments", async (req, res) => {
+app.put("/api/comments", requireAuth, requireCommentRouteType, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
-    const { commentId, action, content } = req.body
+    const { commentId, action, content, isSpoiler, spoilerRanges } = req.body
 
     if (!commentId) {
       return res.status(400).json({ error: 'Comment ID is required' })
     }
 
     if (action === 'toggleLike') {
-      const result = await db.updateCommentLikes(
-        new (require('mongodb').ObjectId)(commentId),
-        user._id
-      )
+      const result = await CommentService.toggleLike(commentId, user._id, req)
 
       return res.status(200).json({
         message: `Comment ${result.action} successfully`,
@@ -1139,19 +1972,7 @@ app.put("/api/comments", async (req, res) => {
     }
 
     if (content !== undefined) {
-      if (!content || content.trim().length === 0) {
-        return res.status(400).json({ error: 'Comment content is required' })
-      }
-
-      if (content.length > 2000) {
-        return res.status(400).json({ error: 'Comment content must be less than 2000 characters' })
-      }
-
-      const updated = await db.updateMovieComment(
-        new (require('mongodb').ObjectId)(commentId),
-        user._id,
-        { content: content.trim() }
-      )
+      const updated = await CommentService.editComment(commentId, user, { content, isSpoiler, spoilerRanges })
 
       if (!updated) {
         return res.status(404).json({ error: 'Comment not found or you do not have permission to edit it' })
@@ -1164,23 +1985,22 @@ app.put("/api/comments", async (req, res) => {
 
     return res.status(400).json({ error: 'Either action or content must be provided' })
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    if (error.code === 'COMMENTING_RESTRICTED') {
+      return res.status(403).json({ error: error.message, restriction: error.restriction })
+    }
     return res.status(500).json({ error: error.message || 'Failed to update comment' })
   }
 })
 
-app.delete("/api/comments", async (req, res) => {
+app.delete("/api/comments", requireAuth, requireCommentRouteType, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const commentId = req.query.commentId
 
@@ -1188,22 +2008,143 @@ app.delete("/api/comments", async (req, res) => {
       return res.status(400).json({ error: 'Comment ID is required' })
     }
 
-    const deleted = await db.deleteMovieComment(new (require('mongodb').ObjectId)(commentId), user._id)
+    const deleted = await CommentService.deleteComment(commentId, user._id)
 
     if (!deleted) {
       return res.status(404).json({ error: 'Comment not found or you do not have permission to delete it' })
     }
 
-    return res.status(200).json({
-      message: 'Comment deleted successfully'
-    })
+    return res.status(200).json({
+      message: 'Comment deleted successfully'
+    })
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Failed to delete comment' })
+  }
+})
+
+// Replies of a movie or show comment, oldest first
+app.get(["/api/comments/:commentId/replies", "/api/shows/comments/:commentId/replies"], optionalAuth, requireCommentRouteType, async (req, res) => {
+  try {
+    const { limit, skip } = parseQueryParams(req.query)
+
+    const thread = await CommentService.getReplies(req.params.commentId, limit, skip, req.user || null, {
+      sort: req.query.sort,
+      spoilers: req.query.spoilers
+    })
+
+    return res.status(200).json(thread)
+  } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    return res.status(500).json({ error: error.message || 'Failed to fetch replies' })
+  }
+})
+
+// Earlier versions of an edited comment
+app.get(["/api/comments/:commentId/revisions", "/api/shows/comments/:commentId/revisions"], optionalAuth, requireCommentRouteType, async (req, res) => {
+  try {
+    const { limit, skip } = parseQueryParams(req.query)
+
+    const history = await CommentService.getRevisions(req.params.commentId, limit, skip, req.user || null, {
+      spoilers: req.query.spoilers
+    })
+
+    return res.status(200).json(history)
+  } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    return res.status(500).json({ error: error.message || 'Failed to fetch comment revisions' })
+  }
+})
+
+// Like, unlike and reactions on movie and show comments
+async function handleCommentReaction(req, res, type, reacted) {
+  try {
+    const result = await CommentService.setReaction(req.params.commentId, req.user._id, type, reacted, req)
+
+    return res.status(200).json({
+      message: reacted ? 'Reaction added successfully' : 'Reaction removed successfully',
+      ...result
+    })
+  } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    return res.status(500).json({ error: error.message || 'Failed to update reaction' })
+  }
+}
+
+app.post(["/api/comments/:commentId/like", "/api/shows/comments/:commentId/like"], requireAuth, requireCommentRouteType, (req, res) =>
+  handleCommentReaction(req, res, 'like', true)
+)
+
+app.delete(["/api/comments/:commentId/like", "/api/shows/comments/:commentId/like"], requireAuth, requireCommentRouteType, (req, res) =>
+  handleCommentReaction(req, res, 'like', false)
+)
+
+app.post(["/api/comments/:commentId/reactions", "/api/shows/comments/:commentId/reactions"], requireAuth, requireCommentRouteType, (req, res) =>
+  handleCommentReaction(req, res, req.body.type, true)
+)
+
+app.delete(["/api/comments/:commentId/reactions/:type", "/api/shows/comments/:commentId/reactions/:type"], requireAuth, requireCommentRouteType, (req, res) =>
+  handleCommentReaction(req, res, req.params.type, false)
+)
+
+// Users who liked (or otherwise reacted to) a comment
+app.get(["/api/comments/:commentId/reactions", "/api/shows/comments/:commentId/reactions"], requireCommentRouteType, async (req, res) => {
+  try {
+    if (!db.isConnected) {
+      await db.connect()
+    }
+
+    const { limit, skip } = parseQueryParams(req.query)
+
+    const result = await CommentService.getReactionUsers(req.params.commentId, req.query.type, limit, skip)
+
+    return res.status(200).json(result)
+  } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    return res.status(500).json({ error: error.message || 'Failed to fetch reactions' })
+  }
+})
+
+// Report a movie or show comment to the moderators
+app.post(["/api/comments/:commentId/report", "/api/shows/comments/:commentId/report"], requireAuth, requireCommentRouteType, async (req, res) => {
+  try {
+    const { reason, details } = req.body
+
+    await ModerationService.reportComment(req.params.commentId, req.user, { reason, details })
+
+    return res.status(201).json({ message: 'Comment reported successfully' })
   } catch (error) {
-    return res.status(500).json({ error: error.message || 'Failed to delete comment' })
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    return res.status(500).json({ error: error.message || 'Failed to report comment' })
   }
 })
 
 // Ratings API endpoints
-app.get("/api/ratings", async (req, res) => {
+app.get("/api/ratings", optionalAuth, async (req, res) => {
   try {
     const { movieId, userId, includeAverage } = req.query
     const { limit, skip } = parseQueryParams(req.query)
@@ -1222,13 +2163,7 @@ app.get("/api/ratings", async (req, res) => {
         result.average = average
       }
 
-      const authHeader = req.get('authorization')
-      let authUser = null
-
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7)
-        authUser = await AuthService.verifySession(token)
-      }
+      const authUser = req.user
 
       if (authUser) {
         const userRating = await db.getMovieRating(movieId, authUser._id)
@@ -1238,13 +2173,7 @@ app.get("/api/ratings", async (req, res) => {
         }
       }
     } else if (userId) {
-      const authHeader = req.get('authorization')
-      let authUser = null
-
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7)
-        authUser = await AuthService.verifySession(token)
-      }
+      const authUser = req.user
 
       if (!authUser || authUser._id.toString() !== userId) {
         return res.status(401).json({ error: 'Authentication required to view user ratings' })
@@ -1259,19 +2188,9 @@ app.get("/api/ratings", async (req, res) => {
   }
 })
 
-app.post("/api/ratings", async (req, res) => {
+app.post("/api/ratings", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { movieId, rating, review } = req.body
 
@@ -1321,19 +2240,9 @@ app.post("/api/ratings", async (req, res) => {
   }
 })
 
-app.delete("/api/ratings", async (req, res) => {
+app.delete("/api/ratings", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const movieId = req.query.movieId
 
@@ -1364,19 +2273,9 @@ app.delete("/api/ratings", async (req, res) => {
 // === UNIFIED WATCHLIST API ENDPOINTS ===
 
 // Get user's watchlist collections
-app.get("/api/watchlist/collections", async (req, res) => {
+app.get("/api/watchlist/collections", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const collections = await db.getUserWatchlistCollections(user._id)
     return res.status(200).json({ collections })
@@ -1386,19 +2285,9 @@ app.get("/api/watchlist/collections", async (req, res) => {
 })
 
 // Create a new watchlist collection
-app.post("/api/watchlist/collections", async (req, res) => {
+app.post("/api/watchlist/collections", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { name, description, emoji } = req.body
 
@@ -1418,19 +2307,9 @@ app.post("/api/watchlist/collections", async (req, res) => {
 })
 
 // Update a watchlist collection
-app.put("/api/watchlist/collections/:collectionId", async (req, res) => {
+app.put("/api/watchlist/collections/:collectionId", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId } = req.params
     const { name, description, emoji } = req.body
@@ -1457,19 +2336,9 @@ app.put("/api/watchlist/collections/:collectionId", async (req, res) => {
 })
 
 // Delete a watchlist collection
-app.delete("/api/watchlist/collections/:collectionId", async (req, res) => {
+app.delete("/api/watchlist/collections/:collectionId", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId } = req.params
 
@@ -1486,19 +2355,9 @@ app.delete("/api/watchlist/collections/:collectionId", async (req, res) => {
 })
 
 // Get items in a specific watchlist collection
-app.get("/api/watchlist/collections/:collectionId/items", async (req, res) => {
+app.get("/api/watchlist/collections/:collectionId/items", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId } = req.params
     const { limit, skip } = parseQueryParams(req.query)
@@ -1512,19 +2371,9 @@ app.get("/api/watchlist/collections/:collectionId/items", async (req, res) => {
 })
 
 // Add item to watchlist collection (supports both movies and shows)
-app.post("/api/watchlist/collections/:collectionId/items", async (req, res) => {
+app.post("/api/watchlist/collections/:collectionId/items", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId } = req.params
     const { type, contentId, notes } = req.body
@@ -1554,19 +2403,9 @@ app.post("/api/watchlist/collections/:collectionId/items", async (req, res) => {
 })
 
 // Update item in watchlist collection
-app.put("/api/watchlist/collections/:collectionId/items/:itemId", async (req, res) => {
+app.put("/api/watchlist/collections/:collectionId/items/:itemId", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId, itemId } = req.params
     const { notes } = req.body
@@ -1590,19 +2429,9 @@ app.put("/api/watchlist/collections/:collectionId/items/:itemId", async (req, re
 })
 
 // Remove item from watchlist collection
-app.delete("/api/watchlist/collections/:collectionId/items/:itemId", async (req, res) => {
+app.delete("/api/watchlist/collections/:collectionId/items/:itemId", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { collectionId, itemId } = req.params
 
@@ -1621,19 +2450,9 @@ app.delete("/api/watchlist/collections/:collectionId/items/:itemId", async (req,
 // LEGACY ENDPOINTS - for backward compatibility
 
 // Get user's watchlist (returns first collection for backward compatibility)
-app.get("/api/watchlist", async (req, res) => {
+app.get("/api/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { limit, skip } = parseQueryParams(req.query)
     const includeDetails = req.query.includeDetails === 'true'
@@ -1652,19 +2471,9 @@ app.get("/api/watchlist", async (req, res) => {
 })
 
 // Add to watchlist (adds to first collection for backward compatibility)
-app.post("/api/watchlist", async (req, res) => {
+app.post("/api/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { movieId, showId, notes, priority = 'medium' } = req.body
     const contentId = movieId || showId
@@ -1694,19 +2503,9 @@ app.post("/api/watchlist", async (req, res) => {
 })
 
 // Update watchlist item
-app.put("/api/watchlist", async (req, res) => {
+app.put("/api/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { movieId, showId, notes, priority } = req.body
     const contentId = movieId || showId
@@ -1741,19 +2540,9 @@ app.put("/api/watchlist", async (req, res) => {
 })
 
 // Remove from watchlist
-app.delete("/api/watchlist", async (req, res) => {
+app.delete("/api/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { movieId, showId } = req.query
     const contentId = movieId || showId
@@ -1775,21 +2564,67 @@ app.delete("/api/watchlist", async (req, res) => {
   }
 })
 
-// Logs API endpoint
-app.get("/api/logs", async (req, res) => {
+// Watch history API endpoints; titles marked watched reveal their comment spoilers
+app.get("/api/watched", requireAuth, async (req, res) => {
+  try {
+    const { limit, skip } = parseQueryParams(req.query)
+
+    const history = await db.getWatchHistory(req.user._id, limit, skip)
+
+    return res.status(200).json(history)
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Failed to fetch watch history' })
+  }
+})
+
+app.post("/api/watched", requireAuth, async (req, res) => {
+  try {
+    const { movieId, showId, watchedAt } = req.body
+    const contentId = movieId || showId
+    const contentType = movieId ? 'movie' : 'show'
+
+    if (!contentId) {
+      return res.status(400).json({ error: 'Either movieId or showId is required' })
+    }
+
+    const date = watchedAt ? new Date(watchedAt) : new Date()
+    if (isNaN(date.getTime()) || date > new Date()) {
+      return res.status(400).json({ error: 'watchedAt must be a date in the past' })
+    }
+
+    await db.markWatched(req.user._id, contentType, contentId, date)
+
+    return res.status(200).json({ message: `${contentType === 'movie' ? 'Movie' : 'Show'} marked as watched` })
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Failed to update watch history' })
+  }
+})
+
+app.delete("/api/watched", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
+    const { movieId, showId } = req.query
+    const contentId = movieId || showId
+    const contentType = movieId ? 'movie' : 'show'
+
+    if (!contentId) {
+      return res.status(400).json({ error: 'Either movieId or showId is required' })
     }
 
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
+    const removed = await db.unmarkWatched(req.user._id, contentType, contentId)
 
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
+    if (!removed) {
+      return res.status(404).json({ error: `${contentType === 'movie' ? 'Movie' : 'Show'} not found in watch history` })
     }
 
+    return res.status(200).json({ message: `${contentType === 'movie' ? 'Movie' : 'Show'} removed from watch history` })
+  } catch (error) {
+    return res.status(500).json({ error: error.message || 'Failed to update watch history' })
+  }
+})
+
+// Logs API endpoint
+app.get("/api/logs", requirePermission(RoleService.PERMISSIONS.LOGS_READ), async (req, res) => {
+  try {
     const { limit, skip } = parseQueryParams(req.query)
     const logs = await selectLogs(limit)
 
@@ -1802,12 +2637,12 @@ app.get("/api/logs", async (req, res) => {
       }
     })
   } catch (error) {
-    return res.status(500).json({ error: error.message || 'Failed to fetch logs', detail: e && e.message ? e.message : String(e) })
+    return res.status(500).json({ error: error.message || 'Failed to fetch logs' })
   }
 })
 
 // Show Comments API endpoints
-app.get("/api/shows/comments", async (req, res) => {
+app.get("/api/shows/comments", optionalAuth, async (req, res) => {
   try {
     const { showId, userId } = req.query
     const { limit, skip } = parseQueryParams(req.query)
@@ -1817,20 +2652,14 @@ app.get("/api/shows/comments", async (req, res) => {
     }
 
     let comments
-    let currentUserId = null
-
-    // Get current user if authenticated
-    const authHeader = req.get('authorization')
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      const token = authHeader.substring(7)
-      const authUser = await AuthService.verifySession(token)
-      if (authUser) {
-        currentUserId = authUser._id
-      }
-    }
+    // Set by optionalAuth when the request is authenticated
+    const currentUserId = req.user ? req.user._id : null
 
     if (showId) {
-      comments = await db.getShowComments(showId, limit, skip, currentUserId)
+      comments = await CommentService.getComments('show', showId, limit, skip, req.user || null, {
+        sort: req.query.sort,
+        spoilers: req.query.spoilers
+      })
     } else if (userId) {
       if (!currentUserId || currentUserId.toString() !== userId) {
         return res.status(401).json({ error: 'Authentication required to view user comments' })
@@ -1841,80 +2670,64 @@ app.get("/api/shows/comments", async (req, res) => {
 
     return res.status(200).json(comments)
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
     return res.status(500).json({ error: error.message || 'Failed to fetch comments' })
   }
 })
 
-app.post("/api/shows/comments", async (req, res) => {
+app.post("/api/shows/comments", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
-
-    const { showId, content, isSpoiler = false } = req.body
-
-    if (!showId) {
-      return res.status(400).json({ error: 'Show ID is required' })
-    }
-
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' })
-    }
+    const user = req.user
 
-    if (content.length > 2000) {
-      return res.status(400).json({ error: 'Comment content must be less than 2000 characters' })
-    }
+    const { showId, content, isSpoiler = false, spoilerRanges, parentId } = req.body
 
-    const commentId = await db.createComment({
-      userId: user._id,
-      showId,
-      content: content.trim(),
+    const comment = await CommentService.createComment(user, {
+      contentType: 'show',
+      contentId: showId,
+      content,
       isSpoiler,
-      type: 'show'
+      spoilerRanges,
+      parentId
     })
 
     return res.status(201).json({
-      message: 'Comment created successfully',
-      commentId: commentId.toString()
+      message: comment.status === 'pending'
+        ? 'Comment is held for review by a moderator'
+        : parentId ? 'Reply created successfully' : 'Comment created successfully',
+      commentId: comment.commentId.toString(),
+      status: comment.status,
+      parentId: comment.parentId,
+      rootId: comment.rootId,
+      depth: comment.depth
     })
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    if (error.code === 'COMMENTING_RESTRICTED') {
+      return res.status(403).json({ error: error.message, restriction: error.restriction })
+    }
     return res.status(500).json({ error: error.message || 'Failed to create comment' })
   }
 })
 
-app.put("/api/shows/comments", async (req, res) => {
+app.put("/api/shows/comments", requireAuth, requireCommentRouteType, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
-    const { commentId, action, content } = req.body
+    const { commentId, action, content, isSpoiler, spoilerRanges } = req.body
 
     if (!commentId) {
       return res.status(400).json({ error: 'Comment ID is required' })
     }
 
     if (action === 'toggleLike') {
-      const result = await db.updateCommentLikes(
-        new (require('mongodb').ObjectId)(commentId),
-        user._id
-      )
+      const result = await CommentService.toggleLike(commentId, user._id, req)
 
       return res.status(200).json({
         message: `Comment ${result.action} successfully`,
@@ -1924,19 +2737,7 @@ app.put("/api/shows/comments", async (req, res) => {
     }
 
     if (content !== undefined) {
-      if (!content || content.trim().length === 0) {
-        return res.status(400).json({ error: 'Comment content is required' })
-      }
-
-      if (content.length > 2000) {
-        return res.status(400).json({ error: 'Comment content must be less than 2000 characters' })
-      }
-
-      const updated = await db.updateShowComment(
-        new (require('mongodb').ObjectId)(commentId),
-        user._id,
-        { content: content.trim() }
-      )
+      const updated = await CommentService.editComment(commentId, user, { content, isSpoiler, spoilerRanges })
 
       if (!updated) {
         return res.status(404).json({ error: 'Comment not found or you do not have permission to edit it' })
@@ -1949,23 +2750,22 @@ app.put("/api/shows/comments", async (req, res) => {
 
     return res.status(400).json({ error: 'Either action or content must be provided' })
   } catch (error) {
+    if (error.code === 'INVALID_COMMENT') {
+      return res.status(400).json({ error: error.message })
+    }
+    if (error.code === 'COMMENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message })
+    }
+    if (error.code === 'COMMENTING_RESTRICTED') {
+      return res.status(403).json({ error: error.message, restriction: error.restriction })
+    }
     return res.status(500).json({ error: error.message || 'Failed to update comment' })
   }
 })
 
-app.delete("/api/shows/comments", async (req, res) => {
+app.delete("/api/shows/comments", requireAuth, requireCommentRouteType, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const commentId = req.query.commentId
 
@@ -1973,7 +2773,7 @@ app.delete("/api/shows/comments", async (req, res) => {
       return res.status(400).json({ error: 'Comment ID is required' })
     }
 
-    const deleted = await db.deleteShowComment(new (require('mongodb').ObjectId)(commentId), user._id)
+    const deleted = await CommentService.deleteComment(commentId, user._id)
 
     if (!deleted) {
       return res.status(404).json({ error: 'Comment not found or you do not have permission to delete it' })
@@ -1988,7 +2788,7 @@ app.delete("/api/shows/comments", async (req, res) => {
 })
 
 // Show Ratings API endpoints
-app.get("/api/shows/ratings", async (req, res) => {
+app.get("/api/shows/ratings", optionalAuth, async (req, res) => {
   try {
     const { showId, userId, includeAverage } = req.query
     const { limit, skip } = parseQueryParams(req.query)
@@ -2007,13 +2807,7 @@ app.get("/api/shows/ratings", async (req, res) => {
         result.average = average
       }
 
-      const authHeader = req.get('authorization')
-      let authUser = null
-
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7)
-        authUser = await AuthService.verifySession(token)
-      }
+      const authUser = req.user
 
       if (authUser) {
         const userRating = await db.getShowRating(showId, authUser._id)
@@ -2023,13 +2817,7 @@ app.get("/api/shows/ratings", async (req, res) => {
         }
       }
     } else if (userId) {
-      const authHeader = req.get('authorization')
-      let authUser = null
-
-      if (authHeader && authHeader.startsWith('Bearer ')) {
-        const token = authHeader.substring(7)
-        authUser = await AuthService.verifySession(token)
-      }
+      const authUser = req.user
 
       if (!authUser || authUser._id.toString() !== userId) {
         return res.status(401).json({ error: 'Authentication required to view user ratings' })
@@ -2044,19 +2832,9 @@ app.get("/api/shows/ratings", async (req, res) => {
   }
 })
 
-app.post("/api/shows/ratings", async (req, res) => {
+app.post("/api/shows/ratings", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { showId, rating, review } = req.body
 
@@ -2099,19 +2877,9 @@ app.post("/api/shows/ratings", async (req, res) => {
   }
 })
 
-app.delete("/api/shows/ratings", async (req, res) => {
+app.delete("/api/shows/ratings", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const showId = req.query.showId
 
@@ -2139,17 +2907,9 @@ app.delete("/api/shows/ratings", async (req, res) => {
 })
 
 // Show Watchlist API endpoints
-app.get("/api/shows/watchlist", async (req, res) => {
+app.get("/api/shows/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { limit, skip } = parseQueryParams(req.query)
     const { includeDetails = 'false' } = req.query
@@ -2181,17 +2941,9 @@ app.get("/api/shows/watchlist", async (req, res) => {
   }
 })
 
-app.post("/api/shows/watchlist", async (req, res) => {
+app.post("/api/shows/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { showId, notes, priority = 'medium' } = req.body
     if (!showId) {
@@ -2214,17 +2966,9 @@ app.post("/api/shows/watchlist", async (req, res) => {
   }
 })
 
-app.put("/api/shows/watchlist", async (req, res) => {
+app.put("/api/shows/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { showId, notes, priority } = req.body
     if (!showId) {
@@ -2245,17 +2989,9 @@ app.put("/api/shows/watchlist", async (req, res) => {
   }
 })
 
-app.delete("/api/shows/watchlist", async (req, res) => {
+app.delete("/api/shows/watchlist", requireAuth, async (req, res) => {
   try {
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const user = req.user
 
     const { showId } = req.query
     if (!showId) {
@@ -2287,37 +3023,23 @@ async function handleRegister(req, res, data) {
       await db.connect()
     }
 
-    const { email, username, password, firstName, lastName } = data
-
-    if (!email || !username || !password) {
-      return res.status(400).json({ error: 'Email, username, and password are required' })
-    }
+    const { UserService } = require('./lib/user-service')
 
-    if (username.length < 3) {
-      return res.status(400).json({ error: 'Username must be at least 3 characters' })
-    }
+    const { email, username, password, firstName, lastName, inviteCode } = data
+    const user = await UserService.registerUser({ email, username, password, firstName, lastName, inviteCode })
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' })
+    // Clients of this action expect to be logged in right away, which is
+    // only possible when unverified users may sign in
+    if (process.env.EMAIL_VERIFICATION_REQUIRED === 'true') {
+      return res.status(201).json({ user, requiresVerification: true })
     }
 
-    // Hash password before storing
-    const hashedPassword = await AuthService.hashPassword(password)
-
-    const user = await db.createUser({
-      email,
-      username,
-      password: hashedPassword,
-      firstName: firstName || '',
-      lastName: lastName || ''
-    })
-
-    const tokens = await AuthService.createSession(user._id)
+    const tokens = await AuthService.createSession(user._id, AuthService.getClientInfo(req))
 
-    return res.status(201).json({ user, ...tokens })
+    return res.status(201).json({ user, requiresVerification: false, ...tokens })
   } catch (error) {
     console.error('[handleRegister] Error:', error)
-    return res.status(500).json({ error: error.message || 'Registration failed' })
+    return res.status(400).json({ error: error.message || 'Registration failed' })
   }
 }
 
@@ -2334,13 +3056,31 @@ async function handleLogin(req, res, data) {
       return res.status(400).json({ error: 'Email and password are required' })
     }
 
+    const client = { ip: req.ip, account: email }
+    const attempt = await LoginProtectionService.checkAttempt('login', client)
+    if (!attempt.allowed) {
+      res.set('Retry-After', String(attempt.retryAfter))
+      return res.status(429).json({ error: 'Too many failed attempts. Try again later.', retryAfter: attempt.retryAfter })
+    }
+
     const user = await db.authenticateUser(email, password)
 
     if (!user) {
+      await LoginProtectionService.recordFailure('login', client, req)
       return res.status(401).json({ error: 'Invalid email or password' })
     }
 
-    const tokens = await AuthService.createSession(user._id)
+    // The second factor is completed through POST /api/auth/2fa/login
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        twoFactorRequired: true,
+        challengeToken: AuthService.generateChallengeToken(user._id.toString()),
+        expiresIn: AuthService.challengeTokenTtl
+      })
+    }
+
+    await LoginProtectionService.recordSuccess('login', client)
+    const tokens = await AuthService.createSession(user._id, AuthService.getClientInfo(req))
 
     return res.status(200).json({ user, ...tokens })
   } catch (error) {
@@ -2356,12 +3096,11 @@ async function handleLogout(req, res, data) {
       await db.connect()
     }
 
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
+    const token = AuthMiddleware.getToken(req)
+    if (!token) {
+      return AuthMiddleware.sendUnauthorized(res, 'Access token is required')
     }
 
-    const token = authHeader.substring(7)
     await AuthService.destroySession(token)
 
     return res.status(200).json({ message: 'Logged out successfully' })
@@ -2378,19 +3117,9 @@ async function handleVerify(req, res, data) {
       await db.connect()
     }
 
-    const authHeader = req.get('authorization')
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization header required' })
-    }
-
-    const token = authHeader.substring(7)
-    const user = await AuthService.verifySession(token)
-
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid or expired token' })
-    }
+    const { UserService } = require('./lib/user-service')
 
-    return res.status(200).json({ user })
+    return await requireAuth(req, res, () => res.status(200).json({ user: UserService.toPublicUser(req.user) }))
   } catch (error) {
     console.error('[handleVerify] Error:', error)
     return res.status(500).json({ error: error.message || 'Token verification failed' })
@@ -2424,7 +3153,7 @@ async function handleRefreshToken(req, res, data) {
 }
 
 // Stripe Payment and Subscription API endpoints
-app.post("/api/payments/create-intent", async (req, res) => {
+app.post("/api/payments/create-intent", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { StripeService } = require('./lib/stripe-service');
@@ -2434,22 +3163,7 @@ app.post("/api/payments/create-intent", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { amount, currency = 'usd', metadata = {} } = req.body;
 
@@ -2483,7 +3197,7 @@ app.post("/api/payments/create-intent", async (req, res) => {
   }
 });
 
-app.post("/api/payments/create-checkout", async (req, res) => {
+app.post("/api/payments/create-checkout", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2493,22 +3207,7 @@ app.post("/api/payments/create-checkout", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { amount, currency = 'usd', successUrl, cancelUrl, metadata = {} } = req.body;
 
@@ -2552,7 +3251,7 @@ app.post("/api/payments/create-checkout", async (req, res) => {
 });
 
 // Subscription Packages endpoints
-app.post("/api/subscriptions/packages", async (req, res) => {
+app.post("/api/subscriptions/packages", requirePermission(RoleService.PERMISSIONS.PACKAGES_MANAGE), async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2562,23 +3261,6 @@ app.post("/api/subscriptions/packages", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
-
     const packageData = req.body;
 
     // Create package
@@ -2665,7 +3347,7 @@ app.get("/api/subscriptions/packages/:packageId", async (req, res) => {
 });
 
 // User Subscriptions endpoints
-app.post("/api/subscriptions/create", async (req, res) => {
+app.post("/api/subscriptions/create", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2675,22 +3357,7 @@ app.post("/api/subscriptions/create", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { packageId, paymentMethodId } = req.body;
 
@@ -2723,7 +3390,7 @@ app.post("/api/subscriptions/create", async (req, res) => {
   }
 });
 
-app.post("/api/subscriptions/custom", async (req, res) => {
+app.post("/api/subscriptions/custom", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2733,22 +3400,7 @@ app.post("/api/subscriptions/custom", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const subscriptionData = req.body;
 
@@ -2773,7 +3425,7 @@ app.post("/api/subscriptions/custom", async (req, res) => {
   }
 });
 
-app.post("/api/subscriptions/checkout", async (req, res) => {
+app.post("/api/subscriptions/checkout", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2783,23 +3435,8 @@ app.post("/api/subscriptions/checkout", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
-
+    const user = req.user;
+
     const { packageId, successUrl, cancelUrl, metadata = {} } = req.body;
 
     if (!packageId) {
@@ -2840,7 +3477,7 @@ app.post("/api/subscriptions/checkout", async (req, res) => {
   }
 });
 
-app.get("/api/subscriptions", async (req, res) => {
+app.get("/api/subscriptions", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2850,22 +3487,7 @@ app.get("/api/subscriptions", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { status } = req.query;
 
@@ -2889,7 +3511,7 @@ app.get("/api/subscriptions", async (req, res) => {
   }
 });
 
-app.get("/api/subscriptions/active", async (req, res) => {
+app.get("/api/subscriptions/active", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2899,22 +3521,7 @@ app.get("/api/subscriptions/active", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     // Get active subscription
     const subscription = await SubscriptionService.getUserActiveSubscription(user._id);
@@ -2933,7 +3540,7 @@ app.get("/api/subscriptions/active", async (req, res) => {
   }
 });
 
-app.post("/api/subscriptions/cancel", async (req, res) => {
+app.post("/api/subscriptions/cancel", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -2943,22 +3550,7 @@ app.post("/api/subscriptions/cancel", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { subscriptionId, cancelImmediately = false } = req.body;
 
@@ -2991,7 +3583,7 @@ app.post("/api/subscriptions/cancel", async (req, res) => {
   }
 });
 
-app.post("/api/subscriptions/portal", async (req, res) => {
+app.post("/api/subscriptions/portal", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -3001,22 +3593,7 @@ app.post("/api/subscriptions/portal", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     const { returnUrl } = req.body;
 
@@ -3048,7 +3625,7 @@ app.post("/api/subscriptions/portal", async (req, res) => {
   }
 });
 
-app.get("/api/payments/methods", async (req, res) => {
+app.get("/api/payments/methods", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { SubscriptionService } = require('./lib/subscription-service');
@@ -3058,22 +3635,7 @@ app.get("/api/payments/methods", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const user = await AuthService.verifySession(token);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const user = req.user;
 
     // Get payment methods
     const paymentMethods = await SubscriptionService.getUserPaymentMethods(user._id);
@@ -3138,7 +3700,7 @@ app.post("/api/webhooks/stripe", async (req, res) => {
 });
 
 // Stripe Events viewing endpoints (for admin/debugging)
-app.get("/api/stripe/events", async (req, res) => {
+app.get("/api/stripe/events", requirePermission(RoleService.PERMISSIONS.STRIPE_EVENTS_READ), async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
 
@@ -3166,7 +3728,7 @@ app.get("/api/stripe/events", async (req, res) => {
   }
 });
 
-app.get("/api/stripe/events/user/:userId", async (req, res) => {
+app.get("/api/stripe/events/user/:userId", requirePermission(RoleService.PERMISSIONS.STRIPE_EVENTS_READ), async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
 
@@ -3196,7 +3758,7 @@ app.get("/api/stripe/events/user/:userId", async (req, res) => {
 });
 
 // Activity tracking API endpoints
-app.get("/api/activities/users/:userId", async (req, res) => {
+app.get("/api/activities/users/:userId", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { ActivityService } = require('./lib/activity-service');
@@ -3206,30 +3768,14 @@ app.get("/api/activities/users/:userId", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const currentUser = await AuthService.verifySession(token);
-    
-    if (!currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const currentUser = req.user;
 
     const { userId } = req.params;
     const { limit, skip } = parseQueryParams(req.query);
     const { activityType, resourceType, startDate, endDate } = req.query;
 
     // Users can only view their own activities (unless admin)
-    if (currentUser._id.toString() !== userId) {
+    if (currentUser._id.toString() !== userId && !RoleService.hasPermission(currentUser, RoleService.PERMISSIONS.ACTIVITIES_READ)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -3263,7 +3809,7 @@ app.get("/api/activities/users/:userId", async (req, res) => {
   }
 });
 
-app.get("/api/activities", async (req, res) => {
+app.get("/api/activities", requirePermission(RoleService.PERMISSIONS.ACTIVITIES_READ), async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { ActivityService } = require('./lib/activity-service');
@@ -3273,27 +3819,6 @@ app.get("/api/activities", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const currentUser = await AuthService.verifySession(token);
-    
-    if (!currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
-
-    // TODO: Add admin role check if needed
-    // For now, any authenticated user can view all activities
-    
     const { limit, skip } = parseQueryParams(req.query);
     const { userId, activityType, resourceType, startDate, endDate } = req.query;
 
@@ -3325,7 +3850,7 @@ app.get("/api/activities", async (req, res) => {
   }
 });
 
-app.get("/api/activities/users/:userId/stats", async (req, res) => {
+app.get("/api/activities/users/:userId/stats", requireAuth, async (req, res) => {
   try {
     const { db } = require('./lib/db-mongodb');
     const { ActivityService } = require('./lib/activity-service');
@@ -3335,29 +3860,13 @@ app.get("/api/activities/users/:userId/stats", async (req, res) => {
       await db.connect();
     }
 
-    const authHeader = req.get('authorization');
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access token is required'
-      });
-    }
-
-    const token = authHeader.substring(7);
-    const currentUser = await AuthService.verifySession(token);
-    
-    if (!currentUser) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid or expired token'
-      });
-    }
+    const currentUser = req.user;
 
     const { userId } = req.params;
     const { startDate, endDate } = req.query;
 
-    // Users can only view their own activity stats
-    if (currentUser._id.toString() !== userId) {
+    // Users can only view their own activity stats (unless admin)
+    if (currentUser._id.toString() !== userId && !RoleService.hasPermission(currentUser, RoleService.PERMISSIONS.ACTIVITIES_READ)) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
@@ -3387,6 +3896,306 @@ app.get("/api/activities/users/:userId/stats", async (req, res) => {
   }
 });
 
+// Role management endpoints
+app.get("/api/admin/roles", requirePermission(RoleService.PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const admins = await db.getUsersWithRole('admin');
+
+    return res.status(200).json({
+      success: true,
+      roles: RoleService.ROLES,
+      admins
+    });
+
+  } catch (error) {
+    console.error('Get roles error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get roles'
+    });
+  }
+});
+
+app.get("/api/admin/users/:userId/roles", requirePermission(RoleService.PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const user = await db.getUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      roles: RoleService.getRoles(user),
+      permissions: RoleService.getPermissions(user)
+    });
+
+  } catch (error) {
+    console.error('Get user roles error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to get user roles'
+    });
+  }
+});
+
+app.post("/api/admin/users/:userId/roles", requirePermission(RoleService.PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role is required'
+      });
+    }
+
+    const roles = await RoleService.grantRole(req.params.userId, role);
+    console.log(`[Roles] ${req.user.email} granted ${role} to ${req.params.userId}`);
+
+    const { ActivityService } = require('./lib/activity-service');
+    await ActivityService.logActivity({
+      userId: req.user._id,
+      activityType: ActivityService.ACTIVITY_TYPES.ROLE_GRANT,
+      resourceType: ActivityService.RESOURCE_TYPES.USER,
+      resourceId: req.params.userId,
+      metadata: { role },
+      req
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role granted successfully',
+      roles
+    });
+
+  } catch (error) {
+    console.error('Grant role error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to grant role'
+    });
+  }
+});
+
+app.delete("/api/admin/users/:userId/roles/:role", requirePermission(RoleService.PERMISSIONS.ROLES_MANAGE), async (req, res) => {
+  try {
+    const roles = await RoleService.revokeRole(req.params.userId, req.params.role);
+    console.log(`[Roles] ${req.user.email} revoked ${req.params.role} from ${req.params.userId}`);
+
+    const { ActivityService } = require('./lib/activity-service');
+    await ActivityService.logActivity({
+      userId: req.user._id,
+      activityType: ActivityService.ACTIVITY_TYPES.ROLE_REVOKE,
+      resourceType: ActivityService.RESOURCE_TYPES.USER,
+      resourceId: req.params.userId,
+      metadata: { role: req.params.role },
+      req
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Role revoked successfully',
+      roles
+    });
+
+  } catch (error) {
+    console.error('Revoke role error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to revoke role'
+    });
+  }
+});
+
+// Invite codes for registration
+app.get("/api/admin/invite-codes", requirePermission(RoleService.PERMISSIONS.INVITES_MANAGE), async (req, res) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
+    const inviteCodes = await db.getInviteCodes(Math.min(parseInt(limit) || 50, 100), parseInt(skip) || 0);
+
+    return res.status(200).json({
+      success: true,
+      inviteOnly: process.env.REGISTRATION_INVITE_ONLY === 'true',
+      inviteCodes
+    });
+
+  } catch (error) {
+    console.error('Get invite codes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get invite codes'
+    });
+  }
+});
+
+app.post("/api/admin/invite-codes", requirePermission(RoleService.PERMISSIONS.INVITES_MANAGE), async (req, res) => {
+  try {
+    const { UserService } = require('./lib/user-service');
+
+    const { maxUses, expiresInDays, note } = req.body;
+    const inviteCode = await UserService.createInviteCode(req.user._id, { maxUses, expiresInDays, note });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Invite code created successfully',
+      inviteCode
+    });
+
+  } catch (error) {
+    console.error('Create invite code error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to create invite code'
+    });
+  }
+});
+
+app.delete("/api/admin/invite-codes/:code", requirePermission(RoleService.PERMISSIONS.INVITES_MANAGE), async (req, res) => {
+  try {
+    const revoked = await db.revokeInviteCode(req.params.code.toUpperCase());
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite code not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Invite code revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invite code error:', error);
+    return res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to revoke invite code'
+    });
+  }
+});
+
+// Comment moderation
+function moderationErrorStatus(error) {
+  if (error.code === 'INVALID_COMMENT') return 400
+  if (error.code === 'COMMENT_NOT_FOUND' || error.code === 'USER_NOT_FOUND') return 404
+  return 500
+}
+
+app.get("/api/admin/moderation/comments", requirePermission(RoleService.PERMISSIONS.COMMENTS_MODERATE), async (req, res) => {
+  try {
+    const { limit, skip } = parseQueryParams(req.query);
+    const queue = await ModerationService.getQueue(req.query.status || 'review', limit, skip);
+
+    return res.status(200).json({
+      success: true,
+      ...queue
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    return res.status(moderationErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to get moderation queue'
+    });
+  }
+});
+
+app.post("/api/admin/moderation/comments/:commentId", requirePermission(RoleService.PERMISSIONS.COMMENTS_MODERATE), async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    const result = await ModerationService.moderateComment(req.params.commentId, req.user, action, reason);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Moderation action applied',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Moderate comment error:', error);
+    return res.status(moderationErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to moderate comment'
+    });
+  }
+});
+
+app.get("/api/admin/moderation/log", requirePermission(RoleService.PERMISSIONS.COMMENTS_MODERATE), async (req, res) => {
+  try {
+    const { ObjectId } = require('mongodb');
+
+    const { limit, skip } = parseQueryParams(req.query);
+    const { commentId, userId } = req.query;
+
+    if ((commentId && !ObjectId.isValid(commentId)) || (userId && !ObjectId.isValid(userId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid commentId or userId'
+      });
+    }
+
+    const log = await db.getModerationLog({ commentId, userId }, limit, skip);
+
+    return res.status(200).json({
+      success: true,
+      ...log
+    });
+
+  } catch (error) {
+    console.error('Get moderation log error:', error);
+    return res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to get moderation log'
+    });
+  }
+});
+
+app.post("/api/admin/users/:userId/comment-restriction", requirePermission(RoleService.PERMISSIONS.COMMENTS_MODERATE), async (req, res) => {
+  try {
+    const { type, durationHours, reason } = req.body;
+    const restriction = await ModerationService.restrictUser(req.params.userId, req.user, { type, durationHours, reason });
+
+    return res.status(200).json({
+      success: true,
+      message: type === 'ban' ? 'User banned from commenting' : 'User muted from commenting',
+      restriction
+    });
+
+  } catch (error) {
+    console.error('Restrict user error:', error);
+    return res.status(moderationErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to restrict user'
+    });
+  }
+});
+
+app.delete("/api/admin/users/:userId/comment-restriction", requirePermission(RoleService.PERMISSIONS.COMMENTS_MODERATE), async (req, res) => {
+  try {
+    const lifted = await ModerationService.liftRestriction(req.params.userId, req.user, req.body && req.body.reason);
+    if (!lifted) {
+      return res.status(404).json({
+        success: false,
+        message: 'User has no commenting restriction'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Commenting restriction lifted'
+    });
+
+  } catch (error) {
+    console.error('Lift restriction error:', error);
+    return res.status(moderationErrorStatus(error)).json({
+      success: false,
+      message: error.message || 'Failed to lift restriction'
+    });
+  }
+});
+
 // Export for Passenger
 module.exports = app
 
@@ -3400,6 +4209,11 @@ if (require.main === module) {
       if (err) throw err
       console.log(`[trakt-proxy] Express server ready on http://localhost:${port}`)
     })
+
+    // Keep the home page lists cached ahead of expiry
+    if (db.isConnected && TraktClient.isConfigured()) {
+      CacheWarmup.start((path, query) => fetchAndCacheOnce(buildProxyFetchOptions({ path, query })))
+    }
   }).catch(error => {
     console.error('[app] Failed to start server:', error)
     process.exit(1)
@@ -42,6 +42,23 @@ class ActivityLogger {
     });
   }
 
+  async logCommentReaction(userId, comment, reaction, reacted, req) {
+    const activityTypes = this.activityService.ACTIVITY_TYPES;
+
+    await this.logActivity({
+      userId,
+      activityType: reacted ? activityTypes.COMMENT_LIKE : activityTypes.COMMENT_UNLIKE,
+      resourceType: this.activityService.RESOURCE_TYPES.COMMENT,
+      resourceId: comment._id,
+      metadata: {
+        reaction,
+        movieId: comment.movieId || null,
+        showId: comment.showId || null
+      },
+      req
+    });
+  }
+
   async logRatingCreate(userId, ratingId, movieId, showId, rating, req) {
     const resourceType = movieId ? this.activityService.RESOURCE_TYPES.MOVIE : this.activityService.RESOURCE_TYPES.SHOW;
     const resourceId = movieId || showId;
@@ -80,6 +97,17 @@ class ActivityLogger {
     });
   }
 
+  async logPasswordChange(userId, req, metadata = {}) {
+    await this.logActivity({
+      userId,
+      activityType: this.activityService.ACTIVITY_TYPES.PASSWORD_CHANGE,
+      resourceType: this.activityService.RESOURCE_TYPES.USER,
+      resourceId: userId,
+      metadata,
+      req
+    });
+  }
+
   async logLogout(userId, req) {
     await this.logActivity({
       userId,
@@ -8,6 +8,11 @@ class ActivityService {
       LOGOUT: 'LOGOUT',
       PASSWORD_CHANGE: 'PASSWORD_CHANGE',
       PROFILE_UPDATE: 'PROFILE_UPDATE',
+      SESSION_REVOKE: 'SESSION_REVOKE',
+      ACCOUNT_LOCK: 'ACCOUNT_LOCK',
+      ACCOUNT_UNLOCK: 'ACCOUNT_UNLOCK',
+      ACCOUNT_LINK: 'ACCOUNT_LINK',
+      ACCOUNT_UNLINK: 'ACCOUNT_UNLINK',
       
       // Comment activities
       COMMENT_CREATE: 'COMMENT_CREATE',
@@ -31,7 +36,12 @@ class ActivityService {
       
       // Movie/Show viewing activities
       MOVIE_VIEW: 'MOVIE_VIEW',
-      SHOW_VIEW: 'SHOW_VIEW'
+      SHOW_VIEW: 'SHOW_VIEW',
+
+      // Admin activities
+      ROLE_GRANT: 'ROLE_GRANT',
+      ROLE_REVOKE: 'ROLE_REVOKE',
+      CACHE_PURGE: 'CACHE_PURGE'
     };
 
     this.RESOURCE_TYPES = {
@@ -41,7 +51,8 @@ class ActivityService {
       COMMENT: 'COMMENT',
       RATING: 'RATING',
       WATCHLIST: 'WATCHLIST',
-      COLLECTION: 'COLLECTION'
+      COLLECTION: 'COLLECTION',
+      CACHE: 'CACHE'
     };
 
     this.ACTIONS = {
@@ -133,6 +144,11 @@ class ActivityService {
       [this.ACTIVITY_TYPES.LOGOUT]: this.ACTIONS.LOGOUT,
       [this.ACTIVITY_TYPES.PASSWORD_CHANGE]: this.ACTIONS.UPDATE,
       [this.ACTIVITY_TYPES.PROFILE_UPDATE]: this.ACTIONS.UPDATE,
+      [this.ACTIVITY_TYPES.SESSION_REVOKE]: this.ACTIONS.DELETE,
+      [this.ACTIVITY_TYPES.ACCOUNT_LOCK]: this.ACTIONS.UPDATE,
+      [this.ACTIVITY_TYPES.ACCOUNT_UNLOCK]: this.ACTIONS.UPDATE,
+      [this.ACTIVITY_TYPES.ACCOUNT_LINK]: this.ACTIONS.CREATE,
+      [this.ACTIVITY_TYPES.ACCOUNT_UNLINK]: this.ACTIONS.DELETE,
       [this.ACTIVITY_TYPES.COMMENT_CREATE]: this.ACTIONS.CREATE,
       [this.ACTIVITY_TYPES.COMMENT_UPDATE]: this.ACTIONS.UPDATE,
       [this.ACTIVITY_TYPES.COMMENT_DELETE]: this.ACTIONS.DELETE,
@@ -148,7 +164,10 @@ class ActivityService {
       [this.ACTIVITY_TYPES.COLLECTION_UPDATE]: this.ACTIONS.UPDATE,
       [this.ACTIVITY_TYPES.COLLECTION_DELETE]: this.ACTIONS.DELETE,
       [this.ACTIVITY_TYPES.MOVIE_VIEW]: this.ACTIONS.VIEW,
-      [this.ACTIVITY_TYPES.SHOW_VIEW]: this.ACTIONS.VIEW
+      [this.ACTIVITY_TYPES.SHOW_VIEW]: this.ACTIONS.VIEW,
+      [this.ACTIVITY_TYPES.ROLE_GRANT]: this.ACTIONS.CREATE,
+      [this.ACTIVITY_TYPES.ROLE_REVOKE]: this.ACTIONS.DELETE,
+      [this.ACTIVITY_TYPES.CACHE_PURGE]: this.ACTIONS.DELETE
     };
 
     return actionMap[activityType] || this.ACTIONS.CREATE;
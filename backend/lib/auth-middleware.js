@@ -0,0 +1,94 @@
+const { AuthService } = require('./auth');
+
+class AuthMiddleware {
+  /**
+   * Get the bearer token from the Authorization header
+   * @param {Object} req - Express request
+   * @returns {string|null} Access token
+   */
+  getToken(req) {
+    const authHeader = req.get('authorization');
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.substring(7);
+  }
+
+  sendUnauthorized(res, message) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message
+    });
+  }
+
+  /**
+   * Resolve the session user once per request and store it on req.user,
+   * with the access token on req.token. A failed lookup is remembered too,
+   * so the rate limiter and the route share a single session query.
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} User document or null
+   */
+  async authenticate(req) {
+    if (req.user) return req.user;
+    if (req.authChecked) return null;
+
+    const token = this.getToken(req);
+    if (!token) return null;
+
+    // Route handlers connect lazily, but they now run after authentication
+    const { db } = require('./db-mongodb');
+    if (!db.isConnected) {
+      await db.connect();
+    }
+
+    const user = await AuthService.verifySession(token);
+    req.authChecked = true;
+    if (!user) return null;
+
+    req.user = user;
+    req.token = token;
+    return user;
+  }
+
+  /**
+   * Middleware that rejects requests without a valid session
+   */
+  async requireAuth(req, res, next) {
+    try {
+      if (!this.getToken(req)) {
+        return this.sendUnauthorized(res, 'Access token is required');
+      }
+
+      const user = await this.authenticate(req);
+      if (!user) {
+        return this.sendUnauthorized(res, 'Invalid or expired token');
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      return this.sendUnauthorized(res, 'Invalid or expired token');
+    }
+  }
+
+  /**
+   * Middleware that sets req.user when a valid session is present and lets
+   * anonymous requests through
+   */
+  async optionalAuth(req, res, next) {
+    try {
+      await this.authenticate(req);
+    } catch (error) {
+      console.error('Optional authentication error:', error);
+    }
+    next();
+  }
+}
+
+// Create singleton instance
+const authMiddleware = new AuthMiddleware();
+
+module.exports = {
+  AuthMiddleware: authMiddleware,
+  requireAuth: authMiddleware.requireAuth.bind(authMiddleware),
+  optionalAuth: authMiddleware.optionalAuth.bind(authMiddleware)
+};
@@ -6,8 +6,9 @@ class AuthService {
   constructor() {
     this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key'
     this.refreshTokenSecret = process.env.REFRESH_TOKEN_SECRET || 'your-refresh-secret-key'
-    this.accessTokenExpiresIn = '7d' // 7 days for access token
-    this.refreshTokenExpiresIn = '90d' // 90 days for refresh token
+    this.accessTokenTtl = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60 // 15 minutes for access token
+    this.refreshTokenTtl = parseInt(process.env.REFRESH_TOKEN_TTL) || 90 * 24 * 60 * 60 // 90 days for refresh token
+    this.challengeTokenTtl = 5 * 60 // 5 minutes to enter the second factor
   }
 
   async hashPassword(password) {
@@ -22,18 +23,39 @@ class AuthService {
     return jwt.sign(
       { userId, type: 'access' },
       this.jwtSecret,
-      { expiresIn: this.accessTokenExpiresIn }
+      { expiresIn: this.accessTokenTtl }
     )
   }
 
-  generateRefreshToken() {
+  // Every refresh token belongs to a family that starts at login; each
+  // rotation issues the next generation of the same family
+  generateRefreshToken(familyId, generation = 0) {
     return jwt.sign(
-      { type: 'refresh', uuid: uuidv4() },
+      { type: 'refresh', uuid: uuidv4(), familyId, generation },
       this.refreshTokenSecret,
-      { expiresIn: this.refreshTokenExpiresIn }
+      { expiresIn: this.refreshTokenTtl }
     )
   }
 
+  // Issued after a correct password when two-factor authentication is on;
+  // only exchangeable for a session together with the second factor
+  generateChallengeToken(userId) {
+    return jwt.sign(
+      { userId, type: 'two_factor_challenge' },
+      this.jwtSecret,
+      { expiresIn: this.challengeTokenTtl }
+    )
+  }
+
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.jwtSecret)
+      return decoded.type === 'two_factor_challenge' ? decoded : null
+    } catch (error) {
+      return null
+    }
+  }
+
   verifyAccessToken(token) {
     try {
       const decoded = jwt.verify(token, this.jwtSecret)
@@ -52,28 +74,57 @@ class AuthService {
     }
   }
 
-  async createSession(userId) {
+  // Client details stored with a session so users can recognise it in their
+  // session list
+  getClientInfo(req) {
+    if (!req) return {}
+    return {
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || (req.connection && req.connection.remoteAddress) || null
+    }
+  }
+
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device'
+
+    const browsers = [
+      ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+    ]
+    const systems = [
+      ['iOS', /iPhone|iPad/], ['Android', /Android/], ['Windows', /Windows/],
+      ['macOS', /Mac OS X/], ['Linux', /Linux/]
+    ]
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent))
+    const system = systems.find(([, pattern]) => pattern.test(userAgent))
+    if (!browser && !system) return userAgent.split(' ')[0]
+
+    return [browser && browser[0], system && system[0]].filter(Boolean).join(' on ')
+  }
+
+  async createSession(userId, client = {}) {
     const { db } = require('./db-mongodb')
 
     // Generate both tokens
+    const familyId = uuidv4()
     const accessToken = this.generateAccessToken(userId.toString())
-    const refreshToken = this.generateRefreshToken()
-
-    // Calculate expiration dates
-    const accessExpiresAt = new Date()
-    accessExpiresAt.setDate(accessExpiresAt.getDate() + 7) // 7 days from now
-
-    const refreshExpiresAt = new Date()
-    refreshExpiresAt.setDate(refreshExpiresAt.getDate() + 90) // 90 days from now
+    const refreshToken = this.generateRefreshToken(familyId)
 
     // Store session in database
+    const now = new Date()
     const sessionData = {
       userId: new (require('mongodb').ObjectId)(userId),
+      familyId,
+      generation: 0,
       accessToken,
       refreshToken,
-      accessExpiresAt,
-      refreshExpiresAt,
-      createdAt: new Date(),
+      accessExpiresAt: new Date(now.getTime() + this.accessTokenTtl * 1000),
+      refreshExpiresAt: new Date(now.getTime() + this.refreshTokenTtl * 1000),
+      userAgent: client.userAgent || null,
+      ipAddress: client.ipAddress || null,
+      createdAt: now,
+      lastUsedAt: now,
       isActive: true
     }
 
@@ -82,7 +133,7 @@ class AuthService {
     return {
       accessToken,
       refreshToken,
-      expiresIn: 7 * 24 * 60 * 60, // 7 days in seconds
+      expiresIn: this.accessTokenTtl,
       tokenType: 'Bearer'
     }
   }
@@ -94,27 +145,83 @@ class AuthService {
     const decoded = this.verifyRefreshToken(refreshToken)
     if (!decoded) return null
 
-    // Find the session with this refresh token
-    const session = await db.findSessionByRefreshToken(refreshToken)
-    if (!session || !session.isActive || session.refreshExpiresAt < new Date()) {
+    // Sessions created before rotation have no family; look them up by token
+    const session = decoded.familyId
+      ? await db.findSessionByFamilyId(decoded.familyId)
+      : await db.findSessionByRefreshToken(refreshToken)
+    if (!session || session.refreshExpiresAt < new Date()) {
+      return null
+    }
+
+    // Revoked sessions are kept until they expire, so a token from one (e.g.
+    // stolen before logout) is recorded as reuse rather than ignored
+    if (!session.isActive) {
+      await this.revokeTokenFamily(session, 'refresh_token_reuse')
       return null
     }
 
-    // Generate new access token
+    // A validly signed token that is no longer the family's current one has
+    // already been used, so the family is assumed stolen
+    if (session.refreshToken !== refreshToken) {
+      await this.revokeTokenFamily(session, 'refresh_token_reuse')
+      return null
+    }
+
+    // Rotate both tokens; the expected old token guards against a concurrent
+    // refresh with the same token
+    const familyId = session.familyId || uuidv4()
+    const generation = (session.generation || 0) + 1
     const newAccessToken = this.generateAccessToken(session.userId.toString())
-    const newAccessExpiresAt = new Date()
-    newAccessExpiresAt.setDate(newAccessExpiresAt.getDate() + 7)
+    const newRefreshToken = this.generateRefreshToken(familyId, generation)
+    const now = new Date()
 
-    // Update the session with new access token
-    await db.updateSessionAccessToken(session._id, newAccessToken, newAccessExpiresAt)
+    const rotated = await db.rotateSessionTokens(session._id, refreshToken, {
+      familyId,
+      generation,
+      // A session joining a family keeps its old token, which carries no
+      // family id, so replaying it is still detected
+      ...(session.familyId ? {} : { legacyRefreshToken: refreshToken }),
+      accessToken: newAccessToken,
+      refreshToken: newRefreshToken,
+      accessExpiresAt: new Date(now.getTime() + this.accessTokenTtl * 1000),
+      refreshExpiresAt: new Date(now.getTime() + this.refreshTokenTtl * 1000),
+      lastUsedAt: now
+    })
+
+    if (!rotated) {
+      await this.revokeTokenFamily(session, 'refresh_token_reuse')
+      return null
+    }
 
     return {
       accessToken: newAccessToken,
-      expiresIn: 7 * 24 * 60 * 60, // 7 days in seconds
+      refreshToken: newRefreshToken,
+      expiresIn: this.accessTokenTtl,
       tokenType: 'Bearer'
     }
   }
 
+  async revokeTokenFamily(session, reason) {
+    const { db } = require('./db-mongodb')
+    const { ActivityService } = require('./activity-service')
+
+    console.warn(`[auth] Revoking session family ${session.familyId || session._id} for user ${session.userId}: ${reason}`)
+
+    if (session.familyId) {
+      await db.revokeSessionFamily(session.familyId, reason)
+    } else {
+      await db.revokeSession(session._id, reason)
+    }
+
+    await ActivityService.logActivity({
+      userId: session.userId,
+      activityType: ActivityService.ACTIVITY_TYPES.SESSION_REVOKE,
+      resourceType: ActivityService.RESOURCE_TYPES.USER,
+      resourceId: session.userId,
+      metadata: { reason, familyId: session.familyId || null }
+    })
+  }
+
   async verifySession(token) {
     const { db } = require('./db-mongodb')
 
@@ -127,14 +234,46 @@ class AuthService {
     return user
   }
 
+  async listSessions(userId, currentToken) {
+    const { db } = require('./db-mongodb')
+
+    const sessions = await db.getUserSessions(userId)
+    return sessions.map(session => ({
+      id: session._id,
+      device: this.describeDevice(session.userAgent),
+      userAgent: session.userAgent || null,
+      ipAddress: session.ipAddress || null,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt || session.updatedAt || session.createdAt,
+      current: session.accessToken === currentToken
+    }))
+  }
+
+  async revokeUserSession(userId, sessionId) {
+    const { db } = require('./db-mongodb')
+    const { ObjectId } = require('mongodb')
+
+    if (!ObjectId.isValid(sessionId)) return false
+    return await db.revokeUserSession(userId, sessionId, 'user_revoked')
+  }
+
+  // "Log out everywhere else": revokes every session except the one
+  // making the request
+  async revokeOtherSessions(userId, currentToken, reason = 'user_revoked') {
+    const { db } = require('./db-mongodb')
+    return await db.revokeOtherUserSessions(userId, currentToken, reason)
+  }
+
+  // Sessions are revoked rather than deleted, so their token family is
+  // still known if one of its refresh tokens is replayed
   async destroySession(token) {
     const { db } = require('./db-mongodb')
-    return await db.destroySession(token)
+    return await db.revokeSessionByAccessToken(token, 'logout')
   }
 
-  async destroyAllUserSessions(userId) {
+  async destroyAllUserSessions(userId, reason = 'all_sessions_ended') {
     const { db } = require('./db-mongodb')
-    return await db.destroyAllUserSessions(userId)
+    return await db.revokeAllUserSessions(userId, reason)
   }
 }
 
@@ -0,0 +1,165 @@
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+class CachePolicy {
+  constructor() {
+    // Default TTL (seconds) for paths that match no rule
+    this.defaultTtl = DAY;
+
+    // TTL (seconds) for negatively cached 404 responses
+    this.notFoundTtl = Number(process.env.TRAKT_CACHE_NOT_FOUND_TTL) || 5 * MINUTE;
+
+    // How long (seconds) an expired entry is kept for stale-while-revalidate
+    // and as a fallback when Trakt is unavailable
+    this.staleTtl = Number(process.env.TRAKT_CACHE_STALE_TTL) || 7 * DAY;
+
+    // Serve expired entries immediately and refresh them in the background
+    this.staleWhileRevalidate = process.env.TRAKT_CACHE_SWR !== 'false';
+
+    // Rules are evaluated in order and the first match wins, so more specific
+    // patterns must come before generic ones. A trailing slash makes the rule
+    // match the path and everything below it; `:param` matches one segment.
+    this.rules = this.compileRules([
+      ...this.loadRulesFromEnv(),
+      { pattern: '/movies/trending', ttl: 15 * MINUTE },
+      { pattern: '/shows/trending', ttl: 15 * MINUTE },
+      { pattern: '/movies/popular', ttl: HOUR },
+      { pattern: '/shows/popular', ttl: HOUR },
+      { pattern: '/movies/boxoffice', ttl: HOUR },
+      { pattern: '/movies/anticipated', ttl: HOUR },
+      { pattern: '/shows/anticipated', ttl: HOUR },
+      { pattern: '/movies/recommended/', ttl: HOUR },
+      { pattern: '/shows/recommended/', ttl: HOUR },
+      { pattern: '/movies/played/', ttl: HOUR },
+      { pattern: '/shows/played/', ttl: HOUR },
+      { pattern: '/movies/watched/', ttl: HOUR },
+      { pattern: '/shows/watched/', ttl: HOUR },
+      { pattern: '/movies/collected/', ttl: HOUR },
+      { pattern: '/shows/collected/', ttl: HOUR },
+      { pattern: '/movies/favorited/', ttl: HOUR },
+      { pattern: '/shows/favorited/', ttl: HOUR },
+      { pattern: '/movies/streaming/', ttl: HOUR },
+      { pattern: '/shows/streaming/', ttl: HOUR },
+      { pattern: '/movies/updates/', ttl: 15 * MINUTE },
+      { pattern: '/shows/updates/', ttl: 15 * MINUTE },
+      { pattern: '/search/', ttl: HOUR },
+      // Every list endpoint above must come before these, or it would be
+      // cached like a single title
+      { pattern: '/movies/:id', ttl: 7 * DAY },
+      { pattern: '/shows/:id', ttl: 7 * DAY },
+      { pattern: '/movies/:id/', ttl: DAY },
+      { pattern: '/shows/:id/', ttl: DAY }
+    ]);
+  }
+
+  /**
+   * Read extra rules from TRAKT_CACHE_POLICY, a JSON array of { pattern, ttl }
+   * objects with ttl in seconds. These take precedence over the built-in rules.
+   * @returns {Array<{pattern: string, ttl: number}>}
+   */
+  loadRulesFromEnv() {
+    if (!process.env.TRAKT_CACHE_POLICY) return [];
+
+    try {
+      const rules = JSON.parse(process.env.TRAKT_CACHE_POLICY);
+      if (!Array.isArray(rules)) throw new Error('TRAKT_CACHE_POLICY must be a JSON array');
+      return rules.filter(rule => typeof rule.pattern === 'string' && Number(rule.ttl) > 0);
+    } catch (error) {
+      console.error('[CachePolicy] Ignoring invalid TRAKT_CACHE_POLICY:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Turn path patterns into regular expressions
+   * @param {Array<{pattern: string, ttl: number}>} rules - Raw rules
+   * @returns {Array<{pattern: string, ttl: number, regex: RegExp}>}
+   */
+  compileRules(rules) {
+    return rules.map(rule => {
+      const isPrefix = rule.pattern.endsWith('/');
+      const source = rule.pattern
+        .replace(/\/+$/, '')
+        .split('/')
+        .map(segment => segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('/');
+
+      return {
+        pattern: rule.pattern,
+        ttl: Number(rule.ttl),
+        regex: new RegExp(`^${source}${isPrefix ? '(/|$)' : '/?$'}`)
+      };
+    });
+  }
+
+  /**
+   * Find the rule that applies to a Trakt path
+   * @param {string} path - Trakt path, optionally with a query string
+   * @returns {Object|null} Matching rule or null
+   */
+  match(path) {
+    const pathname = path.split('?')[0];
+    return this.rules.find(rule => rule.regex.test(pathname)) || null;
+  }
+
+  /**
+   * Build the cache key for a proxied request. The proxy replaces the query
+   * string on the path with `query` and always asks Trakt for
+   * extended=full,images, so neither the path's query string nor `extended`
+   * is part of the key, and the remaining parameters are sorted.
+   * `/movies/1?extended=full` and `/movies/1` share the key `/movies/1{}`.
+   * @param {string} path - Trakt path as requested, may include its query string
+   * @param {Object} query - Parsed query parameters
+   * @returns {string} Cache key
+   */
+  getCacheKey(path, query = {}) {
+    const normalized = {};
+    for (const name of Object.keys(query).sort()) {
+      if (name !== 'extended') normalized[name] = query[name];
+    }
+    return path.split('?')[0] + JSON.stringify(normalized);
+  }
+
+  /**
+   * Split a cache key back into the request it was built from
+   * @param {string} key - Cache key created by getCacheKey
+   * @returns {{path: string, query: Object}|null} Null for keys not created by getCacheKey
+   */
+  parseCacheKey(key) {
+    // Paths come from the URL, where a literal `{` is always percent-encoded
+    const index = key.indexOf('{');
+    if (!key.startsWith('/') || index === -1) return null;
+
+    try {
+      return { path: key.slice(0, index), query: JSON.parse(key.slice(index)) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Name of the group a path's statistics are reported under
+   * @param {string} path - Trakt path, optionally with a query string
+   * @returns {string} The matching rule's pattern, or "default"
+   */
+  getGroup(path) {
+    const rule = this.match(path);
+    return rule ? rule.pattern : 'default';
+  }
+
+  /**
+   * Get the TTL in seconds for a Trakt path
+   * @param {string} path - Trakt path, optionally with a query string
+   * @returns {number} TTL in seconds
+   */
+  getTtl(path) {
+    const rule = this.match(path);
+    return rule ? rule.ttl : this.defaultTtl;
+  }
+}
+
+// Create singleton instance
+const cachePolicy = new CachePolicy();
+
+module.exports = { CachePolicy: cachePolicy };
@@ -0,0 +1,182 @@
+const { CachePolicy } = require('./cache-policy');
+const { CatalogService } = require('./catalog-service');
+
+// Lists shown on the home page
+const DEFAULT_LISTS = [
+  '/movies/trending',
+  '/movies/popular',
+  '/movies/boxoffice',
+  '/shows/trending',
+  '/shows/popular'
+];
+
+class CacheWarmup {
+  constructor() {
+    this.enabled = process.env.CACHE_WARMUP_ENABLED !== 'false';
+    this.intervalSeconds = Number(process.env.CACHE_WARMUP_INTERVAL) || 10 * 60;
+    this.pages = Number(process.env.CACHE_WARMUP_PAGES) || 1;
+    this.includeDetails = process.env.CACHE_WARMUP_DETAILS !== 'false';
+    this.lists = process.env.CACHE_WARMUP_LISTS
+      ? process.env.CACHE_WARMUP_LISTS.split(',').map(list => list.trim()).filter(Boolean)
+      : DEFAULT_LISTS;
+
+    this.refresh = null;
+    this.timer = null;
+    this.running = false;
+    this.totalRuns = 0;
+    this.nextRunAt = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start refreshing on a timer, with a first run straight away
+   * @param {Function} refresh - (path, query) => Promise<{status, data}>, fetches
+   *   a Trakt path and writes it to the proxy cache
+   * @returns {boolean} Whether the job was started
+   */
+  start(refresh) {
+    if (!this.enabled || this.timer) return false;
+
+    this.refresh = refresh;
+    this.timer = setInterval(() => {
+      this.nextRunAt = new Date(Date.now() + this.intervalSeconds * 1000);
+      this.run();
+    }, this.intervalSeconds * 1000);
+    // Don't keep the process alive just for the warm-up
+    this.timer.unref();
+
+    this.nextRunAt = new Date(Date.now() + this.intervalSeconds * 1000);
+    setImmediate(() => this.run());
+
+    console.log(`[CacheWarmup] Warming ${this.lists.length} lists every ${this.intervalSeconds}s`);
+    return true;
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Whether a cache entry is missing or will expire before the next run
+   * @param {string} cacheKey - Proxy cache key
+   * @returns {Promise<boolean>}
+   */
+  async needsRefresh(cacheKey) {
+    const { db } = require('./db-mongodb');
+
+    const cached = await db.getCachedResponse(cacheKey, { allowStale: true });
+    if (!cached || !cached.expiresAt) return true;
+
+    return cached.expiresAt.getTime() - Date.now() < this.intervalSeconds * 1000;
+  }
+
+  /**
+   * Refresh one proxy cache entry if it is about to expire
+   * @param {string} path - Trakt path including its query string
+   * @param {Object} query - Query parameters the frontend sends for it
+   * @param {Object} summary - Run summary to record the outcome in
+   * @returns {Promise<*>} The fresh payload, or null if it was skipped or failed
+   */
+  async warm(path, query, summary) {
+    try {
+      if (!(await this.needsRefresh(CachePolicy.getCacheKey(path, query)))) {
+        summary.skipped++;
+        return null;
+      }
+
+      const result = await this.refresh(path, query);
+      if (result.status < 200 || result.status >= 300) {
+        throw new Error(`Trakt responded with status ${result.status}`);
+      }
+
+      return result.data;
+    } catch (error) {
+      summary.failures.push({ path, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Refresh every configured list and, when a list changed, the detail
+   * records of the movies and shows in it. Runs never overlap.
+   * @returns {Promise<Object|null>} Run summary, or null if a run was already in progress
+   */
+  async run() {
+    if (this.running || !this.refresh) return null;
+    this.running = true;
+
+    const startedAt = new Date();
+    const summary = { listsRefreshed: 0, detailsRefreshed: 0, skipped: 0, failures: [] };
+    const seenDetails = new Set();
+
+    try {
+      for (const list of this.lists) {
+        for (let page = 1; page <= this.pages; page++) {
+          const query = page > 1 ? { page: String(page) } : {};
+          const path = page > 1 ? `${list}?page=${page}` : list;
+
+          const data = await this.warm(path, query, summary);
+          if (data === null) continue;
+          summary.listsRefreshed++;
+
+          if (!this.includeDetails) continue;
+
+          const { movie, show } = CatalogService.extractEntities(data, path);
+          const details = [
+            ...movie.map(item => `/movies/${item.ids.trakt}`),
+            ...show.map(item => `/shows/${item.ids.trakt}`)
+          ];
+
+          for (const detailPath of details) {
+            if (seenDetails.has(detailPath)) continue;
+            seenDetails.add(detailPath);
+
+            if ((await this.warm(detailPath, {}, summary)) !== null) {
+              summary.detailsRefreshed++;
+            }
+          }
+        }
+      }
+    } catch (error) {
+      summary.failures.push({ path: null, error: error.message });
+    } finally {
+      const finishedAt = new Date();
+      this.lastRun = {
+        startedAt,
+        finishedAt,
+        durationMs: finishedAt - startedAt,
+        ...summary
+      };
+      this.totalRuns++;
+      this.running = false;
+    }
+
+    if (summary.failures.length > 0) {
+      console.error(`[CacheWarmup] Run finished with ${summary.failures.length} failures`);
+    }
+
+    return this.lastRun;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      active: !!this.timer,
+      running: this.running,
+      intervalSeconds: this.intervalSeconds,
+      lists: this.lists,
+      pages: this.pages,
+      includeDetails: this.includeDetails,
+      totalRuns: this.totalRuns,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun
+    };
+  }
+}
+
+// Create singleton instance
+const cacheWarmup = new CacheWarmup();
+
+module.exports = { CacheWarmup: cacheWarmup };
@@ -0,0 +1,370 @@
+class CatalogService {
+  constructor() {
+    // Trakt entity type -> catalog collection
+    this.COLLECTIONS = {
+      movie: 'movies',
+      show: 'shows',
+      season: 'seasons',
+      episode: 'episodes',
+      person: 'people'
+    };
+
+    // Fields added by the catalog that are not part of the Trakt payload
+    this.INTERNAL_FIELDS = ['_id', 'createdAt', 'updatedAt', 'showId', 'hasImages'];
+  }
+
+  /**
+   * Work out which Trakt entity a bare object is
+   * @param {Object} item - Object from a Trakt response
+   * @param {string} path - Trakt path the response came from
+   * @returns {string|null} Entity type or null if it is not a catalog entity
+   */
+  detectType(item, path) {
+    if (!item || typeof item !== 'object' || !item.ids || !item.ids.trakt) return null;
+
+    if (item.number !== undefined) {
+      return item.season !== undefined ? 'episode' : 'season';
+    }
+
+    // Lists and users also carry ids, so bare objects are only trusted
+    // when the path says what they are
+    const pathname = path.split('?')[0];
+    if (pathname.startsWith('/people/') && item.name) return 'person';
+    if (item.title === undefined) return null;
+    if (pathname.startsWith('/movies/')) return 'movie';
+    if (pathname.startsWith('/shows/')) return 'show';
+
+    return null;
+  }
+
+  /**
+   * Get the show a season/episode belongs to from a /shows/:id/... path
+   * @param {string} path - Trakt path
+   * @returns {string|null} Show id or slug
+   */
+  getShowIdFromPath(path) {
+    const match = path.split('?')[0].match(/^\/shows\/([^/]+)\/(seasons|episodes)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Collect every catalog entity in a Trakt response
+   * @param {*} data - Trakt response body
+   * @param {string} path - Trakt path the response came from
+   * @returns {Object} Entity type -> array of Trakt objects
+   */
+  extractEntities(data, path) {
+    const entities = { movie: [], show: [], season: [], episode: [], person: [] };
+    const pathShowId = this.getShowIdFromPath(path);
+
+    const visit = (node, context) => {
+      if (Array.isArray(node)) {
+        node.forEach(child => visit(child, context));
+        return;
+      }
+      if (!node || typeof node !== 'object') return;
+
+      const type = this.detectType(node, path);
+      if (type) {
+        const entity = { ...node };
+        if ((type === 'season' || type === 'episode') && context.showId) {
+          entity.showId = context.showId;
+        }
+        // Seasons with extended=episodes carry their episodes inline
+        if (type === 'season' && Array.isArray(node.episodes)) {
+          visit(node.episodes, context);
+        }
+        entities[type].push(entity);
+        return;
+      }
+
+      // Wrapper objects such as { watchers, movie } or { episode, show }
+      const show = node.show && node.show.ids ? node.show : null;
+      const childContext = show ? { showId: String(show.ids.trakt) } : context;
+      for (const key of Object.keys(this.COLLECTIONS)) {
+        if (node[key] && typeof node[key] === 'object' && node[key].ids && node[key].ids.trakt) {
+          const entity = { ...node[key] };
+          if ((key === 'season' || key === 'episode') && childContext.showId) {
+            entity.showId = childContext.showId;
+          }
+          entities[key].push(entity);
+        }
+      }
+
+      // Nested groupings such as { cast: [...], crew: { directing: [...] } }
+      for (const [key, value] of Object.entries(node)) {
+        if (this.COLLECTIONS[key]) continue;
+        if (value && typeof value === 'object') visit(value, childContext);
+      }
+    };
+
+    visit(data, { showId: pathShowId });
+    return entities;
+  }
+
+  /**
+   * Upsert every entity in a Trakt response into the catalog collections
+   * @param {*} data - Trakt response body
+   * @param {string} path - Trakt path the response came from
+   * @param {Object} options - Save options
+   * @param {boolean} options.hasImages - Whether the response was requested with extended=images
+   * @returns {Promise<number>} Number of entities written
+   */
+  async saveFromResponse(data, path, { hasImages = false } = {}) {
+    const { db } = require('./db-mongodb');
+    if (!db.isConnected) return 0;
+
+    const entities = this.extractEntities(data, path);
+    let saved = 0;
+
+    for (const [type, items] of Object.entries(entities)) {
+      if (items.length === 0) continue;
+      await db.upsertCatalogItems(this.COLLECTIONS[type], items, { hasImages });
+      saved += items.length;
+    }
+
+    return saved;
+  }
+
+  /**
+   * Reduce a response to catalog references. Lists become ordered arrays of
+   * references; a single entity becomes one reference.
+   * @param {*} data - Trakt response body
+   * @param {string} path - Trakt path the response came from
+   * @returns {Object|null} { list } or { item }, or null if the response cannot be referenced
+   */
+  toReferences(data, path) {
+    const toReference = (element) => {
+      const type = this.detectType(element, path);
+      if (type) return { type, id: element.ids.trakt };
+
+      if (!element || typeof element !== 'object') return null;
+
+      const fields = {};
+      const refs = {};
+      for (const [key, value] of Object.entries(element)) {
+        if (this.COLLECTIONS[key] && value && value.ids && value.ids.trakt) {
+          refs[key] = value.ids.trakt;
+        } else {
+          fields[key] = value;
+        }
+      }
+
+      return Object.keys(refs).length > 0 ? { fields, refs } : null;
+    };
+
+    if (Array.isArray(data)) {
+      // Seasons can embed episode lists, which do not round-trip through references
+      if (data.length === 0 || data.some(element => element && Array.isArray(element.episodes))) return null;
+
+      const list = data.map(toReference);
+      return list.every(Boolean) ? { list } : null;
+    }
+
+    const type = this.detectType(data, path);
+    return type ? { item: { type, id: data.ids.trakt } } : null;
+  }
+
+  /**
+   * Rebuild a response from catalog references
+   * @param {Object} references - Value returned by toReferences
+   * @returns {Promise<Object|null>} { data, hasImages } where hasImages is true only if
+   *   every referenced entity has images, or null if a referenced entity is missing
+   */
+  async fromReferences(references) {
+    const { db } = require('./db-mongodb');
+
+    const wanted = {};
+    const want = (type, id) => {
+      wanted[type] = wanted[type] || new Set();
+      wanted[type].add(id);
+    };
+
+    if (references.item) {
+      want(references.item.type, references.item.id);
+    } else {
+      for (const ref of references.list) {
+        if (ref.type) {
+          want(ref.type, ref.id);
+        } else {
+          Object.entries(ref.refs).forEach(([type, id]) => want(type, id));
+        }
+      }
+    }
+
+    const found = {};
+    let hasImages = true;
+    for (const [type, ids] of Object.entries(wanted)) {
+      const docs = await db.getCatalogItemsByTraktIds(this.COLLECTIONS[type], [...ids]);
+      if (docs.some(doc => !doc.hasImages)) hasImages = false;
+      found[type] = new Map(docs.map(doc => [doc.ids.trakt, this.stripInternalFields(doc)]));
+    }
+
+    const lookup = (type, id) => found[type] && found[type].get(id);
+
+    if (references.item) {
+      const entity = lookup(references.item.type, references.item.id);
+      return entity ? { data: entity, hasImages } : null;
+    }
+
+    const list = [];
+    for (const ref of references.list) {
+      if (ref.type) {
+        const entity = lookup(ref.type, ref.id);
+        if (!entity) return null;
+        list.push(entity);
+      } else {
+        const element = { ...ref.fields };
+        for (const [type, id] of Object.entries(ref.refs)) {
+          const entity = lookup(type, id);
+          if (!entity) return null;
+          element[type] = entity;
+        }
+        list.push(element);
+      }
+    }
+
+    return { data: list, hasImages };
+  }
+
+  stripInternalFields(doc) {
+    const entity = { ...doc };
+    this.INTERNAL_FIELDS.forEach(field => delete entity[field]);
+    return entity;
+  }
+
+  /**
+   * Parse a Trakt-style range filter such as "2010" or "2010-2015"
+   * @param {string} value - Raw filter value
+   * @param {string} name - Filter name, for the error message
+   * @returns {Object} MongoDB range condition
+   */
+  parseRange(value, name) {
+    const match = String(value).match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      const error = new Error(`${name} must be a number or a range like 2010-2015`);
+      error.code = 'INVALID_SEARCH_FILTER';
+      throw error;
+    }
+
+    const from = Number(match[1]);
+    const to = match[2] !== undefined ? Number(match[2]) : from;
+    return { $gte: Math.min(from, to), $lte: Math.max(from, to) };
+  }
+
+  /**
+   * Turn search filters into a MongoDB query. Filter names follow Trakt's
+   * search filters so they can be passed on to the Trakt fallback unchanged.
+   * @param {Object} filters - Search filters
+   * @param {string} filters.years - Year or year range
+   * @param {string} filters.genres - Comma separated genre slugs
+   * @param {string} filters.runtimes - Runtime range in minutes
+   * @param {string} filters.certifications - Comma separated certifications
+   * @param {string|number} filters.minRating - Minimum Trakt rating (0-10)
+   * @returns {Object} MongoDB query
+   */
+  buildSearchQuery({ years, genres, runtimes, certifications, minRating } = {}) {
+    const query = {};
+    const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+    if (years) query.year = this.parseRange(years, 'years');
+    if (runtimes) query.runtime = this.parseRange(runtimes, 'runtimes');
+    if (genres) query.genres = { $in: list(genres).map(genre => genre.toLowerCase()) };
+    if (certifications) query.certification = { $in: list(certifications).map(cert => cert.toUpperCase()) };
+
+    if (minRating !== undefined && minRating !== '') {
+      const rating = Number(minRating);
+      if (Number.isNaN(rating) || rating < 0 || rating > 10) {
+        const error = new Error('min_rating must be a number between 0 and 10');
+        error.code = 'INVALID_SEARCH_FILTER';
+        throw error;
+      }
+      query.rating = { $gte: rating };
+    }
+
+    return query;
+  }
+
+  /**
+   * Search the local movie/show catalog
+   * @param {Object} options - Search options
+   * @param {string} options.query - Search text (optional when filtering only)
+   * @param {Array<string>} options.types - 'movie' and/or 'show'
+   * @param {Object} options.filters - Filters accepted by buildSearchQuery
+   * @param {number} options.limit - Page size
+   * @param {number} options.skip - Results to skip
+   * @returns {Promise<Array>} Results shaped like Trakt search results
+   */
+  async searchLocal({ query, types, filters, limit, skip }) {
+    const { db } = require('./db-mongodb');
+    const mongoQuery = this.buildSearchQuery(filters);
+
+    // Fetch enough from each collection to page through the merged list
+    const results = [];
+    for (const type of types) {
+      const docs = await db.searchCatalog(this.COLLECTIONS[type], query, mongoQuery, skip + limit);
+      docs.forEach(doc => {
+        const { score, ...entity } = doc;
+        results.push({ type, score: score || 0, votes: entity.votes || 0, [type]: this.stripInternalFields(entity) });
+      });
+    }
+
+    results.sort((a, b) => query ? b.score - a.score : b.votes - a.votes);
+
+    return results.slice(skip, skip + limit).map(({ votes, ...result }) => result);
+  }
+
+  /**
+   * Search the catalog, topping it up from Trakt when there are only a few
+   * local matches
+   * @param {Object} options - Options accepted by searchLocal
+   * @returns {Promise<Object>} { source, results } where source is 'catalog' or 'trakt'
+   */
+  async search({ query, types = ['movie', 'show'], filters = {}, limit = 20, skip = 0 }) {
+    const { db } = require('./db-mongodb');
+    const { TraktClient } = require('./trakt-client');
+
+    let results = await this.searchLocal({ query, types, filters, limit, skip });
+
+    // Only the first page of a text search is worth a Trakt round trip
+    const minResults = Math.min(limit, Number(process.env.CATALOG_SEARCH_MIN_RESULTS) || 5);
+    if (!query || skip > 0 || results.length >= minResults || !TraktClient.isConfigured()) {
+      return { source: 'catalog', results };
+    }
+
+    try {
+      const path = `/search/${types.join(',')}`;
+      const traktQuery = { query, extended: 'full,images', limit: Math.max(limit, 20) };
+      for (const name of ['years', 'genres', 'runtimes', 'certifications']) {
+        if (filters[name]) traktQuery[name] = filters[name];
+      }
+      // Trakt rates 0-100 in its filters
+      if (filters.minRating !== undefined && filters.minRating !== '') {
+        traktQuery.ratings = `${Math.round(Number(filters.minRating) * 10)}-100`;
+      }
+
+      const response = await TraktClient.request(path, { query: traktQuery });
+      if (!response.ok) throw new Error(`Trakt responded with status ${response.status}`);
+
+      const data = await response.json();
+
+      // Without a database the Trakt results are all there is
+      if (!db.isConnected) {
+        return { source: 'trakt', results: data.slice(0, limit) };
+      }
+
+      await this.saveFromResponse(data, path, { hasImages: true });
+      results = await this.searchLocal({ query, types, filters, limit, skip });
+      return { source: 'trakt', results };
+    } catch (error) {
+      // Offline or rate limited - the local results are still useful
+      console.error('[CatalogService] Trakt search fallback failed:', error.message);
+      return { source: 'catalog', results };
+    }
+  }
+}
+
+// Create singleton instance
+const catalogService = new CatalogService();
+
+module.exports = { CatalogService: catalogService };
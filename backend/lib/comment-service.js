@@ -0,0 +1,569 @@
+const { ObjectId } = require('mongodb');
+
+class CommentService {
+  constructor() {
+    this.maxLength = 2000;
+
+    // Top-level comments have depth 0, so replies can nest this many levels
+    this.maxDepth = parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+    // Replies included with each top-level comment in listings
+    this.previewReplies = parseInt(process.env.COMMENT_PREVIEW_REPLIES) || 3;
+
+    this.REACTION_TYPES = ['like', 'love', 'laugh', 'insightful', 'sad'];
+
+    this.SORT_OPTIONS = {
+      newest: { createdAt: -1, _id: -1 },
+      oldest: { createdAt: 1, _id: 1 },
+      most_liked: { likes: -1, createdAt: -1, _id: -1 },
+      most_replied: { replyCount: -1, createdAt: -1, _id: -1 }
+    };
+
+    // auto hides spoilers until the user has rated or watched the title
+    this.SPOILER_PREFERENCES = ['auto', 'show', 'hide'];
+    this.maxSpoilerRanges = 20;
+
+    // Edits this soon after posting, before anyone replies, replace the
+    // content without keeping a revision
+    this.editGraceSeconds = parseInt(process.env.COMMENT_EDIT_GRACE_SECONDS) || 0;
+  }
+
+  /**
+   * Create an error the routes can map to a status code
+   * @param {string} message
+   * @param {string} code - INVALID_COMMENT or COMMENT_NOT_FOUND
+   * @returns {Error}
+   */
+  commentError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Validate and trim comment content
+   * @param {string} content
+   * @returns {string}
+   */
+  validateContent(content) {
+    if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      throw this.commentError('Comment content is required', 'INVALID_COMMENT');
+    }
+
+    if (content.length > this.maxLength) {
+      throw this.commentError(`Comment content must be less than ${this.maxLength} characters`, 'INVALID_COMMENT');
+    }
+
+    return content.trim();
+  }
+
+  /**
+   * Validate inline spoiler ranges and make them relative to the trimmed
+   * content. Overlapping or touching ranges are merged.
+   * @param {string} content - content as sent, before trimming
+   * @param {Array<{start: number, end: number}>} [ranges] - character offsets into content, end exclusive
+   * @returns {Array<{start: number, end: number}>}
+   */
+  normalizeSpoilerRanges(content, ranges) {
+    if (ranges === undefined || ranges === null) return [];
+
+    if (!Array.isArray(ranges) || ranges.length > this.maxSpoilerRanges) {
+      throw this.commentError(`Spoiler ranges must be a list of at most ${this.maxSpoilerRanges} ranges`, 'INVALID_COMMENT');
+    }
+
+    const leading = content.length - content.trimStart().length;
+    const length = content.trim().length;
+
+    const sorted = ranges
+      .map(range => {
+        const { start, end } = range || {};
+        if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > content.length) {
+          throw this.commentError('Each spoiler range needs integer start and end offsets within the content', 'INVALID_COMMENT');
+        }
+        return {
+          start: Math.min(Math.max(start - leading, 0), length),
+          end: Math.min(Math.max(end - leading, 0), length)
+        };
+      })
+      .filter(range => range.end > range.start)
+      .sort((a, b) => a.start - b.start);
+
+    return sorted.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Create a top-level comment or, with parentId, a reply in the parent's
+   * thread. Comments caught by the moderation filters are held for review.
+   * @param {Object} user - author
+   * @param {Object} data
+   * @param {string} data.contentType - 'movie' or 'show'
+   * @param {string} [data.contentId] - movie or show ID; taken from the parent for replies
+   * @param {string} data.content
+   * @param {boolean} [data.isSpoiler] - the whole comment is a spoiler
+   * @param {Array<{start: number, end: number}>} [data.spoilerRanges] - spoilers within the content
+   * @param {string} [data.parentId]
+   * @returns {Promise<Object>} The created comment's ID, status and thread position
+   */
+  async createComment(user, { contentType, contentId, content, isSpoiler = false, spoilerRanges, parentId = null }) {
+    const { db } = require('./db-mongodb');
+    const { ModerationService } = require('./moderation-service');
+    const idField = contentType === 'movie' ? 'movieId' : 'showId';
+    const label = contentType === 'movie' ? 'Movie' : 'Show';
+
+    if (!contentId && !parentId) {
+      throw this.commentError(`${label} ID is required`, 'INVALID_COMMENT');
+    }
+
+    ModerationService.assertCanComment(user);
+
+    const trimmed = this.validateContent(content);
+    const heldReasons = ModerationService.checkContent(trimmed, user);
+    const commentData = {
+      userId: user._id,
+      [idField]: contentId,
+      content: trimmed,
+      isSpoiler: Boolean(isSpoiler),
+      spoilerRanges: this.normalizeSpoilerRanges(content, spoilerRanges),
+      type: contentType,
+      status: heldReasons.length > 0 ? 'pending' : 'visible'
+    };
+    if (heldReasons.length > 0) {
+      Object.assign(commentData, { moderation: { heldReasons, heldAt: new Date() }, flaggedAt: new Date() });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = ObjectId.isValid(parentId) ? await db.getCommentById(parentId) : null;
+      if (!parent || !parent[idField]) {
+        throw this.commentError('Parent comment not found', 'COMMENT_NOT_FOUND');
+      }
+
+      if (contentId && String(parent[idField]) !== String(contentId)) {
+        throw this.commentError(`Parent comment belongs to a different ${contentType}`, 'INVALID_COMMENT');
+      }
+
+      if (parent.isDeleted) {
+        throw this.commentError('Cannot reply to a deleted comment', 'INVALID_COMMENT');
+      }
+
+      if (['pending', 'hidden'].includes(parent.status)) {
+        throw this.commentError('Cannot reply to a comment that is awaiting moderation or hidden', 'INVALID_COMMENT');
+      }
+
+      const depth = (parent.depth || 0) + 1;
+      if (depth > this.maxDepth) {
+        throw this.commentError(`Replies can only be nested ${this.maxDepth} levels deep`, 'INVALID_COMMENT');
+      }
+
+      Object.assign(commentData, {
+        [idField]: parent[idField],
+        parentId: parent._id,
+        rootId: parent.rootId || parent._id,
+        depth
+      });
+    }
+
+    const commentId = await db.createComment(commentData);
+    if (parent) {
+      await db.incrementCommentReplyCount(parent._id, 1);
+    }
+    if (heldReasons.length > 0) {
+      await ModerationService.logHold({ _id: commentId, userId: user._id }, heldReasons);
+    }
+
+    return {
+      commentId,
+      status: commentData.status,
+      heldReasons,
+      [idField]: commentData[idField],
+      parentId: commentData.parentId || null,
+      rootId: commentData.rootId || null,
+      depth: commentData.depth || 0
+    };
+  }
+
+  /**
+   * Edit the user's own comment. The replaced version is kept as a revision
+   * unless the edit falls in the grace window; edits that change nothing are
+   * not saved. Edits caught by the moderation filters are held for review.
+   * @param {string} commentId
+   * @param {Object} user - author
+   * @param {Object} data
+   * @param {string} data.content
+   * @param {boolean} [data.isSpoiler] - keeps the current value when not given
+   * @param {Array<{start: number, end: number}>} [data.spoilerRanges]
+   * @returns {Promise<boolean>} false if the comment does not exist or is not the user's
+   */
+  async editComment(commentId, user, { content, isSpoiler, spoilerRanges } = {}) {
+    const { db } = require('./db-mongodb');
+    const { ModerationService } = require('./moderation-service');
+
+    ModerationService.assertCanComment(user);
+
+    const trimmed = this.validateContent(content);
+    const ranges = this.normalizeSpoilerRanges(content, spoilerRanges);
+
+    if (!ObjectId.isValid(commentId)) return false;
+
+    const comment = await db.getCommentById(commentId);
+    if (!comment || comment.isDeleted || comment.userId.toString() !== user._id.toString()) {
+      return false;
+    }
+
+    const spoiler = isSpoiler === undefined ? !!comment.isSpoiler : Boolean(isSpoiler);
+    if (
+      trimmed === comment.content &&
+      spoiler === !!comment.isSpoiler &&
+      JSON.stringify(ranges) === JSON.stringify(comment.spoilerRanges || [])
+    ) {
+      return true;
+    }
+
+    const updates = { content: trimmed, isSpoiler: spoiler, spoilerRanges: ranges };
+    const heldReasons = ModerationService.checkContent(trimmed, user);
+    if (heldReasons.length > 0) {
+      Object.assign(updates, {
+        status: 'pending',
+        'moderation.heldReasons': heldReasons,
+        'moderation.heldAt': new Date(),
+        flaggedAt: new Date()
+      });
+    }
+
+    const inGraceWindow = !(comment.replyCount > 0) &&
+      Date.now() - comment.createdAt.getTime() < this.editGraceSeconds * 1000;
+
+    const updated = await db.updateComment(commentId, user._id, updates, { revise: !inGraceWindow });
+    if (updated && heldReasons.length > 0) {
+      await ModerationService.logHold({ _id: comment._id, userId: user._id }, heldReasons);
+    }
+    return updated;
+  }
+
+  /**
+   * Earlier versions of a comment, most recent first. Spoilers in them are
+   * hidden the same way as in listings.
+   * @param {string} commentId
+   * @param {number} limit
+   * @param {number} skip
+   * @param {Object|null} viewer - signed-in user, if any
+   * @param {Object} [options]
+   * @param {string} [options.spoilers] - show or hide to override the viewer's preference
+   * @returns {Promise<Object>} Current comment, revisions and pagination
+   */
+  async getRevisions(commentId, limit, skip, viewer = null, { spoilers } = {}) {
+    const { db } = require('./db-mongodb');
+    const viewerId = viewer ? viewer._id : null;
+
+    const comment = ObjectId.isValid(commentId) ? await db.getCommentById(commentId) : null;
+    const [current] = comment ? await db.formatComments([comment], viewerId) : [];
+    if (!current || current.isDeleted || current.isHidden) {
+      throw this.commentError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    const contentType = comment.movieId ? 'movie' : 'show';
+    const isAuthor = viewerId && comment.userId.toString() === viewerId.toString();
+    const reveal = isAuthor || await this.shouldRevealSpoilers(viewer, contentType, comment.movieId || comment.showId, spoilers);
+
+    const { revisions, pagination } = await db.getCommentRevisions(comment._id, limit, skip);
+
+    return {
+      comment: this.redactSpoilers(current, reveal, viewerId),
+      revisions: revisions.map(revision => this.redactSpoilers(revision, reveal, viewerId)),
+      pagination
+    };
+  }
+
+  /**
+   * Resolve a sort option name to a sort specification
+   * @param {string} [sort] - one of SORT_OPTIONS
+   * @param {string} fallback - option used when sort is not given
+   * @returns {Object}
+   */
+  getSort(sort, fallback) {
+    const name = sort || fallback;
+    if (!this.SORT_OPTIONS[name]) {
+      throw this.commentError(`Sort must be one of: ${Object.keys(this.SORT_OPTIONS).join(', ')}`, 'INVALID_COMMENT');
+    }
+    return this.SORT_OPTIONS[name];
+  }
+
+  /**
+   * Whether a viewer gets to see spoilers for a title
+   * @param {Object|null} viewer - signed-in user, if any
+   * @param {string} contentType - 'movie' or 'show'
+   * @param {string} contentId
+   * @param {string} [override] - show or hide for this request only
+   * @returns {Promise<boolean>}
+   */
+  async shouldRevealSpoilers(viewer, contentType, contentId, override) {
+    const { db } = require('./db-mongodb');
+
+    if (override !== undefined && override !== null && !this.SPOILER_PREFERENCES.includes(override)) {
+      throw this.commentError(`Spoilers must be one of: ${this.SPOILER_PREFERENCES.join(', ')}`, 'INVALID_COMMENT');
+    }
+
+    const preference = override && override !== 'auto'
+      ? override
+      : (viewer && viewer.preferences && viewer.preferences.spoilers) || 'auto';
+
+    if (preference === 'show') return true;
+    if (preference === 'hide' || !viewer) return false;
+
+    return await db.hasSeenContent(viewer._id, contentType, contentId);
+  }
+
+  /**
+   * Hide spoilers in a formatted comment and its replies. Whole-comment
+   * spoilers lose their content; inline ranges are replaced by [spoiler].
+   * Authors always see their own comments in full.
+   * @param {Object} comment
+   * @param {boolean} reveal
+   * @param {ObjectId|null} viewerId
+   * @returns {Object}
+   */
+  redactSpoilers(comment, reveal, viewerId) {
+    const replies = comment.replies
+      ? comment.replies.map(reply => this.redactSpoilers(reply, reveal, viewerId))
+      : undefined;
+    const ranges = comment.spoilerRanges || [];
+    const isAuthor = viewerId && comment.userId && comment.userId.toString() === viewerId.toString();
+    const hasSpoilers = comment.isSpoiler || ranges.length > 0;
+
+    if (reveal || isAuthor || comment.isDeleted || comment.isHidden || !hasSpoilers) {
+      return { ...comment, spoilerRanges: ranges, spoilersRedacted: false, ...(replies && { replies }) };
+    }
+
+    let content = null;
+    if (!comment.isSpoiler) {
+      content = '';
+      let position = 0;
+      ranges.forEach(range => {
+        content += comment.content.slice(position, range.start) + '[spoiler]';
+        position = range.end;
+      });
+      content += comment.content.slice(position);
+    }
+
+    return { ...comment, content, spoilerRanges: [], spoilersRedacted: true, ...(replies && { replies }) };
+  }
+
+  /**
+   * Top-level comments for a movie or show with a preview of their replies
+   * @param {string} contentType - 'movie' or 'show'
+   * @param {string} contentId
+   * @param {number} limit
+   * @param {number} skip
+   * @param {Object|null} viewer - signed-in user, if any
+   * @param {Object} [options]
+   * @param {string} [options.sort] - newest (default), oldest, most_liked or most_replied
+   * @param {string} [options.spoilers] - show or hide to override the viewer's preference
+   * @returns {Promise<Object>} Comments and pagination
+   */
+  async getComments(contentType, contentId, limit, skip, viewer = null, { sort, spoilers } = {}) {
+    const { db } = require('./db-mongodb');
+    const viewerId = viewer ? viewer._id : null;
+
+    const sortSpec = this.getSort(sort, 'newest');
+    const reveal = await this.shouldRevealSpoilers(viewer, contentType, contentId, spoilers);
+
+    const result = await db.getComments(contentType, contentId, limit, skip, viewerId, {
+      previewReplies: this.previewReplies,
+      sort: sortSpec
+    });
+
+    return {
+      ...result,
+      comments: result.comments.map(comment => this.redactSpoilers(comment, reveal, viewerId))
+    };
+  }
+
+  /**
+   * Page through the direct replies of a comment
+   * @param {string} commentId
+   * @param {number} limit
+   * @param {number} skip
+   * @param {Object|null} viewer - signed-in user, if any
+   * @param {Object} [options]
+   * @param {string} [options.sort] - oldest (default), newest, most_liked or most_replied
+   * @param {string} [options.spoilers] - show or hide to override the viewer's preference
+   * @returns {Promise<Object>} Parent comment, replies and pagination
+   */
+  async getReplies(commentId, limit, skip, viewer = null, { sort, spoilers } = {}) {
+    const { db } = require('./db-mongodb');
+    const viewerId = viewer ? viewer._id : null;
+    const sortSpec = this.getSort(sort, 'oldest');
+
+    const comment = ObjectId.isValid(commentId) ? await db.getCommentById(commentId) : null;
+    if (!comment) {
+      throw this.commentError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    const contentType = comment.movieId ? 'movie' : 'show';
+    const reveal = await this.shouldRevealSpoilers(viewer, contentType, comment.movieId || comment.showId, spoilers);
+
+    const [parent] = await db.formatComments([comment], viewerId);
+    const { replies, pagination } = await db.getCommentReplies(comment._id, limit, skip, viewerId, sortSpec);
+
+    return {
+      comment: this.redactSpoilers(parent, reveal, viewerId),
+      replies: replies.map(reply => this.redactSpoilers(reply, reveal, viewerId)),
+      pagination
+    };
+  }
+
+  /**
+   * Check a reaction type
+   * @param {string} type
+   * @returns {string}
+   */
+  validateReaction(type) {
+    if (!this.REACTION_TYPES.includes(type)) {
+      throw this.commentError(`Reaction must be one of: ${this.REACTION_TYPES.join(', ')}`, 'INVALID_COMMENT');
+    }
+    return type;
+  }
+
+  /**
+   * Add or remove the user's reaction to a comment. Adding a reaction the user
+   * already has, or removing one they do not have, changes nothing.
+   * @param {string} commentId
+   * @param {string|ObjectId} userId
+   * @param {string} type - one of REACTION_TYPES
+   * @param {boolean} reacted - true to add the reaction, false to remove it
+   * @param {Object} [req] - request, for the activity log
+   * @returns {Promise<Object>} Whether anything changed and the comment's reaction counts
+   */
+  async setReaction(commentId, userId, type, reacted, req = null) {
+    const { db } = require('./db-mongodb');
+    this.validateReaction(type);
+
+    const result = ObjectId.isValid(commentId)
+      ? await db.setCommentReaction(commentId, userId, type, reacted)
+      : null;
+    if (!result) {
+      throw this.commentError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    const [comment] = await db.formatComments([result.comment], userId);
+
+    if (result.changed) {
+      const { activityLogger } = require('./activity-logger');
+      await activityLogger.logCommentReaction(userId, comment, type, reacted, req);
+    }
+
+    return {
+      changed: result.changed,
+      reaction: type,
+      reacted,
+      likes: comment.likes || 0,
+      reactions: comment.reactions,
+      currentUserReactions: comment.currentUserReactions
+    };
+  }
+
+  /**
+   * Like the comment unless the user already did, otherwise unlike it
+   * @param {string} commentId
+   * @param {string|ObjectId} userId
+   * @param {Object} [req]
+   * @returns {Promise<Object>} Action taken ('liked' or 'unliked') and the like count
+   */
+  async toggleLike(commentId, userId, req = null) {
+    let result = await this.setReaction(commentId, userId, 'like', true, req);
+    if (!result.changed) {
+      result = await this.setReaction(commentId, userId, 'like', false, req);
+    }
+
+    return { action: result.reacted ? 'liked' : 'unliked', likes: result.likes };
+  }
+
+  /**
+   * Users who reacted to a comment with a type, most recent first
+   * @param {string} commentId
+   * @param {string} [type] - defaults to like
+   * @param {number} limit
+   * @param {number} skip
+   * @returns {Promise<Object>} Users and pagination
+   */
+  async getReactionUsers(commentId, type, limit, skip) {
+    const { db } = require('./db-mongodb');
+    const reaction = this.validateReaction(type || 'like');
+
+    const result = ObjectId.isValid(commentId)
+      ? await db.getCommentReactionUsers(commentId, reaction, limit, skip)
+      : null;
+    if (!result) {
+      throw this.commentError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    return { reaction, ...result };
+  }
+
+  /**
+   * Tombstone a comment that has replies; its earlier versions go with its content
+   * @param {Object} comment
+   * @param {string|ObjectId|null} userId
+   * @returns {Promise<boolean>}
+   */
+  async tombstoneComment(comment, userId) {
+    const { db } = require('./db-mongodb');
+
+    const tombstoned = await db.tombstoneComment(comment._id, userId);
+    if (tombstoned) {
+      await db.deleteCommentRevisions(comment._id);
+    }
+    return tombstoned;
+  }
+
+  /**
+   * Delete a comment. Comments with replies become tombstones so the thread
+   * stays intact; tombstones are removed once their last reply is gone.
+   * @param {string|ObjectId} commentId
+   * @param {string|ObjectId|null} userId - must be the author; null for moderator removals
+   * @returns {Promise<boolean>} False when the comment is missing or not the user's
+   */
+  async deleteComment(commentId, userId) {
+    const { db } = require('./db-mongodb');
+
+    const comment = ObjectId.isValid(commentId) ? await db.getCommentById(commentId) : null;
+    if (!comment || comment.isDeleted || (userId && comment.userId.toString() !== userId.toString())) {
+      return false;
+    }
+
+    if (comment.replyCount > 0) {
+      return await this.tombstoneComment(comment, userId);
+    }
+
+    const deleted = await db.deleteComment(comment._id, userId);
+    if (!deleted) {
+      // A reply arrived in the meantime
+      return await this.tombstoneComment(comment, userId);
+    }
+    await db.deleteCommentRevisions(comment._id);
+
+    let parentId = comment.parentId;
+    while (parentId) {
+      const parent = await db.incrementCommentReplyCount(parentId, -1);
+      if (!parent || !parent.isDeleted || parent.replyCount > 0) break;
+
+      await db.purgeDeletedComment(parent._id);
+      parentId = parent.parentId;
+    }
+
+    return true;
+  }
+}
+
+// Create singleton instance
+const commentService = new CommentService();
+
+module.exports = { CommentService: commentService };
@@ -1,5 +1,15 @@
 const { MongoClient, ObjectId } = require('mongodb')
 
+// Case-insensitive comparison for emails and usernames
+const USER_COLLATION = { locale: 'en', strength: 2 }
+
+// Stored comment fields returned by listings; the rest (user lists behind
+// reactions, moderation and report data) stays server-side
+const PUBLIC_COMMENT_FIELDS = [
+  '_id', 'movieId', 'showId', 'type', 'userId', 'content', 'isSpoiler', 'spoilerRanges',
+  'likes', 'createdAt', 'updatedAt'
+]
+
 class Database {
   constructor() {
     this.client = null
@@ -69,8 +79,9 @@ class Database {
     const users = this.db.collection('users')
     const bcrypt = require('bcryptjs')
 
-    const user = await users.findOne({ email })
-    if (!user) return null
+    const user = await users.findOne({ email }, { collation: USER_COLLATION })
+    // Users who signed up through an OAuth provider have no password
+    if (!user || !user.password) return null
 
     const isValid = await bcrypt.compare(password, user.password)
     if (!isValid) return null
@@ -80,12 +91,175 @@ class Database {
 
   async findUserByEmail(email) {
     const users = this.db.collection('users')
-    return await users.findOne({ email })
+    return await users.findOne({ email }, { collation: USER_COLLATION })
   }
 
   async findUserByUsername(username) {
     const users = this.db.collection('users')
-    return await users.findOne({ username })
+    return await users.findOne({ username }, { collation: USER_COLLATION })
+  }
+
+  // Emails and usernames are unique regardless of case
+  async createUserIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const users = this.db.collection('users')
+    try {
+      await users.createIndex({ email: 1 }, { unique: true, collation: USER_COLLATION })
+      await users.createIndex({ username: 1 }, { unique: true, collation: USER_COLLATION })
+    } catch (error) {
+      // Existing duplicates have to be merged by hand; registration still
+      // checks for duplicates before inserting
+      console.error('[mongodb] Could not create unique user indexes:', error.message)
+      return
+    }
+
+    const invites = this.db.collection('invite_codes')
+    await invites.createIndex({ code: 1 }, { unique: true })
+
+    console.log('[mongodb] User indexes created successfully')
+  }
+
+  // Invite codes - optional (or, with REGISTRATION_INVITE_ONLY, required)
+  // codes for registration
+  async createInviteCode(inviteData) {
+    const invites = this.db.collection('invite_codes')
+    const invite = {
+      ...inviteData,
+      createdBy: inviteData.createdBy ? new ObjectId(inviteData.createdBy) : null,
+      uses: 0,
+      revokedAt: null,
+      createdAt: new Date()
+    }
+    const result = await invites.insertOne(invite)
+    return { _id: result.insertedId, ...invite }
+  }
+
+  async getInviteCodes(limit = 50, skip = 0) {
+    const invites = this.db.collection('invite_codes')
+    return await invites
+      .find({})
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray()
+  }
+
+  // Counts one use if the code is still valid, atomically so concurrent
+  // registrations can't exceed maxUses
+  async redeemInviteCode(code) {
+    const invites = this.db.collection('invite_codes')
+    const now = new Date()
+    return await invites.findOneAndUpdate(
+      {
+        code,
+        revokedAt: null,
+        $and: [
+          { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+          { $expr: { $lt: ['$uses', '$maxUses'] } }
+        ]
+      },
+      { $inc: { uses: 1 }, $set: { lastUsedAt: now } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  // Gives back a use when the registration failed after redeeming
+  async releaseInviteCode(code) {
+    const invites = this.db.collection('invite_codes')
+    await invites.updateOne({ code, uses: { $gt: 0 } }, { $inc: { uses: -1 } })
+  }
+
+  async revokeInviteCode(code) {
+    const invites = this.db.collection('invite_codes')
+    const result = await invites.updateOne(
+      { code, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Email changes - the new address is confirmed with the change's own token,
+  // kept apart from the signup verification token on the user; the old
+  // address can cancel with cancelToken
+  async createEmailChange(changeData) {
+    const changes = this.db.collection('email_changes')
+    const userId = new ObjectId(changeData.userId)
+
+    // Only the latest request of a user can be confirmed
+    await changes.updateMany(
+      { userId, status: 'pending' },
+      { $set: { status: 'superseded', updatedAt: new Date() } }
+    )
+
+    const change = { ...changeData, userId, status: 'pending', createdAt: new Date(), updatedAt: new Date() }
+    const result = await changes.insertOne(change)
+    return { _id: result.insertedId, ...change }
+  }
+
+  async getPendingEmailChange(userId) {
+    const changes = this.db.collection('email_changes')
+    return await changes.findOne({
+      userId: new ObjectId(userId),
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+  }
+
+  async findEmailChangeByToken(token) {
+    const changes = this.db.collection('email_changes')
+    return await changes.findOne({
+      token,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+  }
+
+  async setEmailChangeToken(changeId, token, expiresAt) {
+    const changes = this.db.collection('email_changes')
+    const result = await changes.updateOne(
+      { _id: new ObjectId(changeId), status: 'pending' },
+      { $set: { token, expiresAt, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async findEmailChangeByCancelToken(cancelToken) {
+    const changes = this.db.collection('email_changes')
+    return await changes.findOne({ cancelToken })
+  }
+
+  // Moves a change on only from the expected status, so a link can't be
+  // used twice
+  async updateEmailChangeStatus(changeId, fromStatus, status) {
+    const changes = this.db.collection('email_changes')
+    const result = await changes.updateOne(
+      { _id: new ObjectId(changeId), status: fromStatus },
+      { $set: { status, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  // The new address is unverified until verifyEmail is called for it
+  async updateUserEmail(userId, email) {
+    const users = this.db.collection('users')
+    const result = await users.updateOne(
+      { _id: new ObjectId(userId) },
+      { $set: { email, emailVerified: false, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async createEmailChangeIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const changes = this.db.collection('email_changes')
+    await changes.createIndex({ cancelToken: 1 }, { unique: true })
+    await changes.createIndex({ token: 1 })
+    await changes.createIndex({ userId: 1, status: 1 })
+    await changes.createIndex({ purgeAt: 1 }, { expireAfterSeconds: 0 })
+
+    console.log('[mongodb] Email change indexes created successfully')
   }
 
   async findUserByVerificationToken(token) {
@@ -119,6 +293,15 @@ class Database {
     return result.modifiedCount > 0
   }
 
+  async setEmailVerified(userId, emailVerified) {
+    const users = this.db.collection('users')
+    const result = await users.updateOne(
+      { _id: new ObjectId(userId) },
+      { $set: { emailVerified, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
   async verifyEmail(userId) {
     const users = this.db.collection('users')
     const result = await users.updateOne(
@@ -189,6 +372,123 @@ class Database {
     return await users.findOne({ _id: new ObjectId(userId) })
   }
 
+  // Roles - stored as an array of role names on the user document
+  async addUserRole(userId, role) {
+    const users = this.db.collection('users')
+    const result = await users.updateOne(
+      { _id: new ObjectId(userId) },
+      {
+        $addToSet: { roles: role },
+        $set: { updatedAt: new Date() }
+      }
+    )
+
+    if (result.matchedCount === 0) return null
+
+    return await users.findOne({ _id: new ObjectId(userId) })
+  }
+
+  async removeUserRole(userId, role) {
+    const users = this.db.collection('users')
+    const result = await users.updateOne(
+      { _id: new ObjectId(userId) },
+      {
+        $pull: { roles: role },
+        $set: { updatedAt: new Date() }
+      }
+    )
+
+    if (result.matchedCount === 0) return null
+
+    return await users.findOne({ _id: new ObjectId(userId) })
+  }
+
+  async countUsersWithRole(role) {
+    const users = this.db.collection('users')
+    return await users.countDocuments({ roles: role })
+  }
+
+  async getUsersWithRole(role) {
+    const users = this.db.collection('users')
+    return await users.find(
+      { roles: role },
+      { projection: { email: 1, username: 1, roles: 1 } }
+    ).toArray()
+  }
+
+  // Two-factor authentication - secrets live in their own collection so
+  // they never travel with the user document; users only carry a flag
+  async getTwoFactor(userId) {
+    const twoFactor = this.db.collection('user_two_factor')
+    return await twoFactor.findOne({ userId: new ObjectId(userId) })
+  }
+
+  async setPendingTwoFactorSecret(userId, secret) {
+    const twoFactor = this.db.collection('user_two_factor')
+    await twoFactor.updateOne(
+      { userId: new ObjectId(userId) },
+      {
+        $set: { pendingSecret: secret, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true }
+    )
+  }
+
+  async enableTwoFactor(userId, secret, recoveryCodeHashes, usedStep) {
+    const twoFactor = this.db.collection('user_two_factor')
+    await twoFactor.updateOne(
+      { userId: new ObjectId(userId) },
+      {
+        $set: {
+          secret,
+          recoveryCodes: recoveryCodeHashes,
+          lastUsedStep: usedStep,
+          enabledAt: new Date(),
+          updatedAt: new Date()
+        },
+        $unset: { pendingSecret: '' }
+      }
+    )
+    await this.updateUser(userId, { twoFactorEnabled: true })
+  }
+
+  async disableTwoFactor(userId) {
+    await this.db.collection('user_two_factor').deleteOne({ userId: new ObjectId(userId) })
+    await this.updateUser(userId, { twoFactorEnabled: false })
+  }
+
+  // Atomically records a TOTP step so the same code can't be replayed
+  async markTwoFactorStepUsed(userId, step) {
+    const twoFactor = this.db.collection('user_two_factor')
+    const result = await twoFactor.updateOne(
+      {
+        userId: new ObjectId(userId),
+        $or: [{ lastUsedStep: { $lt: step } }, { lastUsedStep: { $exists: false } }]
+      },
+      { $set: { lastUsedStep: step, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async useTwoFactorRecoveryCode(userId, codeHash) {
+    const twoFactor = this.db.collection('user_two_factor')
+    const result = await twoFactor.updateOne(
+      { userId: new ObjectId(userId), recoveryCodes: codeHash },
+      { $pull: { recoveryCodes: codeHash }, $set: { updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async setTwoFactorRecoveryCodes(userId, recoveryCodeHashes) {
+    const twoFactor = this.db.collection('user_two_factor')
+    const result = await twoFactor.updateOne(
+      { userId: new ObjectId(userId) },
+      { $set: { recoveryCodes: recoveryCodeHashes, updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
   async getUserStats(userId) {
     const ratingsCount = await this.db.collection('movie_ratings').countDocuments({ userId: new ObjectId(userId) })
     const commentsCount = await this.db.collection('movie_comments').countDocuments({ userId: new ObjectId(userId) })
@@ -197,10 +497,16 @@ class Database {
   }
 
   // Comments (works for both movies and shows)
+  // Replies point at their parent with parentId and at the top-level comment
+  // of their thread with rootId; top-level comments have neither
   async createComment(commentData) {
     const comments = this.db.collection('comments')
     const result = await comments.insertOne({
+      parentId: null,
+      rootId: null,
+      depth: 0,
       ...commentData,
+      replyCount: 0,
       likes: 0,
       likedBy: [],
       createdAt: new Date(),
@@ -214,52 +520,168 @@ class Database {
     return await this.createComment({ ...commentData, type: 'movie' })
   }
 
-  async getComments(contentType, contentId, limit = 20, skip = 0, currentUserId = null) {
+  async getCommentById(commentId) {
     const comments = this.db.collection('comments')
+    return await comments.findOne({ _id: new ObjectId(commentId) })
+  }
+
+  // Held and hidden comments are only listed for their author, or as
+  // placeholders when other comments reply to them
+  commentVisibilityFilter(currentUserId = null) {
+    const visible = [
+      { status: { $nin: ['pending', 'hidden'] } },
+      { replyCount: { $gt: 0 } }
+    ]
+    if (currentUserId) visible.push({ userId: new ObjectId(currentUserId) })
+    return { $or: visible }
+  }
+
+  // Adds authors and the current user's like to comments, and hides the
+  // content of deleted comments that are kept for their replies and of
+  // held or hidden comments the current user did not write
+  async formatComments(commentsArray, currentUserId = null) {
     const users = this.db.collection('users')
 
-    const query = contentType === 'movie' ? { movieId: contentId } : { showId: contentId }
+    const userIds = [...new Set(commentsArray.map(comment => comment.userId.toString()))]
+    const authors = await users
+      .find(
+        { _id: { $in: userIds.map(id => new ObjectId(id)) } },
+        { projection: { _id: 1, username: 1, firstName: 1, lastName: 1 } }
+      )
+      .toArray()
+    const authorsById = new Map(authors.map(user => [user._id.toString(), user]))
 
-    const cursor = comments.find(query)
-      .sort({ createdAt: -1 })
+    return commentsArray.map(comment => {
+      const status = comment.status || 'visible'
+      const isAuthor = currentUserId && comment.userId.toString() === currentUserId.toString()
+      const isHidden = ['pending', 'hidden'].includes(status) && !isAuthor
+
+      if (comment.isDeleted || isHidden) {
+        return {
+          _id: comment._id,
+          movieId: comment.movieId,
+          showId: comment.showId,
+          parentId: comment.parentId || null,
+          rootId: comment.rootId || null,
+          depth: comment.depth || 0,
+          replyCount: comment.replyCount || 0,
+          content: null,
+          isDeleted: !!comment.isDeleted,
+          isHidden: !comment.isDeleted,
+          user: null,
+          createdAt: comment.createdAt,
+          deletedAt: comment.deletedAt
+        }
+      }
+
+      const reactedBy = { like: comment.likedBy || [], ...comment.reactedBy }
+      const reactions = { like: comment.likes || 0, ...comment.reactionCounts }
+
+      // Reaction types the current user has used on this comment
+      const currentUserReactions = currentUserId
+        ? Object.keys(reactedBy).filter(type => reactedBy[type].some(
+          reactedUserId => reactedUserId.toString() === currentUserId.toString()
+        ))
+        : []
+
+      const fields = Object.fromEntries(
+        PUBLIC_COMMENT_FIELDS
+          .filter(field => comment[field] !== undefined)
+          .map(field => [field, comment[field]])
+      )
+
+      const user = authorsById.get(comment.userId.toString())
+      return {
+        ...fields,
+        status,
+        parentId: comment.parentId || null,
+        rootId: comment.rootId || null,
+        depth: comment.depth || 0,
+        replyCount: comment.replyCount || 0,
+        editedAt: comment.editedAt || null,
+        revisionCount: comment.revisionCount || 0,
+        reactions,
+        currentUserReactions,
+        user: user ? {
+          _id: user._id,
+          username: user.username,
+          firstName: user.firstName,
+          lastName: user.lastName
+        } : null,
+        isLikedByCurrentUser: currentUserReactions.includes('like')
+      }
+    })
+  }
+
+  // Top-level comments, newest first unless sort says otherwise, each with
+  // the first previewReplies direct replies
+  async getComments(contentType, contentId, limit = 20, skip = 0, currentUserId = null, { previewReplies = 0, sort = { createdAt: -1 } } = {}) {
+    const comments = this.db.collection('comments')
+
+    // Comments from before threading have no parentId field at all
+    const query = contentType === 'movie'
+      ? { movieId: contentId, parentId: null, ...this.commentVisibilityFilter(currentUserId) }
+      : { showId: contentId, parentId: null, ...this.commentVisibilityFilter(currentUserId) }
+
+    const commentsArray = await comments.find(query)
+      .sort(sort)
       .skip(skip)
       .limit(limit)
+      .toArray()
 
-    const commentsArray = await cursor.toArray()
+    const formatted = await this.formatComments(commentsArray, currentUserId)
 
-    // Fetch user information for each comment
-    const commentsWithUsers = await Promise.all(
-      commentsArray.map(async (comment) => {
-        const user = await users.findOne(
-          { _id: new ObjectId(comment.userId) },
-          { projection: { _id: 1, username: 1, firstName: 1, lastName: 1 } }
-        )
+    const withReplies = formatted.filter(comment => comment.replyCount > 0)
+    if (previewReplies > 0 && withReplies.length > 0) {
+      const groups = await comments.aggregate([
+        {
+          $match: {
+            parentId: { $in: withReplies.map(comment => comment._id) },
+            ...this.commentVisibilityFilter(currentUserId)
+          }
+        },
+        { $sort: { createdAt: 1 } },
+        { $group: { _id: '$parentId', replies: { $push: '$$ROOT' } } },
+        { $project: { replies: { $slice: ['$replies', previewReplies] } } }
+      ]).toArray()
+
+      const replies = await this.formatComments(groups.flatMap(group => group.replies), currentUserId)
+      formatted.forEach(comment => {
+        comment.replies = replies.filter(reply => reply.parentId.toString() === comment._id.toString())
+      })
+    }
+    formatted.forEach(comment => {
+      comment.replies = comment.replies || []
+    })
 
-        // Check if current user has liked this comment
-        let isLikedByCurrentUser = false
-        if (currentUserId) {
-          isLikedByCurrentUser = comment.likedBy.some(
-            likedUserId => likedUserId.toString() === currentUserId.toString()
-          )
-        }
+    const totalCount = await comments.countDocuments(query)
 
-        return {
-          ...comment,
-          user: user ? {
-            _id: user._id,
-            username: user.username,
-            firstName: user.firstName,
-            lastName: user.lastName
-          } : null,
-          isLikedByCurrentUser
-        }
-      })
-    )
+    return {
+      comments: formatted,
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    }
+  }
+
+  // Direct replies of a comment, oldest first unless sort says otherwise
+  async getCommentReplies(parentId, limit = 20, skip = 0, currentUserId = null, sort = { createdAt: 1 }) {
+    const comments = this.db.collection('comments')
+    const query = { parentId: new ObjectId(parentId), ...this.commentVisibilityFilter(currentUserId) }
+
+    const repliesArray = await comments.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .toArray()
 
     const totalCount = await comments.countDocuments(query)
 
     return {
-      comments: commentsWithUsers,
+      replies: await this.formatComments(repliesArray, currentUserId),
       pagination: {
         page: Math.floor(skip / limit) + 1,
         limit,
@@ -269,26 +691,77 @@ class Database {
     }
   }
 
-  async getMovieComments(movieId, limit = 20, skip = 0, currentUserId = null) {
-    return await this.getComments('movie', movieId, limit, skip, currentUserId)
+  async incrementCommentReplyCount(commentId, amount) {
+    const comments = this.db.collection('comments')
+    return await comments.findOneAndUpdate(
+      { _id: new ObjectId(commentId) },
+      { $inc: { replyCount: amount } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  // Keeps a deleted comment in place so its replies stay in their thread.
+  // Without a userId (moderator removals) any author's comment matches.
+  async tombstoneComment(commentId, userId = null) {
+    const comments = this.db.collection('comments')
+    const result = await comments.updateOne(
+      {
+        _id: new ObjectId(commentId),
+        ...(userId && { userId: new ObjectId(userId) }),
+        isDeleted: { $ne: true }
+      },
+      { $set: { isDeleted: true, content: null, deletedAt: new Date(), updatedAt: new Date() } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Removes a tombstone once its last reply is gone
+  async purgeDeletedComment(commentId) {
+    const comments = this.db.collection('comments')
+    const result = await comments.deleteOne({ _id: new ObjectId(commentId), isDeleted: true, replyCount: { $lte: 0 } })
+    return result.deletedCount > 0
+  }
+
+  async createCommentIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const comments = this.db.collection('comments')
+    await comments.createIndex({ movieId: 1, parentId: 1, createdAt: -1 })
+    await comments.createIndex({ showId: 1, parentId: 1, createdAt: -1 })
+    await comments.createIndex({ movieId: 1, parentId: 1, likes: -1 })
+    await comments.createIndex({ showId: 1, parentId: 1, likes: -1 })
+    await comments.createIndex({ movieId: 1, parentId: 1, replyCount: -1 })
+    await comments.createIndex({ showId: 1, parentId: 1, replyCount: -1 })
+    await comments.createIndex({ parentId: 1, createdAt: 1 })
+    await comments.createIndex({ userId: 1, createdAt: -1 })
+
+    const revisions = this.db.collection('comment_revisions')
+    await revisions.createIndex({ commentId: 1, revision: -1 }, { unique: true })
+
+    console.log('[mongodb] Comment indexes created successfully')
+  }
+
+  async getMovieComments(movieId, limit = 20, skip = 0, currentUserId = null, options = {}) {
+    return await this.getComments('movie', movieId, limit, skip, currentUserId, options)
   }
 
-  async getShowComments(showId, limit = 20, skip = 0, currentUserId = null) {
-    return await this.getComments('show', showId, limit, skip, currentUserId)
+  async getShowComments(showId, limit = 20, skip = 0, currentUserId = null, options = {}) {
+    return await this.getComments('show', showId, limit, skip, currentUserId, options)
   }
 
   async getUserComments(userId, limit = 20, skip = 0) {
     const comments = this.db.collection('comments')
-    const cursor = comments.find({ userId: new ObjectId(userId) })
+    const query = { userId: new ObjectId(userId), isDeleted: { $ne: true } }
+    const cursor = comments.find(query)
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit)
 
     const commentsArray = await cursor.toArray()
-    const totalCount = await comments.countDocuments({ userId: new ObjectId(userId) })
+    const totalCount = await comments.countDocuments(query)
 
     return {
-      comments: commentsArray,
+      comments: await this.formatComments(commentsArray, userId),
       pagination: {
         page: Math.floor(skip / limit) + 1,
         limit,
@@ -298,47 +771,99 @@ class Database {
     }
   }
 
-  async updateCommentLikes(commentId, userId) {
+  // Likes keep their original likedBy/likes fields; other reactions are
+  // stored per type under reactedBy and reactionCounts
+  commentReactionFields(type) {
+    return type === 'like'
+      ? { users: 'likedBy', count: 'likes' }
+      : { users: `reactedBy.${type}`, count: `reactionCounts.${type}` }
+  }
+
+  // Returns null when the comment does not exist or is deleted, otherwise
+  // the comment and whether the reaction was added or removed
+  async setCommentReaction(commentId, userId, type, reacted) {
     const comments = this.db.collection('comments')
-    
-    // First check if user has already liked this comment
-    const comment = await comments.findOne({ _id: new ObjectId(commentId) })
-    if (!comment) {
+    const fields = this.commentReactionFields(type)
+    const user = new ObjectId(userId)
+
+    const comment = await comments.findOneAndUpdate(
+      {
+        _id: new ObjectId(commentId),
+        isDeleted: { $ne: true },
+        status: { $nin: ['pending', 'hidden'] },
+        [fields.users]: reacted ? { $ne: user } : user
+      },
+      reacted
+        ? { $addToSet: { [fields.users]: user }, $inc: { [fields.count]: 1 } }
+        : { $pull: { [fields.users]: user }, $inc: { [fields.count]: -1 } },
+      { returnDocument: 'after' }
+    )
+    if (comment) return { changed: true, comment }
+
+    const existing = await comments.findOne({
+      _id: new ObjectId(commentId),
+      isDeleted: { $ne: true },
+      status: { $nin: ['pending', 'hidden'] }
+    })
+    return existing ? { changed: false, comment: existing } : null
+  }
+
+  async updateCommentLikes(commentId, userId) {
+    // Toggle: like unless the user already liked the comment
+    let result = await this.setCommentReaction(commentId, userId, 'like', true)
+    if (!result) {
       throw new Error('Comment not found')
     }
-    
-    const hasLiked = comment.likedBy.some(
-      likedUserId => likedUserId.toString() === userId.toString()
+
+    if (result.changed) {
+      return { action: 'liked', likes: result.comment.likes }
+    }
+
+    result = await this.setCommentReaction(commentId, userId, 'like', false)
+    return { action: 'unliked', likes: result ? result.comment.likes : 0 }
+  }
+
+  // Users who reacted to a comment with the given type, most recent first
+  async getCommentReactionUsers(commentId, type, limit = 20, skip = 0) {
+    const comments = this.db.collection('comments')
+    const users = this.db.collection('users')
+    const fields = this.commentReactionFields(type)
+
+    const comment = await comments.findOne(
+      { _id: new ObjectId(commentId), isDeleted: { $ne: true }, status: { $nin: ['pending', 'hidden'] } },
+      { projection: { likedBy: 1, reactedBy: 1 } }
     )
-    
-    if (hasLiked) {
-      // Unlike - remove user from likedBy and decrement likes
-      await comments.updateOne(
-        { _id: new ObjectId(commentId) },
-        {
-          $inc: { likes: -1 },
-          $pull: { likedBy: new ObjectId(userId) }
-        }
-      )
-      return { action: 'unliked', likes: comment.likes - 1 }
-    } else {
-      // Like - add user to likedBy and increment likes
-      await comments.updateOne(
-        { _id: new ObjectId(commentId) },
-        {
-          $inc: { likes: 1 },
-          $addToSet: { likedBy: new ObjectId(userId) }
-        }
+    if (!comment) return null
+
+    const userIds = (type === 'like' ? comment.likedBy : (comment.reactedBy || {})[type]) || []
+    const page = [...userIds].reverse().slice(skip, skip + limit)
+
+    const found = await users
+      .find(
+        { _id: { $in: page } },
+        { projection: { _id: 1, username: 1, firstName: 1, lastName: 1 } }
       )
-      return { action: 'liked', likes: comment.likes + 1 }
+      .toArray()
+    const usersById = new Map(found.map(user => [user._id.toString(), user]))
+
+    return {
+      users: page.map(id => usersById.get(id.toString())).filter(Boolean),
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount: userIds.length,
+        totalPages: Math.ceil(userIds.length / limit)
+      }
     }
   }
 
-  async deleteComment(commentId, userId) {
+  async deleteComment(commentId, userId = null) {
     const comments = this.db.collection('comments')
+    // Comments with replies are tombstoned instead, see tombstoneComment
     const result = await comments.deleteOne({
       _id: new ObjectId(commentId),
-      userId: new ObjectId(userId)
+      ...(userId && { userId: new ObjectId(userId) }),
+      replyCount: { $not: { $gt: 0 } }
     })
 
     return result.deletedCount > 0
@@ -354,22 +879,75 @@ class Database {
     return await this.deleteComment(commentId, userId)
   }
 
-  async updateComment(commentId, userId, updates) {
+  // With revise, the version being replaced is kept in comment_revisions and
+  // the comment is marked as edited
+  async updateComment(commentId, userId, updates, { revise = false } = {}) {
     const comments = this.db.collection('comments')
-    const result = await comments.updateOne(
+    const now = new Date()
+    const previous = await comments.findOneAndUpdate(
       {
         _id: new ObjectId(commentId),
-        userId: new ObjectId(userId)
+        userId: new ObjectId(userId),
+        isDeleted: { $ne: true }
       },
       {
         $set: {
           ...updates,
-          updatedAt: new Date()
-        }
-      }
+          ...(revise && { editedAt: now }),
+          updatedAt: now
+        },
+        ...(revise && { $inc: { revisionCount: 1 } })
+      },
+      { returnDocument: 'before' }
     )
 
-    return result.modifiedCount > 0
+    if (!previous) return false
+
+    if (revise) {
+      await this.db.collection('comment_revisions').insertOne({
+        commentId: previous._id,
+        revision: (previous.revisionCount || 0) + 1,
+        content: previous.content,
+        isSpoiler: !!previous.isSpoiler,
+        spoilerRanges: previous.spoilerRanges || [],
+        createdAt: previous.editedAt || previous.createdAt,
+        replacedAt: now
+      })
+    }
+
+    return true
+  }
+
+  // Earlier versions of a comment, most recent first
+  async getCommentRevisions(commentId, limit = 20, skip = 0) {
+    const revisions = this.db.collection('comment_revisions')
+    const filter = { commentId: new ObjectId(commentId) }
+
+    const [items, totalCount] = await Promise.all([
+      revisions
+        .find(filter, { projection: { commentId: 0 } })
+        .sort({ revision: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray(),
+      revisions.countDocuments(filter)
+    ])
+
+    return {
+      revisions: items,
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    }
+  }
+
+  async deleteCommentRevisions(commentId) {
+    const revisions = this.db.collection('comment_revisions')
+    const result = await revisions.deleteMany({ commentId: new ObjectId(commentId) })
+    return result.deletedCount
   }
 
   async updateMovieComment(commentId, userId, updates) {
@@ -382,6 +960,165 @@ class Database {
     return await this.updateComment(commentId, userId, updates)
   }
 
+  // Comment moderation
+  async setCommentStatus(commentId, status, moderation = {}) {
+    const comments = this.db.collection('comments')
+    return await comments.findOneAndUpdate(
+      { _id: new ObjectId(commentId), isDeleted: { $ne: true } },
+      {
+        $set: {
+          status,
+          ...Object.fromEntries(Object.entries(moderation).map(([key, value]) => [`moderation.${key}`, value])),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    )
+  }
+
+  // Returns null when the user already reported the comment
+  async createCommentReport(reportData) {
+    const reports = this.db.collection('comment_reports')
+
+    const existing = await reports.findOne({ commentId: reportData.commentId, reporterId: reportData.reporterId })
+    if (existing) return null
+
+    try {
+      const result = await reports.insertOne({ ...reportData, status: 'open', createdAt: new Date() })
+      return result.insertedId
+    } catch (error) {
+      if (error.code === 11000) return null
+      throw error
+    }
+  }
+
+  // Counts an open report against the comment and returns the comment
+  async incrementCommentReports(commentId) {
+    const comments = this.db.collection('comments')
+    const now = new Date()
+    const comment = await comments.findOneAndUpdate(
+      { _id: new ObjectId(commentId) },
+      { $inc: { reportCount: 1 }, $set: { lastReportedAt: now } },
+      { returnDocument: 'after' }
+    )
+
+    if (comment && !comment.flaggedAt) {
+      await comments.updateOne({ _id: comment._id, flaggedAt: null }, { $set: { flaggedAt: now } })
+    }
+    return comment
+  }
+
+  async getCommentReports(commentId, status = 'open', limit = 20) {
+    const reports = this.db.collection('comment_reports')
+    return await reports.find({ commentId: new ObjectId(commentId), status })
+      .sort({ createdAt: 1 })
+      .limit(limit)
+      .toArray()
+  }
+
+  async resolveCommentReports(commentId, moderatorId, resolution) {
+    const reports = this.db.collection('comment_reports')
+    const result = await reports.updateMany(
+      { commentId: new ObjectId(commentId), status: 'open' },
+      { $set: { status: 'resolved', resolution, resolvedBy: new ObjectId(moderatorId), resolvedAt: new Date() } }
+    )
+
+    await this.db.collection('comments').updateOne(
+      { _id: new ObjectId(commentId) },
+      { $set: { reportCount: 0, flaggedAt: null } }
+    )
+    return result.modifiedCount
+  }
+
+  // Held comments and visible comments with open reports, longest waiting first
+  async getModerationQueue(filter = 'review', limit = 20, skip = 0) {
+    const comments = this.db.collection('comments')
+    const queries = {
+      review: { isDeleted: { $ne: true }, $or: [{ status: 'pending' }, { reportCount: { $gt: 0 }, status: { $ne: 'hidden' } }] },
+      pending: { isDeleted: { $ne: true }, status: 'pending' },
+      reported: { isDeleted: { $ne: true }, reportCount: { $gt: 0 } },
+      hidden: { isDeleted: { $ne: true }, status: 'hidden' }
+    }
+    const query = queries[filter]
+
+    const items = await comments.find(query)
+      .sort({ flaggedAt: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray()
+    const totalCount = await comments.countDocuments(query)
+
+    return {
+      comments: items,
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    }
+  }
+
+  async insertModerationLog(entry) {
+    const log = this.db.collection('moderation_log')
+    const result = await log.insertOne({ ...entry, createdAt: new Date() })
+    return result.insertedId
+  }
+
+  async getModerationLog({ commentId, userId } = {}, limit = 50, skip = 0) {
+    const log = this.db.collection('moderation_log')
+    const query = {}
+    if (commentId) query.commentId = new ObjectId(commentId)
+    if (userId) query.targetUserId = new ObjectId(userId)
+
+    const entries = await log.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray()
+    const totalCount = await log.countDocuments(query)
+
+    return {
+      entries,
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    }
+  }
+
+  async setUserCommentRestriction(userId, restriction) {
+    const users = this.db.collection('users')
+    return await users.findOneAndUpdate(
+      { _id: new ObjectId(userId) },
+      restriction
+        ? { $set: { commentRestriction: restriction, updatedAt: new Date() } }
+        : { $unset: { commentRestriction: '' }, $set: { updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    )
+  }
+
+  async createModerationIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const reports = this.db.collection('comment_reports')
+    await reports.createIndex({ commentId: 1, reporterId: 1 }, { unique: true })
+    await reports.createIndex({ commentId: 1, status: 1, createdAt: 1 })
+
+    const comments = this.db.collection('comments')
+    await comments.createIndex({ status: 1, flaggedAt: 1 })
+    await comments.createIndex({ reportCount: 1, flaggedAt: 1 })
+
+    const log = this.db.collection('moderation_log')
+    await log.createIndex({ createdAt: -1 })
+    await log.createIndex({ commentId: 1, createdAt: -1 })
+    await log.createIndex({ targetUserId: 1, createdAt: -1 })
+
+    console.log('[mongodb] Moderation indexes created successfully')
+  }
+
   // Ratings (works for both movies and shows)
   async createRating(ratingData) {
     const ratings = this.db.collection('ratings')
@@ -676,57 +1413,64 @@ class Database {
     }
   }
 
+  // Details come from the movies/shows catalog; only titles missing from it
+  // are fetched from Trakt, and those are added to the catalog for next time
   async addDetailsToWatchlistItems(items) {
-    const BASE_URL = process.env.TRAKT_BASE_URL || "https://api.trakt.tv"
-    const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID
-    const TRAKT_API_VERSION = process.env.TRAKT_API_VERSION || "2"
-
-    if (!TRAKT_CLIENT_ID) {
-      return items
+    const { TraktClient } = require('./trakt-client')
+    const { CatalogService } = require('./catalog-service')
+
+    const catalog = { movie: new Map(), show: new Map() }
+    for (const contentType of ['movie', 'show']) {
+      const idField = `${contentType}Id`
+      const traktIds = items
+        .map(item => item[idField])
+        .filter(id => id !== undefined && /^\d+$/.test(String(id)))
+        .map(Number)
+      if (traktIds.length === 0) continue
+
+      const docs = await this.getCatalogItemsByTraktIds(`${contentType}s`, [...new Set(traktIds)])
+      docs.forEach(doc => catalog[contentType].set(String(doc.ids.trakt), CatalogService.stripInternalFields(doc)))
     }
 
     const itemsWithDetails = await Promise.all(
       items.map(async (item) => {
-        try {
-          let url, contentDetails
-          const contentId = item.movieId || item.showId
-          const contentType = item.movieId ? 'movie' : 'show'
-
-          if (contentType === 'movie') {
-            url = `${BASE_URL}/movies/${contentId}?extended=full`
-          } else if (contentType === 'show') {
-            url = `${BASE_URL}/shows/${contentId}?extended=full`
-          }
+        const contentId = item.movieId || item.showId
+        const contentType = item.movieId ? 'movie' : 'show'
 
-          const response = await fetch(url, {
-            headers: {
-              "Content-Type": "application/json",
-              "trakt-api-key": TRAKT_CLIENT_ID,
-              "trakt-api-version": TRAKT_API_VERSION
-            }
-          })
-
-          if (response.ok) {
-            contentDetails = await response.json()
-            return {
-              ...item,
-              type: contentType,
-              [contentType]: contentDetails
-            }
-          } else {
-            return {
-              ...item,
-              type: contentType
+        const catalogDetails = catalog[contentType].get(String(contentId))
+        if (catalogDetails) {
+          return { ...item, type: contentType, [contentType]: catalogDetails }
+        }
+
+        if (TraktClient.isConfigured()) {
+          try {
+            const path = `/${contentType}s/${contentId}`
+            const response = await TraktClient.request(path, {
+              query: { extended: 'full' }
+            })
+
+            if (response.ok) {
+              const contentDetails = await response.json()
+              await CatalogService.saveFromResponse(contentDetails, path)
+              return {
+                ...item,
+                type: contentType,
+                [contentType]: contentDetails
+              }
             }
-          }
-        } catch (error) {
-          const id = item.movieId || item.showId
-          console.error(`Failed to fetch details for ${id}:`, error)
-          return {
-            ...item,
-            type: item.movieId ? 'movie' : 'show'
+          } catch (error) {
+            console.error(`Failed to fetch details for ${contentId}:`, error.message)
           }
         }
+
+        // Trakt unavailable or over budget - fall back to cached details
+        const cachedDetails = contentType === 'movie'
+          ? await this.getCachedMovieData(contentId)
+          : await this.getCachedShowData(contentId)
+
+        return cachedDetails
+          ? { ...item, type: contentType, [contentType]: cachedDetails }
+          : { ...item, type: contentType }
       })
     )
 
@@ -950,6 +1694,86 @@ class Database {
     return await this.removeFromWatchlist(userId, 'show', showId)
   }
 
+  // Watch history: titles a user has marked as watched
+  // Movie and show ids come as strings from query strings and often as
+  // numbers from JSON bodies, and ratings keep whichever form they were sent
+  // in, so lookups match both. Watch history stores them as strings.
+  contentIdFilter(contentId) {
+    const id = String(contentId)
+    return /^\d+$/.test(id) ? { $in: [id, Number(id)] } : id
+  }
+
+  async markWatched(userId, contentType, contentId, watchedAt = new Date()) {
+    const history = this.db.collection('watch_history')
+    const idField = contentType === 'movie' ? 'movieId' : 'showId'
+    await history.updateOne(
+      { userId: new ObjectId(userId), [idField]: this.contentIdFilter(contentId) },
+      {
+        $set: { [idField]: String(contentId), watchedAt, updatedAt: new Date() },
+        $setOnInsert: { type: contentType, createdAt: new Date() }
+      },
+      { upsert: true }
+    )
+  }
+
+  async unmarkWatched(userId, contentType, contentId) {
+    const history = this.db.collection('watch_history')
+    const idField = contentType === 'movie' ? 'movieId' : 'showId'
+    const result = await history.deleteOne({ userId: new ObjectId(userId), [idField]: this.contentIdFilter(contentId) })
+    return result.deletedCount > 0
+  }
+
+  async getWatchHistory(userId, limit = 20, skip = 0) {
+    const history = this.db.collection('watch_history')
+    const query = { userId: new ObjectId(userId) }
+
+    const items = await history.find(query)
+      .sort({ watchedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray()
+    const totalCount = await history.countDocuments(query)
+
+    return {
+      items,
+      pagination: {
+        page: Math.floor(skip / limit) + 1,
+        limit,
+        totalCount,
+        totalPages: Math.ceil(totalCount / limit)
+      }
+    }
+  }
+
+  // A user has seen a title once they rated it or marked it watched
+  async hasSeenContent(userId, contentType, contentId) {
+    const idField = contentType === 'movie' ? 'movieId' : 'showId'
+    const query = { userId: new ObjectId(userId), [idField]: this.contentIdFilter(contentId) }
+
+    const rating = await this.db.collection('ratings').findOne(query, { projection: { _id: 1 } })
+    if (rating) return true
+
+    const watched = await this.db.collection('watch_history').findOne(query, { projection: { _id: 1 } })
+    return watched !== null
+  }
+
+  async createWatchHistoryIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const history = this.db.collection('watch_history')
+    await history.createIndex(
+      { userId: 1, movieId: 1 },
+      { unique: true, partialFilterExpression: { movieId: { $exists: true } } }
+    )
+    await history.createIndex(
+      { userId: 1, showId: 1 },
+      { unique: true, partialFilterExpression: { showId: { $exists: true } } }
+    )
+    await history.createIndex({ userId: 1, watchedAt: -1 })
+
+    console.log('[mongodb] Watch history indexes created successfully')
+  }
+
   // Sessions
   async createSession(sessionData) {
     const sessions = this.db.collection('sessions')
@@ -969,19 +1793,113 @@ class Database {
 
     if (!session) return null
 
+    // Last-used time is only written once a minute to spare a write per request
+    const now = new Date()
+    if (!session.lastUsedAt || now - session.lastUsedAt > 60 * 1000) {
+      await sessions.updateOne({ _id: session._id }, { $set: { lastUsedAt: now } })
+    }
+
     const user = await users.findOne({ _id: new ObjectId(session.userId) })
     return user
   }
 
+  async getUserSessions(userId) {
+    const sessions = this.db.collection('sessions')
+    return await sessions
+      .find({
+        userId: new ObjectId(userId),
+        refreshExpiresAt: { $gt: new Date() },
+        isActive: true
+      })
+      .sort({ lastUsedAt: -1 })
+      .toArray()
+  }
+
+  async revokeUserSession(userId, sessionId, reason) {
+    const sessions = this.db.collection('sessions')
+    const result = await sessions.updateOne(
+      { _id: new ObjectId(sessionId), userId: new ObjectId(userId), isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async revokeOtherUserSessions(userId, currentAccessToken, reason) {
+    const sessions = this.db.collection('sessions')
+    const result = await sessions.updateMany(
+      { userId: new ObjectId(userId), accessToken: { $ne: currentAccessToken }, isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount
+  }
+
+  // Sessions from before token families, matched by their current token or
+  // by the one they had when first rotated. Revoked and expired sessions are
+  // returned too, so replays of their tokens can be recognised.
   async findSessionByRefreshToken(refreshToken) {
     const sessions = this.db.collection('sessions')
     return await sessions.findOne({
-      refreshToken,
-      refreshExpiresAt: { $gt: new Date() },
-      isActive: true
+      $or: [{ refreshToken }, { legacyRefreshToken: refreshToken }]
     })
   }
 
+  async findSessionByFamilyId(familyId) {
+    const sessions = this.db.collection('sessions')
+    return await sessions.findOne({ familyId })
+  }
+
+  // Only succeeds while the session still holds the expected refresh token
+  async rotateSessionTokens(sessionId, expectedRefreshToken, tokens) {
+    const sessions = this.db.collection('sessions')
+    const result = await sessions.updateOne(
+      { _id: new ObjectId(sessionId), refreshToken: expectedRefreshToken, isActive: true },
+      {
+        $set: {
+          ...tokens,
+          rotatedAt: new Date(),
+          updatedAt: new Date()
+        }
+      }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async revokeSessionFamily(familyId, reason) {
+    const sessions = this.db.collection('sessions')
+    const result = await sessions.updateMany(
+      { familyId, isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async revokeSession(sessionId, reason) {
+    const sessions = this.db.collection('sessions')
+    const result = await sessions.updateOne(
+      { _id: new ObjectId(sessionId) },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  async createSessionIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const sessions = this.db.collection('sessions')
+    await sessions.createIndex({ accessToken: 1 })
+    await sessions.createIndex({ refreshToken: 1 })
+    await sessions.createIndex({ legacyRefreshToken: 1 }, { sparse: true })
+    await sessions.createIndex({ familyId: 1 })
+    await sessions.createIndex({ userId: 1 })
+    // Sessions are kept until their refresh token expires, so revoked
+    // families can still be recognised when an old token is replayed
+    await sessions.createIndex({ refreshExpiresAt: 1 }, { expireAfterSeconds: 0 })
+
+    await this.db.collection('user_two_factor').createIndex({ userId: 1 }, { unique: true })
+
+    console.log('[mongodb] Session indexes created successfully')
+  }
+
   async updateSessionAccessToken(sessionId, newAccessToken, newAccessExpiresAt) {
     const sessions = this.db.collection('sessions')
     const result = await sessions.updateOne(
@@ -997,10 +1915,13 @@ class Database {
     return result.modifiedCount > 0
   }
 
-  async destroySession(token) {
+  async revokeSessionByAccessToken(token, reason) {
     const sessions = this.db.collection('sessions')
-    const result = await sessions.deleteOne({ accessToken: token })
-    return result.deletedCount > 0
+    const result = await sessions.updateOne(
+      { accessToken: token, isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount > 0
   }
 
   async destroySessionByRefreshToken(refreshToken) {
@@ -1009,14 +1930,175 @@ class Database {
     return result.deletedCount > 0
   }
 
-  async destroyAllUserSessions(userId) {
+  async revokeAllUserSessions(userId, reason) {
     const sessions = this.db.collection('sessions')
-    const result = await sessions.deleteMany({
-      userId: new ObjectId(userId)
-    })
+    const result = await sessions.updateMany(
+      { userId: new ObjectId(userId), isActive: true },
+      { $set: { isActive: false, revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount > 0
+  }
+
+  // Login attempts - failure counters per IP and per account for
+  // brute-force protection
+  async getLoginAttempts(keys) {
+    const attempts = this.db.collection('login_attempts')
+    return await attempts.find({ key: { $in: keys } }).toArray()
+  }
+
+  // Counts a failure, starting over when the previous window has ended
+  async recordLoginFailure(key, windowSeconds) {
+    const attempts = this.db.collection('login_attempts')
+    const now = new Date()
+
+    return await attempts.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          key,
+          failures: {
+            $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$failures', 1] }, 1]
+          },
+          lastFailureAt: now,
+          expiresAt: { $max: [new Date(now.getTime() + windowSeconds * 1000), '$lockedUntil'] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    )
+  }
+
+  async lockLoginKey(key, lockedUntil, { unlockToken = null, userId = null }) {
+    const attempts = this.db.collection('login_attempts')
+    await attempts.updateOne(
+      { key },
+      [{
+        $set: {
+          lockedUntil,
+          unlockToken,
+          userId,
+          expiresAt: { $max: ['$expiresAt', lockedUntil] }
+        }
+      }]
+    )
+  }
+
+  async clearLoginAttempts(key) {
+    const attempts = this.db.collection('login_attempts')
+    await attempts.deleteOne({ key })
+  }
+
+  async findLoginAttemptByUnlockToken(unlockToken) {
+    const attempts = this.db.collection('login_attempts')
+    return await attempts.findOne({ unlockToken })
+  }
+
+  async createLoginAttemptIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const attempts = this.db.collection('login_attempts')
+    await attempts.createIndex({ key: 1 }, { unique: true })
+    await attempts.createIndex({ unlockToken: 1 }, { sparse: true })
+    await attempts.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+    console.log('[mongodb] Login attempt indexes created successfully')
+  }
+
+  // Rate limiting - one counter per key and fixed window; the limiter
+  // combines two windows into a sliding one
+  async incrementRateLimitCounter(key, windowStart, expiresAt) {
+    const counters = this.db.collection('rate_limits')
+    return await counters.findOneAndUpdate(
+      { key, windowStart },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+      { upsert: true, returnDocument: 'after' }
+    )
+  }
+
+  async getRateLimitCounter(key, windowStart) {
+    const counters = this.db.collection('rate_limits')
+    return await counters.findOne({ key, windowStart })
+  }
+
+  async createRateLimitIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const counters = this.db.collection('rate_limits')
+    await counters.createIndex({ key: 1, windowStart: 1 }, { unique: true })
+    await counters.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+    console.log('[mongodb] Rate limit indexes created successfully')
+  }
+
+  // OAuth - pending authorization requests and accounts linked to users
+  async createOAuthState(stateData) {
+    const states = this.db.collection('oauth_states')
+    await states.insertOne({ ...stateData, createdAt: new Date() })
+  }
+
+  // States are single-use, so reading one also removes it
+  async consumeOAuthState(state) {
+    const states = this.db.collection('oauth_states')
+    return await states.findOneAndDelete({ state })
+  }
+
+  async findUserIdentity(provider, providerUserId) {
+    const identities = this.db.collection('user_identities')
+    return await identities.findOne({ provider, providerUserId })
+  }
+
+  async getUserIdentity(userId, provider) {
+    const identities = this.db.collection('user_identities')
+    return await identities.findOne({ userId: new ObjectId(userId), provider })
+  }
+
+  async getUserIdentities(userId) {
+    const identities = this.db.collection('user_identities')
+    return await identities
+      .find({ userId: new ObjectId(userId) })
+      .sort({ linkedAt: 1 })
+      .toArray()
+  }
+
+  async upsertUserIdentity({ userId, provider, providerUserId, email, username, tokens }) {
+    const identities = this.db.collection('user_identities')
+    await identities.updateOne(
+      { userId: new ObjectId(userId), provider },
+      {
+        $set: { providerUserId, email, username, tokens, updatedAt: new Date() },
+        $setOnInsert: { linkedAt: new Date() }
+      },
+      { upsert: true }
+    )
+  }
+
+  async updateUserIdentityTokens(userId, provider, tokens) {
+    const identities = this.db.collection('user_identities')
+    await identities.updateOne(
+      { userId: new ObjectId(userId), provider },
+      { $set: { tokens, updatedAt: new Date() } }
+    )
+  }
+
+  async deleteUserIdentity(userId, provider) {
+    const identities = this.db.collection('user_identities')
+    const result = await identities.deleteOne({ userId: new ObjectId(userId), provider })
     return result.deletedCount > 0
   }
 
+  async createOAuthIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const states = this.db.collection('oauth_states')
+    await states.createIndex({ state: 1 }, { unique: true })
+    await states.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+    const identities = this.db.collection('user_identities')
+    await identities.createIndex({ provider: 1, providerUserId: 1 }, { unique: true })
+    await identities.createIndex({ userId: 1, provider: 1 }, { unique: true })
+
+    console.log('[mongodb] OAuth indexes created successfully')
+  }
+
   // API logging
   async insertApiLog(logData) {
     if (!this.isConnected) return
@@ -1038,39 +2120,46 @@ class Database {
       .toArray()
   }
 
-  // Caching (simplified version)
-  async cacheResponse(key, data) {
+  // Caching - every entry carries its own expiresAt. Expired entries are kept
+  // until staleUntil so they can be served stale, then removed by a TTL index.
+  // Entries with refs point at catalog documents instead of holding the payload
+  async cacheResponse(key, data, { ttl = 24 * 60 * 60, staleTtl = 0, status = 200, headers = {}, refs = null } = {}) {
     if (!this.isConnected) return
 
     const cache = this.db.collection('cache')
+    const now = new Date()
+    const expiresAt = new Date(now.getTime() + ttl * 1000)
     await cache.updateOne(
       { key },
       {
         $set: {
           data,
-          createdAt: new Date()
+          refs,
+          status,
+          headers,
+          ttl,
+          createdAt: now,
+          expiresAt,
+          staleUntil: new Date(expiresAt.getTime() + staleTtl * 1000)
         }
       },
       { upsert: true }
     )
   }
 
-  async getCachedResponse(key) {
+  async getCachedResponse(key, { allowStale = false } = {}) {
     if (!this.isConnected) return null
 
+    // The TTL monitor only runs once a minute, so filter on the dates as well.
+    // staleUntil is never before expiresAt; entries without it predate it and
+    // count as expired.
     const cache = this.db.collection('cache')
-    const cached = await cache.findOne({ key })
-
-    if (!cached) return null
-
-    // Check if cache is expired (24 hours for now)
     const now = new Date()
-    const cachedTime = new Date(cached.createdAt)
-    const hoursDiff = (now - cachedTime) / (1000 * 60 * 60)
+    const query = allowStale
+      ? { key, staleUntil: { $gt: now } }
+      : { key, expiresAt: { $gt: now }, staleUntil: { $gt: now } }
 
-    if (hoursDiff > 24) return null
-
-    return cached
+    return await cache.findOne(query)
   }
 
   async updateCachedResponse(key, data) {
@@ -1088,6 +2177,211 @@ class Database {
     )
   }
 
+  async createCacheIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const cache = this.db.collection('cache')
+
+    // Entries used to expire on expiresAt; they now live until staleUntil
+    const indexes = await cache.indexes()
+    const legacyTtlIndex = indexes.find(index => index.name === 'expiresAt_1' && index.expireAfterSeconds !== undefined)
+    if (legacyTtlIndex) {
+      await cache.dropIndex(legacyTtlIndex.name)
+    }
+
+    // Entries written before then have no staleUntil, so the TTL index would
+    // never remove them. They are only cache, so drop them and let them refill.
+    const { deletedCount } = await cache.deleteMany({ staleUntil: { $exists: false } })
+    if (deletedCount > 0) {
+      console.log(`[mongodb] Removed ${deletedCount} cache entries without staleUntil`)
+    }
+
+    // cacheResponse upserts by key, so the key index is unique. It used to be
+    // a plain index; duplicates left by concurrent upserts are removed first,
+    // keeping the newest entry for each key.
+    const legacyKeyIndex = indexes.find(index => index.name === 'key_1' && !index.unique)
+    if (legacyKeyIndex) {
+      const duplicates = await cache.aggregate([
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$key', ids: { $push: '$_id' }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ], { allowDiskUse: true }).toArray()
+      for (const duplicate of duplicates) {
+        await cache.deleteMany({ _id: { $in: duplicate.ids.slice(1) } })
+      }
+      await cache.dropIndex(legacyKeyIndex.name)
+    }
+
+    await cache.createIndex({ key: 1 }, { unique: true })
+    await cache.createIndex({ staleUntil: 1 }, { expireAfterSeconds: 0 })
+
+    // Hourly hit/miss counters are kept for 30 days
+    await this.db.collection('cache_stats').createIndex({ hour: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 })
+    await this.db.collection('cache_stats').createIndex({ hour: 1, group: 1 }, { unique: true, name: 'hour_group' })
+
+    console.log('[mongodb] Cache indexes created successfully')
+  }
+
+  // Cache inspection - entries whose key matches a regular expression, with
+  // their BSON size
+  async listCacheEntries(keyPattern = null, limit = 50, skip = 0) {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const cache = this.db.collection('cache')
+    const match = keyPattern ? { key: { $regex: keyPattern } } : {}
+
+    const entries = await cache.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      { $skip: skip },
+      { $limit: limit },
+      {
+        $project: {
+          _id: 0,
+          key: 1,
+          status: 1,
+          ttl: 1,
+          createdAt: 1,
+          expiresAt: 1,
+          staleUntil: 1,
+          isReference: { $cond: [{ $ifNull: ['$refs', false] }, true, false] },
+          size: { $bsonSize: '$$ROOT' }
+        }
+      }
+    ]).toArray()
+    const total = await cache.countDocuments(match)
+
+    return { entries, total }
+  }
+
+  async purgeCacheEntries(keyPattern) {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    const cache = this.db.collection('cache')
+    const result = await cache.deleteMany({ key: { $regex: keyPattern } })
+    return result.deletedCount
+  }
+
+  // Count a proxy cache outcome (HIT, MISS or STALE) in an hourly bucket
+  async recordCacheOutcome(group, outcome) {
+    if (!this.isConnected) return
+
+    const hour = new Date()
+    hour.setUTCMinutes(0, 0, 0)
+
+    await this.db.collection('cache_stats').updateOne(
+      { hour, group },
+      { $inc: { [outcome.toLowerCase()]: 1 } },
+      { upsert: true }
+    )
+  }
+
+  async getCacheStats(since) {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    return await this.db.collection('cache_stats').aggregate([
+      { $match: { hour: { $gte: since } } },
+      {
+        $group: {
+          _id: '$group',
+          hit: { $sum: { $ifNull: ['$hit', 0] } },
+          miss: { $sum: { $ifNull: ['$miss', 0] } },
+          stale: { $sum: { $ifNull: ['$stale', 0] } }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]).toArray()
+  }
+
+  // Catalog - one document per Trakt entity, keyed by ids.trakt
+  // hasImages records whether the entry has been fetched with
+  // extended=images; a later fetch without images never clears it
+  async upsertCatalogItems(collectionName, items, { hasImages = false } = {}) {
+    if (!this.isConnected) return
+
+    const now = new Date()
+    const operations = items.map(item => {
+      const { createdAt, ...fields } = item
+      return {
+        updateOne: {
+          filter: { 'ids.trakt': item.ids.trakt },
+          update: hasImages
+            ? {
+                $set: { ...fields, hasImages: true, updatedAt: now },
+                $setOnInsert: { createdAt: now }
+              }
+            : {
+                $set: { ...fields, updatedAt: now },
+                $setOnInsert: { createdAt: now, hasImages: false }
+              },
+          upsert: true
+        }
+      }
+    })
+
+    await this.db.collection(collectionName).bulkWrite(operations, { ordered: false })
+  }
+
+  async getCatalogItemsByTraktIds(collectionName, traktIds) {
+    if (!this.isConnected) return []
+
+    return await this.db.collection(collectionName)
+      .find({ 'ids.trakt': { $in: traktIds } })
+      .toArray()
+  }
+
+  // Look up a catalog entry by Trakt id, slug or IMDb id
+  async getCatalogItem(collectionName, id) {
+    if (!this.isConnected) return null
+
+    const idString = String(id)
+    const query = /^\d+$/.test(idString)
+      ? { 'ids.trakt': Number(idString) }
+      : { $or: [{ 'ids.slug': idString }, { 'ids.imdb': idString }] }
+
+    return await this.db.collection(collectionName).findOne(query)
+  }
+
+  // Text search over a catalog collection; best matches first, or most voted
+  // first when there is no search text
+  async searchCatalog(collectionName, text, filters = {}, limit = 20) {
+    if (!this.isConnected) return []
+
+    const query = text ? { ...filters, $text: { $search: text } } : filters
+    const options = text ? { projection: { score: { $meta: 'textScore' } } } : {}
+
+    return await this.db.collection(collectionName)
+      .find(query, options)
+      .sort(text ? { score: { $meta: 'textScore' } } : { votes: -1 })
+      .limit(limit)
+      .toArray()
+  }
+
+  async createCatalogIndexes() {
+    if (!this.isConnected) throw new Error("Database not configured")
+
+    for (const collectionName of ['movies', 'shows', 'seasons', 'episodes', 'people']) {
+      const collection = this.db.collection(collectionName)
+      await collection.createIndex({ 'ids.trakt': 1 }, { unique: true })
+      await collection.createIndex({ 'ids.slug': 1 })
+    }
+
+    for (const collectionName of ['movies', 'shows']) {
+      const collection = this.db.collection(collectionName)
+      await collection.createIndex({ 'ids.imdb': 1 })
+      await collection.createIndex({ year: 1 })
+      await collection.createIndex({ genres: 1 })
+      await collection.createIndex(
+        { title: 'text', overview: 'text', tagline: 'text', genres: 'text' },
+        { name: 'catalog_text', weights: { title: 10, tagline: 3, genres: 2, overview: 1 } }
+      )
+    }
+    await this.db.collection('seasons').createIndex({ showId: 1, number: 1 })
+    await this.db.collection('episodes').createIndex({ showId: 1, season: 1, number: 1 })
+
+    console.log('[mongodb] Catalog indexes created successfully')
+  }
+
   // Subscription management
   async insertSubscription(subscriptionData) {
     if (!this.isConnected) throw new Error("Database not configured")
@@ -1255,24 +2549,14 @@ class Database {
     return result.insertedId
   }
 
-  // Get cached movie/show data from Trakt API cache
+  // Get movie/show data from the catalog, falling back to entries cached
+  // before the catalog existed
   async getCachedMovieData(movieId) {
     if (!this.isConnected) return null
 
-    // Try to find cached movie data from the cache collection
-    const cache = this.db.collection('cache')
-    const cacheKey = `trakt-movies-${movieId}`
-
-    const cached = await cache.findOne({ key: cacheKey })
-    if (!cached) return null
-
-    // Check if cache is expired (24 hours)
-    const now = new Date()
-    const cachedTime = new Date(cached.createdAt)
-    const hoursDiff = (now - cachedTime) / (1000 * 60 * 60)
-    if (hoursDiff > 24) return null
+    const movieData = await this.getCatalogItem('movies', movieId)
+    if (!movieData) return null
 
-    const movieData = cached.data
     return {
       title: movieData.title,
       year: movieData.year,
@@ -1296,20 +2580,9 @@ class Database {
   async getCachedShowData(showId) {
     if (!this.isConnected) return null
 
-    // Try to find cached show data from the cache collection
-    const cache = this.db.collection('cache')
-    const cacheKey = `trakt-shows-${showId}`
-
-    const cached = await cache.findOne({ key: cacheKey })
-    if (!cached) return null
-
-    // Check if cache is expired (24 hours)
-    const now = new Date()
-    const cachedTime = new Date(cached.createdAt)
-    const hoursDiff = (now - cachedTime) / (1000 * 60 * 60)
-    if (hoursDiff > 24) return null
+    const showData = await this.getCatalogItem('shows', showId)
+    if (!showData) return null
 
-    const showData = cached.data
     return {
       title: showData.title,
       year: showData.year,
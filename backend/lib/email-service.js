@@ -236,6 +236,411 @@ class EmailService {
     }
   }
 
+  async sendAccountLockedEmail(email, unlockToken, lockedUntil) {
+    if (!this.isConfigured) {
+      console.log('Email service not configured - skipping account locked email');
+      return false;
+    }
+
+    const unlockUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/unlock?token=${unlockToken}`;
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'Pickford'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your Pickford account has been locked',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Pickford account has been locked</title>
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 24px;
+              font-weight: bold;
+              color: #e50914;
+            }
+            .content {
+              background: #f8f9fa;
+              padding: 30px;
+              border-radius: 8px;
+              margin-bottom: 20px;
+            }
+            .button {
+              display: inline-block;
+              background: #e50914;
+              color: white;
+              text-decoration: none;
+              padding: 12px 24px;
+              border-radius: 4px;
+              font-weight: bold;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              font-size: 12px;
+              color: #666;
+              margin-top: 30px;
+            }
+            .expiry {
+              color: #666;
+              font-size: 14px;
+              margin-top: 15px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="logo">Pickford</div>
+          </div>
+
+          <div class="content">
+            <h2>Too many failed sign-in attempts</h2>
+            <p>We locked sign-in to your Pickford account after several failed attempts. If this was you, click the button below to unlock it now:</p>
+
+            <a href="${unlockUrl}" class="button">Unlock Account</a>
+
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #e50914;">${unlockUrl}</p>
+
+            <div class="expiry">
+              <p><strong>Note:</strong> The lock is lifted automatically at ${lockedUntil.toUTCString()}.</p>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>If this wasn't you, someone may be trying to guess your password. Consider changing it once you are signed in.</p>
+            <p>© 2024 Pickford. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Account locked email sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to send account locked email:', error);
+      return false;
+    }
+  }
+
+  async sendEmailChangeConfirmation(email, verificationToken) {
+    if (!this.isConfigured) {
+      console.log('Email service not configured - skipping email change confirmation');
+      return false;
+    }
+
+    const confirmUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/verify-email?token=${verificationToken}`;
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'Pickford'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Confirm your new Pickford email address',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Confirm your new Pickford email address</title>
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 24px;
+              font-weight: bold;
+              color: #e50914;
+            }
+            .content {
+              background: #f8f9fa;
+              padding: 30px;
+              border-radius: 8px;
+              margin-bottom: 20px;
+            }
+            .button {
+              display: inline-block;
+              background: #e50914;
+              color: white;
+              text-decoration: none;
+              padding: 12px 24px;
+              border-radius: 4px;
+              font-weight: bold;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              font-size: 12px;
+              color: #666;
+              margin-top: 30px;
+            }
+            .expiry {
+              color: #666;
+              font-size: 14px;
+              margin-top: 15px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="logo">Pickford</div>
+          </div>
+
+          <div class="content">
+            <h2>Confirm your new email address</h2>
+            <p>You asked to use this address for your Pickford account. Click the button below to confirm it:</p>
+
+            <a href="${confirmUrl}" class="button">Confirm Email Address</a>
+
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #e50914;">${confirmUrl}</p>
+
+            <div class="expiry">
+              <p><strong>Note:</strong> This link will expire in 24 hours. Your account keeps its current address until you confirm.</p>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>If you didn't ask for this change, you can safely ignore this email.</p>
+            <p>© 2024 Pickford. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Email change confirmation sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to send email change confirmation:', error);
+      return false;
+    }
+  }
+
+  async sendEmailChangeNotice(email, newEmail, cancelToken) {
+    if (!this.isConfigured) {
+      console.log('Email service not configured - skipping email change notice');
+      return false;
+    }
+
+    const cancelUrl = `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/email-change/cancel?token=${cancelToken}`;
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'Pickford'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Your Pickford email address is being changed',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Your Pickford email address is being changed</title>
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 24px;
+              font-weight: bold;
+              color: #e50914;
+            }
+            .content {
+              background: #f8f9fa;
+              padding: 30px;
+              border-radius: 8px;
+              margin-bottom: 20px;
+            }
+            .button {
+              display: inline-block;
+              background: #e50914;
+              color: white;
+              text-decoration: none;
+              padding: 12px 24px;
+              border-radius: 4px;
+              font-weight: bold;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              font-size: 12px;
+              color: #666;
+              margin-top: 30px;
+            }
+            .expiry {
+              color: #666;
+              font-size: 14px;
+              margin-top: 15px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="logo">Pickford</div>
+          </div>
+
+          <div class="content">
+            <h2>Email change requested</h2>
+            <p>Someone signed in to your Pickford account asked to change its email address to <strong>${newEmail}</strong>. The change happens once the new address is confirmed.</p>
+            <p>If this wasn't you, cancel the change and change your password:</p>
+
+            <a href="${cancelUrl}" class="button">Cancel Email Change</a>
+
+            <p>Or copy and paste this link into your browser:</p>
+            <p style="word-break: break-all; color: #e50914;">${cancelUrl}</p>
+
+            <div class="expiry">
+              <p><strong>Note:</strong> This link also undoes the change for 7 days after it was confirmed, and logs out every device.</p>
+            </div>
+          </div>
+
+          <div class="footer">
+            <p>If you made this change, you don't need to do anything.</p>
+            <p>© 2024 Pickford. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Email change notice sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to send email change notice:', error);
+      return false;
+    }
+  }
+
+  async sendWelcomeEmail(email, name) {
+    if (!this.isConfigured) {
+      console.log('Email service not configured - skipping welcome email');
+      return false;
+    }
+
+    const appUrl = process.env.APP_BASE_URL || process.env.BASE_URL || 'http://localhost:3000';
+
+    const mailOptions = {
+      from: `${process.env.EMAIL_FROM_NAME || 'Pickford'} <${process.env.EMAIL_FROM || process.env.EMAIL_USER}>`,
+      to: email,
+      subject: 'Welcome to Pickford',
+      html: `
+        <!DOCTYPE html>
+        <html>
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1.0">
+          <title>Welcome to Pickford</title>
+          <style>
+            body {
+              font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+              line-height: 1.6;
+              color: #333;
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+            }
+            .header {
+              text-align: center;
+              margin-bottom: 30px;
+            }
+            .logo {
+              font-size: 24px;
+              font-weight: bold;
+              color: #e50914;
+            }
+            .content {
+              background: #f8f9fa;
+              padding: 30px;
+              border-radius: 8px;
+              margin-bottom: 20px;
+            }
+            .button {
+              display: inline-block;
+              background: #e50914;
+              color: white;
+              text-decoration: none;
+              padding: 12px 24px;
+              border-radius: 4px;
+              font-weight: bold;
+              margin: 20px 0;
+            }
+            .footer {
+              text-align: center;
+              font-size: 12px;
+              color: #666;
+              margin-top: 30px;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="header">
+            <div class="logo">Pickford</div>
+          </div>
+
+          <div class="content">
+            <h2>Welcome to Pickford, ${name}!</h2>
+            <p>Your account is ready. Start by rating a few movies and shows you have seen, and build watchlists of what you want to watch next.</p>
+
+            <a href="${appUrl}" class="button">Open Pickford</a>
+          </div>
+
+          <div class="footer">
+            <p>You are receiving this email because you created a Pickford account.</p>
+            <p>© 2024 Pickford. All rights reserved.</p>
+          </div>
+        </body>
+        </html>
+      `
+    };
+
+    try {
+      await this.transporter.sendMail(mailOptions);
+      console.log(`Welcome email sent to ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to send welcome email:', error);
+      return false;
+    }
+  }
+
   generateVerificationToken() {
     return {
       token: uuidv4(),
@@ -0,0 +1,191 @@
+const { v4: uuidv4 } = require('uuid');
+
+class LoginProtectionService {
+  constructor() {
+    // Attempts are counted per IP and per account (email) within a window
+    // that restarts after a quiet period. Reaching either maximum locks that
+    // key until the lockout ends.
+    this.SCOPES = {
+      login: {
+        accountMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+        ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+        window: parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 15 * 60,
+        lockout: parseInt(process.env.LOGIN_LOCKOUT_DURATION) || 15 * 60,
+        sendUnlockEmail: true
+      },
+      'forgot-password': {
+        accountMaxAttempts: parseInt(process.env.FORGOT_PASSWORD_MAX_ATTEMPTS) || 5,
+        ipMaxAttempts: parseInt(process.env.FORGOT_PASSWORD_IP_MAX_ATTEMPTS) || 20,
+        window: 60 * 60,
+        lockout: 60 * 60,
+        sendUnlockEmail: false
+      }
+    };
+
+    // Failures beyond delayAfter slow each further attempt down, doubling up
+    // to maxDelayMs
+    this.delayAfter = 2;
+    this.baseDelayMs = 1000;
+    this.maxDelayMs = parseInt(process.env.LOGIN_MAX_DELAY_MS) || 8000;
+  }
+
+  getKeys(scope, { ip, account }) {
+    return {
+      ipKey: ip ? `${scope}:ip:${ip}` : null,
+      accountKey: account ? `${scope}:account:${String(account).trim().toLowerCase()}` : null
+    };
+  }
+
+  getDelay(failures) {
+    if (failures <= this.delayAfter) return 0;
+    return Math.min(this.baseDelayMs * 2 ** (failures - this.delayAfter - 1), this.maxDelayMs);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Check whether an attempt may go ahead and wait out the progressive delay
+   * @param {string} scope - 'login' or 'forgot-password'
+   * @param {Object} client - { ip, account }
+   * @returns {Promise<Object>} { allowed, retryAfter } with retryAfter in seconds
+   */
+  async checkAttempt(scope, client) {
+    const { db } = require('./db-mongodb');
+
+    if (!db.isConnected) return { allowed: true };
+
+    const { ipKey, accountKey } = this.getKeys(scope, client);
+    const now = new Date();
+    const records = await db.getLoginAttempts([ipKey, accountKey].filter(Boolean));
+    const current = records.filter(record => record.expiresAt > now);
+
+    const locked = current.filter(record => record.lockedUntil && record.lockedUntil > now);
+    if (locked.length > 0) {
+      const lockedUntil = Math.max(...locked.map(record => record.lockedUntil.getTime()));
+      return { allowed: false, retryAfter: Math.ceil((lockedUntil - now.getTime()) / 1000) };
+    }
+
+    const failures = Math.max(0, ...current.map(record => record.failures || 0));
+    const delay = this.getDelay(failures);
+    if (delay > 0) {
+      await this.sleep(delay);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a failed attempt and lock keys that reach their maximum
+   * @param {string} scope - 'login' or 'forgot-password'
+   * @param {Object} client - { ip, account }
+   * @param {Object} req - Express request, for the lockout activity
+   */
+  async recordFailure(scope, client, req) {
+    const { db } = require('./db-mongodb');
+
+    if (!db.isConnected) return;
+
+    const config = this.SCOPES[scope];
+    const { ipKey, accountKey } = this.getKeys(scope, client);
+
+    if (ipKey) {
+      const record = await db.recordLoginFailure(ipKey, config.window);
+      if (record.failures === config.ipMaxAttempts) {
+        const lockedUntil = new Date(Date.now() + config.lockout * 1000);
+        await db.lockLoginKey(ipKey, lockedUntil, {});
+        console.warn(`[LoginProtection] Locked ${scope} attempts from IP ${client.ip} until ${lockedUntil.toISOString()}`);
+      }
+    }
+
+    if (accountKey) {
+      const record = await db.recordLoginFailure(accountKey, config.window);
+      if (record.failures === config.accountMaxAttempts) {
+        await this.lockAccount(scope, client, record.failures, req);
+      }
+    }
+  }
+
+  async lockAccount(scope, client, failures, req) {
+    const { db } = require('./db-mongodb');
+    const { EmailService } = require('./email-service');
+    const { ActivityService } = require('./activity-service');
+
+    const config = this.SCOPES[scope];
+    const { accountKey } = this.getKeys(scope, client);
+    const lockedUntil = new Date(Date.now() + config.lockout * 1000);
+    const unlockToken = config.sendUnlockEmail ? uuidv4() : null;
+
+    // Unknown emails are locked the same way, so lockouts don't reveal
+    // which accounts exist; there is just nobody to notify
+    const user = await db.findUserByEmail(client.account);
+
+    await db.lockLoginKey(accountKey, lockedUntil, { unlockToken, userId: user ? user._id : null });
+    console.warn(`[LoginProtection] Locked ${scope} for ${client.account} until ${lockedUntil.toISOString()}`);
+
+    if (!user) return;
+
+    await ActivityService.logActivity({
+      userId: user._id,
+      activityType: ActivityService.ACTIVITY_TYPES.ACCOUNT_LOCK,
+      resourceType: ActivityService.RESOURCE_TYPES.USER,
+      resourceId: user._id,
+      metadata: { scope, failures, lockedUntil },
+      req
+    });
+
+    if (unlockToken) {
+      await EmailService.sendAccountLockedEmail(user.email, unlockToken, lockedUntil);
+    }
+  }
+
+  async recordSuccess(scope, client) {
+    const { db } = require('./db-mongodb');
+
+    if (!db.isConnected) return;
+
+    // Only the account is cleared; one valid login must not reset the
+    // counter of an IP that is guessing other accounts
+    const { accountKey } = this.getKeys(scope, client);
+    if (accountKey) {
+      await db.clearLoginAttempts(accountKey);
+    }
+  }
+
+  /**
+   * Lift an account lockout with the token from the unlock email
+   * @param {string} token - Unlock token
+   * @param {Object} req - Express request, for the unlock activity
+   * @returns {Promise<boolean>} Whether a lockout was lifted
+   */
+  async unlock(token, req) {
+    const { db } = require('./db-mongodb');
+    const { ActivityService } = require('./activity-service');
+
+    const record = await db.findLoginAttemptByUnlockToken(token);
+    if (!record || !record.lockedUntil || record.lockedUntil <= new Date()) {
+      return false;
+    }
+
+    await db.clearLoginAttempts(record.key);
+
+    if (record.userId) {
+      await ActivityService.logActivity({
+        userId: record.userId,
+        activityType: ActivityService.ACTIVITY_TYPES.ACCOUNT_UNLOCK,
+        resourceType: ActivityService.RESOURCE_TYPES.USER,
+        resourceId: record.userId,
+        metadata: { lockedUntil: record.lockedUntil },
+        req
+      });
+    }
+
+    return true;
+  }
+}
+
+// Create singleton instance
+const loginProtectionService = new LoginProtectionService();
+
+module.exports = { LoginProtectionService: loginProtectionService };
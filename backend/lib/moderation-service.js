@@ -0,0 +1,371 @@
+const fs = require('fs');
+const { ObjectId } = require('mongodb');
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|xyz|info|biz|ru|cn|top|site|online|click|link)\b(?:\/[^\s<>]*)?/gi;
+
+class ModerationService {
+  constructor() {
+    this.REPORT_REASONS = ['spam', 'harassment', 'hate', 'spoiler', 'off_topic', 'other'];
+    this.ACTIONS = ['approve', 'hide', 'delete'];
+    this.RESTRICTIONS = ['mute', 'ban'];
+    this.maxReportDetails = 500;
+
+    // Comma-separated words, plus an optional file with one word per line
+    this.blockedWordsFile = process.env.COMMENT_BLOCKED_WORDS_FILE || null;
+    this.blockedWords = null;
+
+    this.maxLinks = parseInt(process.env.COMMENT_MAX_LINKS) || 2;
+
+    // Links from accounts younger than this are held for review
+    this.newAccountHours = parseInt(process.env.COMMENT_NEW_ACCOUNT_HOURS) || 24;
+
+    // Open reports after which a visible comment is held for review
+    this.reportThreshold = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+    this.defaultMuteHours = 24;
+  }
+
+  /**
+   * Create an error the routes can map to a status code
+   * @param {string} message
+   * @param {string} code - INVALID_COMMENT, COMMENT_NOT_FOUND, USER_NOT_FOUND or
+   *   COMMENTING_RESTRICTED
+   * @returns {Error}
+   */
+  moderationError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Load the blocked word list once, lowercased
+   * @returns {Array<string>}
+   */
+  getBlockedWords() {
+    if (this.blockedWords) return this.blockedWords;
+
+    const words = (process.env.COMMENT_BLOCKED_WORDS || '').split(',');
+    if (this.blockedWordsFile) {
+      try {
+        words.push(...fs.readFileSync(this.blockedWordsFile, 'utf8').split(/\r?\n/).filter(line => !line.startsWith('#')));
+      } catch (error) {
+        console.error(`[Moderation] Could not read blocked word list ${this.blockedWordsFile}:`, error.message);
+      }
+    }
+
+    this.blockedWords = [...new Set(words.map(word => word.trim().toLowerCase()).filter(Boolean))];
+    return this.blockedWords;
+  }
+
+  escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Check comment content against the word list and link-spam heuristics
+   * @param {string} content
+   * @param {Object} user - author
+   * @returns {Array<string>} Reasons to hold the comment for review; empty when it can be published
+   */
+  checkContent(content, user) {
+    const { RoleService } = require('./role-service');
+    if (RoleService.hasPermission(user, RoleService.PERMISSIONS.COMMENTS_MODERATE)) return [];
+
+    const reasons = [];
+    const lowered = content.toLowerCase();
+
+    const blocked = this.getBlockedWords().find(word =>
+      new RegExp(`(^|[^a-z0-9])${this.escapeRegExp(word)}($|[^a-z0-9])`, 'i').test(lowered)
+    );
+    if (blocked) reasons.push('blocked_word');
+
+    const links = content.match(URL_PATTERN) || [];
+    if (links.length > this.maxLinks) {
+      reasons.push('too_many_links');
+    } else if (links.length > 0 && user.createdAt &&
+      Date.now() - new Date(user.createdAt).getTime() < this.newAccountHours * 60 * 60 * 1000) {
+      reasons.push('new_account_link');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * The user's current mute or ban, if any
+   * @param {Object} user
+   * @returns {Object|null}
+   */
+  getActiveRestriction(user) {
+    const restriction = user && user.commentRestriction;
+    if (!restriction) return null;
+    if (restriction.until && new Date(restriction.until) <= new Date()) return null;
+    return restriction;
+  }
+
+  /**
+   * Throw when the user is muted or banned from commenting
+   * @param {Object} user
+   */
+  assertCanComment(user) {
+    const restriction = this.getActiveRestriction(user);
+    if (!restriction) return;
+
+    const message = restriction.type === 'ban'
+      ? 'You are banned from commenting'
+      : 'You are muted from commenting';
+    const error = this.moderationError(
+      restriction.until ? `${message} until ${new Date(restriction.until).toISOString()}` : message,
+      'COMMENTING_RESTRICTED'
+    );
+    error.restriction = { type: restriction.type, until: restriction.until || null };
+    throw error;
+  }
+
+  /**
+   * Record an automatic hold in the moderation log
+   * @param {Object} comment - held comment with _id and userId
+   * @param {Array<string>} reasons
+   */
+  async logHold(comment, reasons) {
+    const { db } = require('./db-mongodb');
+    await db.insertModerationLog({
+      action: 'hold',
+      commentId: comment._id,
+      targetUserId: new ObjectId(comment.userId),
+      moderatorId: null,
+      reason: reasons.join(', ')
+    });
+  }
+
+  /**
+   * Report a comment. Reaching the report threshold holds the comment for review.
+   * @param {string} commentId
+   * @param {Object} reporter - user
+   * @param {Object} report
+   * @param {string} report.reason - one of REPORT_REASONS
+   * @param {string} [report.details] - required for 'other'
+   * @returns {Promise<Object>} The report ID and whether the comment is now held
+   */
+  async reportComment(commentId, reporter, { reason, details }) {
+    const { db } = require('./db-mongodb');
+
+    if (!this.REPORT_REASONS.includes(reason)) {
+      throw this.moderationError(`Reason must be one of: ${this.REPORT_REASONS.join(', ')}`, 'INVALID_COMMENT');
+    }
+
+    const trimmedDetails = typeof details === 'string' ? details.trim() : '';
+    if (reason === 'other' && !trimmedDetails) {
+      throw this.moderationError('Details are required when the reason is other', 'INVALID_COMMENT');
+    }
+    if (trimmedDetails.length > this.maxReportDetails) {
+      throw this.moderationError(`Details must be less than ${this.maxReportDetails} characters`, 'INVALID_COMMENT');
+    }
+
+    const comment = ObjectId.isValid(commentId) ? await db.getCommentById(commentId) : null;
+    if (!comment || comment.isDeleted || ['pending', 'hidden'].includes(comment.status)) {
+      throw this.moderationError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    if (comment.userId.toString() === reporter._id.toString()) {
+      throw this.moderationError('You cannot report your own comment', 'INVALID_COMMENT');
+    }
+
+    const reportId = await db.createCommentReport({
+      commentId: comment._id,
+      reporterId: new ObjectId(reporter._id),
+      reason,
+      details: trimmedDetails || null
+    });
+    if (!reportId) {
+      throw this.moderationError('You have already reported this comment', 'INVALID_COMMENT');
+    }
+
+    const updated = await db.incrementCommentReports(comment._id);
+    let held = false;
+    if (updated && updated.reportCount >= this.reportThreshold && !['pending', 'hidden'].includes(updated.status)) {
+      await db.setCommentStatus(comment._id, 'pending', { heldReasons: ['reports'], heldAt: new Date() });
+      await this.logHold(comment, ['reports']);
+      held = true;
+    }
+
+    return { reportId, held };
+  }
+
+  /**
+   * Comments waiting for a moderator, with their open reports
+   * @param {string} [filter] - review (default: held or reported), pending, reported or hidden
+   * @param {number} limit
+   * @param {number} skip
+   * @returns {Promise<Object>} Comments and pagination
+   */
+  async getQueue(filter = 'review', limit, skip) {
+    const { db } = require('./db-mongodb');
+
+    if (!['review', 'pending', 'reported', 'hidden'].includes(filter)) {
+      throw this.moderationError('Status must be one of: review, pending, reported, hidden', 'INVALID_COMMENT');
+    }
+
+    const { comments, pagination } = await db.getModerationQueue(filter, limit, skip);
+
+    const authorIds = [...new Set(comments.map(comment => comment.userId.toString()))];
+    const authors = await Promise.all(authorIds.map(id => db.getUserById(id)));
+    const authorsById = new Map(authors.filter(Boolean).map(user => [user._id.toString(), user]));
+
+    const items = await Promise.all(comments.map(async comment => {
+      const author = authorsById.get(comment.userId.toString());
+      return {
+        ...comment,
+        status: comment.status || 'visible',
+        user: author ? {
+          _id: author._id,
+          username: author.username,
+          commentRestriction: this.getActiveRestriction(author)
+        } : null,
+        reports: await db.getCommentReports(comment._id)
+      };
+    }));
+
+    return { comments: items, pagination };
+  }
+
+  /**
+   * Apply a moderator decision to a comment and resolve its open reports
+   * @param {string} commentId
+   * @param {Object} moderator - user
+   * @param {string} action - approve, hide or delete
+   * @param {string} [reason]
+   * @returns {Promise<Object>} The comment's status afterwards
+   */
+  async moderateComment(commentId, moderator, action, reason = null) {
+    const { db } = require('./db-mongodb');
+    const { CommentService } = require('./comment-service');
+
+    if (!this.ACTIONS.includes(action)) {
+      throw this.moderationError(`Action must be one of: ${this.ACTIONS.join(', ')}`, 'INVALID_COMMENT');
+    }
+
+    const comment = ObjectId.isValid(commentId) ? await db.getCommentById(commentId) : null;
+    if (!comment || comment.isDeleted) {
+      throw this.moderationError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    const review = { reviewedBy: new ObjectId(moderator._id), reviewedAt: new Date(), reason: reason || null };
+    let status;
+    if (action === 'approve') {
+      await db.setCommentStatus(comment._id, 'visible', review);
+      status = 'visible';
+    } else if (action === 'hide') {
+      await db.setCommentStatus(comment._id, 'hidden', review);
+      status = 'hidden';
+    } else {
+      await CommentService.deleteComment(comment._id, null);
+      status = 'deleted';
+    }
+
+    const resolution = { approve: 'dismissed', hide: 'hidden', delete: 'deleted' }[action];
+    const reportsResolved = await db.resolveCommentReports(comment._id, moderator._id, resolution);
+
+    await db.insertModerationLog({
+      action,
+      commentId: comment._id,
+      targetUserId: comment.userId,
+      moderatorId: new ObjectId(moderator._id),
+      reason: reason || null,
+      previousStatus: comment.status || 'visible',
+      reportsResolved
+    });
+
+    return { status, reportsResolved };
+  }
+
+  /**
+   * Mute (temporary) or ban (until lifted, or for a duration) a user from commenting
+   * @param {string} userId
+   * @param {Object} moderator - user
+   * @param {Object} restriction
+   * @param {string} restriction.type - mute or ban
+   * @param {number} [restriction.durationHours] - mutes default to 24 hours, bans to no end
+   * @param {string} [restriction.reason]
+   * @returns {Promise<Object>} The stored restriction
+   */
+  async restrictUser(userId, moderator, { type, durationHours, reason }) {
+    const { db } = require('./db-mongodb');
+
+    if (!this.RESTRICTIONS.includes(type)) {
+      throw this.moderationError(`Type must be one of: ${this.RESTRICTIONS.join(', ')}`, 'INVALID_COMMENT');
+    }
+
+    const hours = durationHours === undefined || durationHours === null
+      ? (type === 'mute' ? this.defaultMuteHours : null)
+      : Number(durationHours);
+    if (hours !== null && (!Number.isFinite(hours) || hours <= 0)) {
+      throw this.moderationError('durationHours must be a positive number', 'INVALID_COMMENT');
+    }
+
+    if (!ObjectId.isValid(userId)) {
+      throw this.moderationError('User not found', 'USER_NOT_FOUND');
+    }
+    if (userId.toString() === moderator._id.toString()) {
+      throw this.moderationError('You cannot restrict yourself', 'INVALID_COMMENT');
+    }
+
+    const restriction = {
+      type,
+      until: hours !== null ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+      reason: reason || null,
+      by: new ObjectId(moderator._id),
+      at: new Date()
+    };
+
+    const user = await db.setUserCommentRestriction(userId, restriction);
+    if (!user) {
+      throw this.moderationError('User not found', 'USER_NOT_FOUND');
+    }
+
+    await db.insertModerationLog({
+      action: type,
+      commentId: null,
+      targetUserId: user._id,
+      moderatorId: new ObjectId(moderator._id),
+      reason: reason || null,
+      until: restriction.until
+    });
+
+    return restriction;
+  }
+
+  /**
+   * Lift a user's mute or ban
+   * @param {string} userId
+   * @param {Object} moderator - user
+   * @param {string} [reason]
+   * @returns {Promise<boolean>} False when the user had no restriction
+   */
+  async liftRestriction(userId, moderator, reason = null) {
+    const { db } = require('./db-mongodb');
+
+    const user = ObjectId.isValid(userId) ? await db.getUserById(userId) : null;
+    if (!user) {
+      throw this.moderationError('User not found', 'USER_NOT_FOUND');
+    }
+    if (!user.commentRestriction) return false;
+
+    await db.setUserCommentRestriction(userId, null);
+    await db.insertModerationLog({
+      action: 'lift_restriction',
+      commentId: null,
+      targetUserId: user._id,
+      moderatorId: new ObjectId(moderator._id),
+      reason: reason || null,
+      previousRestriction: user.commentRestriction.type
+    });
+
+    return true;
+  }
+}
+
+// Create singleton instance
+const moderationService = new ModerationService();
+
+module.exports = { ModerationService: moderationService };
@@ -0,0 +1,508 @@
+const crypto = require('crypto');
+
+class OAuthService {
+  constructor() {
+    this.providers = new Map();
+    this.stateTtl = 10 * 60; // seconds to complete the provider's consent screen
+
+    this.registerProvider('google', this.createOAuth2Provider({
+      label: 'Google',
+      login: true,
+      clientId: process.env.OAUTH_GOOGLE_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GOOGLE_CLIENT_SECRET,
+      authorizeUrl: process.env.OAUTH_GOOGLE_AUTHORIZE_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+      tokenUrl: process.env.OAUTH_GOOGLE_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+      scope: 'openid email profile',
+      pkce: true,
+      fetchProfile: async (accessToken) => {
+        const profile = await this.fetchJson(
+          process.env.OAUTH_GOOGLE_USERINFO_URL || 'https://openidconnect.googleapis.com/v1/userinfo',
+          { headers: { Authorization: `Bearer ${accessToken}` } }
+        );
+        return {
+          id: profile.sub,
+          email: profile.email || null,
+          emailVerified: profile.email_verified === true,
+          username: profile.email ? profile.email.split('@')[0] : null,
+          firstName: profile.given_name || '',
+          lastName: profile.family_name || '',
+          avatar: profile.picture || ''
+        };
+      }
+    }));
+
+    this.registerProvider('github', this.createOAuth2Provider({
+      label: 'GitHub',
+      login: true,
+      clientId: process.env.OAUTH_GITHUB_CLIENT_ID,
+      clientSecret: process.env.OAUTH_GITHUB_CLIENT_SECRET,
+      authorizeUrl: process.env.OAUTH_GITHUB_AUTHORIZE_URL || 'https://github.com/login/oauth/authorize',
+      tokenUrl: process.env.OAUTH_GITHUB_TOKEN_URL || 'https://github.com/login/oauth/access_token',
+      scope: 'read:user user:email',
+      fetchProfile: async (accessToken) => {
+        const headers = { Authorization: `Bearer ${accessToken}`, 'User-Agent': 'Pickford' };
+        const apiUrl = (process.env.OAUTH_GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+        const profile = await this.fetchJson(`${apiUrl}/user`, { headers });
+        // The profile only shows a public email; the primary one and whether
+        // it is verified come from the emails endpoint
+        const emails = await this.fetchJson(`${apiUrl}/user/emails`, { headers });
+        const primary = Array.isArray(emails) ? emails.find(email => email.primary) : null;
+        const [firstName = '', ...lastName] = (profile.name || '').split(' ');
+        return {
+          id: String(profile.id),
+          email: primary ? primary.email : null,
+          emailVerified: !!(primary && primary.verified),
+          username: profile.login,
+          firstName,
+          lastName: lastName.join(' '),
+          avatar: profile.avatar_url || ''
+        };
+      }
+    }));
+
+    // Trakt doesn't share email addresses, so it can only be linked to an
+    // existing account. Its tokens are kept for syncing the user's Trakt data.
+    this.registerProvider('trakt', this.createTraktProvider());
+  }
+
+  /**
+   * Add or replace a provider. A provider implements:
+   *   label, login (can sign in), storeTokens (keep the provider's tokens),
+   *   isConfigured(), getAuthorizationUrl({ state, redirectUri, codeChallenge }),
+   *   exchangeCode({ code, redirectUri, codeVerifier }) -> tokens,
+   *   fetchProfile(tokens) -> { id, email, emailVerified, username, firstName, lastName, avatar }
+   * and optionally refreshTokens(refreshToken) -> tokens.
+   * @param {string} name - Provider name used in URLs
+   * @param {Object} provider - Provider implementation
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, { name, storeTokens: false, ...provider });
+  }
+
+  getProvider(name) {
+    const provider = this.providers.get(name);
+    if (!provider || !provider.isConfigured()) {
+      throw new Error(`OAuth provider ${name} is not available`);
+    }
+    return provider;
+  }
+
+  listProviders() {
+    return [...this.providers.values()]
+      .filter(provider => provider.isConfigured())
+      .map(provider => ({ name: provider.name, label: provider.label, login: provider.login }));
+  }
+
+  async fetchJson(url, options = {}) {
+    const response = await fetch(url, {
+      ...options,
+      headers: { Accept: 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data) {
+      throw new Error(`OAuth provider request failed with status ${response.status}`);
+    }
+    return data;
+  }
+
+  /**
+   * Build a provider for a standard authorization-code flow
+   * @param {Object} config - label, login, clientId, clientSecret, authorizeUrl,
+   *   tokenUrl, scope, pkce and fetchProfile(accessToken)
+   * @returns {Object} Provider
+   */
+  createOAuth2Provider(config) {
+    const requestTokens = async (params) => {
+      const data = await this.fetchJson(config.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+          client_id: config.clientId,
+          client_secret: config.clientSecret,
+          ...params
+        }).toString()
+      });
+      if (!data.access_token) {
+        throw new Error(data.error_description || data.error || 'OAuth token exchange failed');
+      }
+      return this.normalizeTokens(data);
+    };
+
+    return {
+      label: config.label,
+      login: config.login,
+      isConfigured: () => !!(config.clientId && config.clientSecret),
+      getAuthorizationUrl: ({ state, redirectUri, codeChallenge }) => {
+        const params = new URLSearchParams({
+          response_type: 'code',
+          client_id: config.clientId,
+          redirect_uri: redirectUri,
+          scope: config.scope,
+          state
+        });
+        if (config.pkce) {
+          params.set('code_challenge', codeChallenge);
+          params.set('code_challenge_method', 'S256');
+        }
+        return `${config.authorizeUrl}?${params.toString()}`;
+      },
+      exchangeCode: ({ code, redirectUri, codeVerifier }) => requestTokens({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        ...(config.pkce ? { code_verifier: codeVerifier } : {})
+      }),
+      refreshTokens: (refreshToken) => requestTokens({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+      }),
+      fetchProfile: (tokens) => config.fetchProfile(tokens.accessToken)
+    };
+  }
+
+  createTraktProvider() {
+    const { TraktClient } = require('./trakt-client');
+
+    const requestTokens = async (params) => {
+      const response = await TraktClient.request('/oauth/token', {
+        method: 'POST',
+        body: {
+          client_id: TraktClient.clientId,
+          client_secret: process.env.TRAKT_CLIENT_SECRET,
+          redirect_uri: this.getRedirectUri('trakt'),
+          ...params
+        }
+      });
+      const data = await response.json().catch(() => null);
+      if (!response.ok || !data || !data.access_token) {
+        throw new Error(`Trakt token exchange failed with status ${response.status}`);
+      }
+      return this.normalizeTokens(data);
+    };
+
+    return {
+      label: 'Trakt',
+      login: false,
+      storeTokens: true,
+      isConfigured: () => !!(TraktClient.clientId && process.env.TRAKT_CLIENT_SECRET),
+      getAuthorizationUrl: ({ state, redirectUri }) => {
+        const params = new URLSearchParams({
+          response_type: 'code',
+          client_id: TraktClient.clientId,
+          redirect_uri: redirectUri,
+          state
+        });
+        return `${process.env.TRAKT_OAUTH_AUTHORIZE_URL || 'https://trakt.tv/oauth/authorize'}?${params.toString()}`;
+      },
+      exchangeCode: ({ code }) => requestTokens({ grant_type: 'authorization_code', code }),
+      refreshTokens: (refreshToken) => requestTokens({ grant_type: 'refresh_token', refresh_token: refreshToken }),
+      fetchProfile: async (tokens) => {
+        const response = await TraktClient.request('/users/settings', {
+          headers: { Authorization: `Bearer ${tokens.accessToken}` }
+        });
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data || !data.user) {
+          throw new Error(`Trakt profile request failed with status ${response.status}`);
+        }
+        const user = data.user;
+        return {
+          id: user.ids && (user.ids.uuid || user.ids.slug),
+          email: null,
+          emailVerified: false,
+          username: user.username,
+          firstName: user.name || '',
+          lastName: '',
+          avatar: user.images && user.images.avatar ? user.images.avatar.full : ''
+        };
+      }
+    };
+  }
+
+  normalizeTokens(data) {
+    const expiresIn = Number(data.expires_in);
+    return {
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || null,
+      scope: data.scope || null,
+      expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null
+    };
+  }
+
+  getRedirectUri(providerName) {
+    return `${process.env.BASE_URL || 'http://localhost:3000'}/api/auth/oauth/${providerName}/callback`;
+  }
+
+  /**
+   * Only send tokens back to frontends we know. OAUTH_ALLOWED_REDIRECTS is a
+   * comma-separated list of URL prefixes (default: APP_BASE_URL). A return URL
+   * must have the same origin as a prefix and a path at or below its path.
+   * @param {string} url - Requested return URL
+   * @returns {boolean}
+   */
+  isAllowedReturnUrl(url) {
+    const parse = (value) => {
+      try {
+        const parsed = new URL(value);
+        return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const target = parse(url);
+    if (!target) return false;
+
+    return (process.env.OAUTH_ALLOWED_REDIRECTS || process.env.APP_BASE_URL || '')
+      .split(',')
+      .map(prefix => parse(prefix.trim()))
+      .filter(Boolean)
+      .some(prefix => {
+        if (target.origin !== prefix.origin) return false;
+        const basePath = prefix.pathname.replace(/\/+$/, '');
+        return target.pathname === basePath || target.pathname.startsWith(`${basePath}/`);
+      });
+  }
+
+  /**
+   * Start an authorization-code flow
+   * @param {string} providerName - Provider name
+   * @param {Object} options
+   * @param {string} options.mode - 'login' or 'link'
+   * @param {string} options.userId - User to link the account to (link mode)
+   * @param {string} options.returnUrl - Frontend URL to send the result to
+   * @returns {Promise<Object>} { authorizationUrl, state }
+   */
+  async startAuthorization(providerName, { mode = 'login', userId = null, returnUrl = null } = {}) {
+    const { db } = require('./db-mongodb');
+
+    const provider = this.getProvider(providerName);
+    if (mode === 'login' && !provider.login) {
+      throw new Error(`${provider.label} can only be linked to an existing account`);
+    }
+    if (returnUrl && !this.isAllowedReturnUrl(returnUrl)) {
+      throw new Error('Return URL is not allowed');
+    }
+
+    const state = crypto.randomBytes(24).toString('hex');
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    const redirectUri = this.getRedirectUri(providerName);
+
+    await db.createOAuthState({
+      state,
+      provider: providerName,
+      mode,
+      userId,
+      returnUrl,
+      codeVerifier,
+      expiresAt: new Date(Date.now() + this.stateTtl * 1000)
+    });
+
+    return {
+      authorizationUrl: provider.getAuthorizationUrl({ state, redirectUri, codeChallenge }),
+      state
+    };
+  }
+
+  /**
+   * Finish a flow: exchange the code, then sign the user in or link the account
+   * @param {string} providerName - Provider name
+   * @param {Object} params - { code, state } from the callback
+   * @returns {Promise<Object>} { mode, returnUrl, user, identity }
+   */
+  async handleCallback(providerName, { code, state }) {
+    const { db } = require('./db-mongodb');
+
+    // The state is single-use and must belong to this provider
+    const pending = state ? await db.consumeOAuthState(state) : null;
+    if (!pending || pending.provider !== providerName || pending.expiresAt < new Date()) {
+      throw new Error('Invalid or expired OAuth state');
+    }
+
+    const result = { mode: pending.mode, returnUrl: pending.returnUrl };
+
+    try {
+      if (!code) {
+        throw new Error('Authorization was not granted');
+      }
+
+      const provider = this.getProvider(providerName);
+      const tokens = await provider.exchangeCode({
+        code,
+        redirectUri: this.getRedirectUri(providerName),
+        codeVerifier: pending.codeVerifier
+      });
+      const profile = await provider.fetchProfile(tokens);
+      if (!profile.id) {
+        throw new Error('OAuth provider returned no account id');
+      }
+
+      const user = pending.mode === 'link'
+        ? await this.linkAccount(pending.userId, provider, profile, tokens)
+        : await this.findOrCreateUser(provider, profile, tokens);
+
+      return { ...result, user, identity: this.toPublicIdentity(await db.getUserIdentity(user._id, providerName)) };
+    } catch (error) {
+      error.returnUrl = pending.returnUrl;
+      throw error;
+    }
+  }
+
+  async saveIdentity(userId, provider, profile, tokens) {
+    const { db } = require('./db-mongodb');
+
+    await db.upsertUserIdentity({
+      userId,
+      provider: provider.name,
+      providerUserId: profile.id,
+      email: profile.email,
+      username: profile.username,
+      tokens: provider.storeTokens ? tokens : null
+    });
+  }
+
+  async linkAccount(userId, provider, profile, tokens) {
+    const { db } = require('./db-mongodb');
+
+    const existing = await db.findUserIdentity(provider.name, profile.id);
+    if (existing && existing.userId.toString() !== userId.toString()) {
+      throw new Error(`This ${provider.label} account is already linked to another user`);
+    }
+
+    const user = await db.getUserById(userId);
+    if (!user || !user.isActive) {
+      throw new Error('User not found');
+    }
+
+    await this.saveIdentity(user._id, provider, profile, tokens);
+    await this.logIdentityActivity(user._id, 'ACCOUNT_LINK', provider.name);
+    return user;
+  }
+
+  /**
+   * Sign in with a provider account. Unknown accounts are linked to the user
+   * with the same email when both sides have verified it; otherwise a new
+   * user is created.
+   */
+  async findOrCreateUser(provider, profile, tokens) {
+    const { db } = require('./db-mongodb');
+
+    const identity = await db.findUserIdentity(provider.name, profile.id);
+    if (identity) {
+      const user = await db.getUserById(identity.userId);
+      if (!user || !user.isActive) {
+        throw new Error('Account is deactivated');
+      }
+      await this.saveIdentity(user._id, provider, profile, tokens);
+      return user;
+    }
+
+    if (!profile.email || !profile.emailVerified) {
+      throw new Error(`Your ${provider.label} account has no verified email address`);
+    }
+
+    const existingUser = await db.findUserByEmail(profile.email);
+    if (existingUser) {
+      // An unverified account could have been registered by someone else
+      // with this address, so it is never taken over automatically
+      if (!existingUser.emailVerified) {
+        throw new Error('An account with this email exists but is not verified. Sign in with your password and link the account from your settings.');
+      }
+      if (!existingUser.isActive) {
+        throw new Error('Account is deactivated');
+      }
+      await this.saveIdentity(existingUser._id, provider, profile, tokens);
+      await this.logIdentityActivity(existingUser._id, 'ACCOUNT_LINK', provider.name);
+      return existingUser;
+    }
+
+    const { UserService } = require('./user-service');
+    const user = await UserService.registerOAuthUser(profile);
+
+    await this.saveIdentity(user._id, provider, profile, tokens);
+    return user;
+  }
+
+  async logIdentityActivity(userId, activityType, provider) {
+    const { ActivityService } = require('./activity-service');
+
+    await ActivityService.logActivity({
+      userId,
+      activityType: ActivityService.ACTIVITY_TYPES[activityType],
+      resourceType: ActivityService.RESOURCE_TYPES.USER,
+      resourceId: userId,
+      metadata: { provider }
+    });
+  }
+
+  toPublicIdentity(identity) {
+    if (!identity) return null;
+    return {
+      provider: identity.provider,
+      username: identity.username || null,
+      email: identity.email || null,
+      linkedAt: identity.linkedAt
+    };
+  }
+
+  async listLinkedAccounts(userId) {
+    const { db } = require('./db-mongodb');
+    const identities = await db.getUserIdentities(userId);
+    return identities.map(identity => this.toPublicIdentity(identity));
+  }
+
+  async unlinkAccount(userId, providerName) {
+    const { db } = require('./db-mongodb');
+
+    const identity = await db.getUserIdentity(userId, providerName);
+    if (!identity) {
+      throw new Error('Account is not linked');
+    }
+
+    // Users who signed up through a provider need another way to sign in
+    const user = await db.getUserById(userId);
+    const identities = await db.getUserIdentities(userId);
+    const loginIdentities = identities.filter(linked => {
+      const provider = this.providers.get(linked.provider);
+      return provider && provider.login;
+    });
+    const provider = this.providers.get(providerName);
+    if (!user.password && provider && provider.login && loginIdentities.length <= 1) {
+      throw new Error('Set a password before unlinking your only sign-in method');
+    }
+
+    await db.deleteUserIdentity(userId, providerName);
+    await this.logIdentityActivity(userId, 'ACCOUNT_UNLINK', providerName);
+  }
+
+  /**
+   * Get a linked account's stored tokens, refreshing them when they have
+   * expired. Used to call Trakt on the user's behalf.
+   * @param {string} userId - User ID
+   * @param {string} providerName - Provider name, e.g. 'trakt'
+   * @returns {Promise<Object|null>} Tokens or null when not linked
+   */
+  async getAccessTokens(userId, providerName) {
+    const { db } = require('./db-mongodb');
+
+    const identity = await db.getUserIdentity(userId, providerName);
+    if (!identity || !identity.tokens) return null;
+
+    const { tokens } = identity;
+    const expiresSoon = tokens.expiresAt && tokens.expiresAt.getTime() - Date.now() < 60 * 1000;
+    if (!expiresSoon) return tokens;
+
+    const provider = this.getProvider(providerName);
+    if (!tokens.refreshToken || !provider.refreshTokens) return null;
+
+    const refreshed = await provider.refreshTokens(tokens.refreshToken);
+    const updated = { ...refreshed, refreshToken: refreshed.refreshToken || tokens.refreshToken };
+    await db.updateUserIdentityTokens(userId, providerName, updated);
+    return updated;
+  }
+}
+
+// Create singleton instance
+const oauthService = new OAuthService();
+
+module.exports = { OAuthService: oauthService };
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, description: 'a lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, description: 'an uppercase letter' },
+  letter: { pattern: /[a-zA-Z]/, description: 'a letter' },
+  number: { pattern: /[0-9]/, description: 'a number' },
+  symbol: { pattern: /[^a-zA-Z0-9]/, description: 'a symbol' }
+};
+
+class PasswordPolicy {
+  constructor() {
+    this.minLength = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+    // bcrypt ignores everything after 72 bytes
+    this.maxLength = Math.min(parseInt(process.env.PASSWORD_MAX_LENGTH) || 72, 72);
+
+    // Comma-separated names from CHARACTER_CLASSES that every password needs
+    this.requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES || 'letter,number')
+      .split(',')
+      .map(name => name.trim())
+      .filter(name => CHARACTER_CLASSES[name]);
+
+    this.checkBreached = process.env.PASSWORD_BREACH_CHECK !== 'false';
+    this.breachListFile = process.env.PASSWORD_BREACH_LIST_FILE ||
+      path.join(__dirname, '..', 'data', 'breached-passwords.txt');
+    this.breachList = null;
+  }
+
+  /**
+   * Load the breached password list once, lowercased
+   * @returns {Set<string>}
+   */
+  getBreachList() {
+    if (this.breachList) return this.breachList;
+
+    try {
+      const lines = fs.readFileSync(this.breachListFile, 'utf8').split(/\r?\n/);
+      this.breachList = new Set(lines
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#')));
+    } catch (error) {
+      console.error('[PasswordPolicy] Could not read breached password list:', error.message);
+      this.breachList = new Set();
+    }
+    return this.breachList;
+  }
+
+  /**
+   * Check a password against the policy
+   * @param {string} password - Candidate password
+   * @param {Object} user - { username, email } the password must not contain
+   * @returns {Array<string>} Policy violations, empty when the password is accepted
+   */
+  validate(password, { username, email } = {}) {
+    if (typeof password !== 'string' || !password) {
+      return ['Password is required'];
+    }
+
+    const errors = [];
+    if (password.length < this.minLength) {
+      errors.push(`Password must be at least ${this.minLength} characters long`);
+    }
+    if (Buffer.byteLength(password) > this.maxLength) {
+      errors.push(`Password must be at most ${this.maxLength} bytes long`);
+    }
+
+    for (const name of this.requiredClasses) {
+      if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+        errors.push(`Password must contain ${CHARACTER_CLASSES[name].description}`);
+      }
+    }
+
+    const lowered = password.toLowerCase();
+    const emailName = email ? String(email).split('@')[0].toLowerCase() : null;
+    const personal = [username && String(username).toLowerCase(), emailName]
+      .filter(value => value && value.length >= 3);
+    if (personal.some(value => lowered.includes(value))) {
+      errors.push('Password must not contain your username or email');
+    }
+
+    if (this.checkBreached && this.getBreachList().has(lowered)) {
+      errors.push('This password has appeared in a data breach; choose a different one');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Throw when a password doesn't meet the policy
+   * @param {string} password - Candidate password
+   * @param {Object} user - { username, email }
+   */
+  assertValid(password, user) {
+    const errors = this.validate(password, user);
+    if (errors.length > 0) {
+      const error = new Error(errors[0]);
+      error.code = 'INVALID_PASSWORD';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the policy for clients, e.g. to show requirements on a form
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      minLength: this.minLength,
+      maxLength: this.maxLength,
+      requiredClasses: this.requiredClasses,
+      disallowPersonalInfo: true,
+      breachCheck: this.checkBreached
+    };
+  }
+}
+
+// Create singleton instance
+const passwordPolicy = new PasswordPolicy();
+
+module.exports = { PasswordPolicy: passwordPolicy };
@@ -0,0 +1,217 @@
+const { AuthMiddleware } = require('./auth-middleware');
+
+const MINUTE = 60;
+
+class RateLimiter {
+  constructor() {
+    this.enabled = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+    // How long (ms) a user's plan limits are reused before the subscription
+    // is read again
+    this.planCacheTtl = 60 * 1000;
+    this.planCache = new Map();
+
+    // Rules are evaluated in order and the first match wins. A trailing slash
+    // makes the rule match the path and everything below it. `anonymous` is
+    // the limit per IP, `user` the limit per signed-in user, both per
+    // `window` seconds; a limit of 0 disables limiting for the group.
+    this.rules = this.compileRules([
+      ...this.loadRulesFromEnv(),
+      { pattern: '/api/webhooks/', group: 'webhooks', window: MINUTE, anonymous: 0, user: 0 },
+      { pattern: '/api/auth', group: 'auth', window: MINUTE, anonymous: 30, user: 60 },
+      { pattern: '/api/auth/', group: 'auth', window: MINUTE, anonymous: 30, user: 60 },
+      { pattern: '/api/trakt/', group: 'trakt', window: MINUTE, anonymous: 60, user: 120 },
+      { pattern: '/api/trakt-new/', group: 'trakt', window: MINUTE, anonymous: 60, user: 120 },
+      { pattern: '/api/catalog/', group: 'trakt', window: MINUTE, anonymous: 60, user: 120 },
+      { pattern: '/api/', group: 'default', window: MINUTE, anonymous: 120, user: 300 }
+    ]);
+  }
+
+  /**
+   * Read extra rules from RATE_LIMIT_POLICY, a JSON array of
+   * { pattern, group, window, anonymous, user } objects. These take
+   * precedence over the built-in rules.
+   * @returns {Array<Object>}
+   */
+  loadRulesFromEnv() {
+    if (!process.env.RATE_LIMIT_POLICY) return [];
+
+    try {
+      const rules = JSON.parse(process.env.RATE_LIMIT_POLICY);
+      if (!Array.isArray(rules)) throw new Error('RATE_LIMIT_POLICY must be a JSON array');
+      return rules.filter(rule => typeof rule.pattern === 'string' && typeof rule.group === 'string');
+    } catch (error) {
+      console.error('[RateLimiter] Ignoring invalid RATE_LIMIT_POLICY:', error.message);
+      return [];
+    }
+  }
+
+  // A rule limit of 0 is stored as null (not limited), so a plan limit of 0
+  // can still mean that no requests are allowed
+  compileRules(rules) {
+    const toLimit = value => Number(value) > 0 ? Number(value) : null;
+    return rules.map(rule => ({
+      pattern: rule.pattern,
+      group: rule.group,
+      window: Number(rule.window) || MINUTE,
+      anonymous: toLimit(rule.anonymous),
+      user: toLimit(rule.user)
+    }));
+  }
+
+  /**
+   * Find the rule that applies to a request path
+   * @param {string} path - Request path without query string
+   * @returns {Object|null} Matching rule or null
+   */
+  match(path) {
+    return this.rules.find(rule => rule.pattern.endsWith('/')
+      ? path.startsWith(rule.pattern)
+      : path === rule.pattern) || null;
+  }
+
+  /**
+   * Get the rate limits of a user's subscription package, if any. Packages
+   * set them as `rateLimits: { [group]: limit }`, which replaces the `user`
+   * limit of that group; `null` removes the limit and `0` blocks the group.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Limits by group
+   */
+  async getPlanLimits(userId) {
+    const { db } = require('./db-mongodb');
+
+    const key = userId.toString();
+    const cached = this.planCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.limits;
+
+    let limits = null;
+    const subscription = await db.getUserActiveSubscription(userId);
+    if (subscription && subscription.packageId) {
+      const package_ = await db.getPackageById(subscription.packageId);
+      limits = package_ && package_.rateLimits ? package_.rateLimits : null;
+    }
+
+    if (this.planCache.size >= 10000) this.planCache.clear();
+    this.planCache.set(key, { limits, expiresAt: Date.now() + this.planCacheTtl });
+    return limits;
+  }
+
+  /**
+   * Get the limit and counter key that apply to a request
+   * @param {Object} rule - Matching rule
+   * @param {Object} req - Express request
+   * @returns {Promise<{limit: number|null, key: string}>} A null limit means
+   *   the request is not limited
+   */
+  async resolveLimit(rule, req) {
+    // An invalid token is limited like an anonymous request; the route
+    // itself rejects it where authentication is required. The session is
+    // kept on req, so the route's own authentication does not query it again.
+    const user = req.user || await AuthMiddleware.authenticate(req).catch(() => null);
+    if (!user) {
+      return { limit: rule.anonymous, key: `${rule.group}:ip:${req.ip}` };
+    }
+
+    const planLimits = await this.getPlanLimits(user._id);
+    const hasPlanLimit = !!planLimits && planLimits[rule.group] !== undefined;
+
+    return {
+      limit: hasPlanLimit ? planLimits[rule.group] : rule.user,
+      key: `${rule.group}:user:${user._id}`
+    };
+  }
+
+  /**
+   * Count a request against a sliding window. The estimate weights the
+   * previous fixed window by how much of it still overlaps the sliding one.
+   * @param {string} key - Counter key
+   * @param {number} window - Window length in seconds
+   * @returns {Promise<{count: number, reset: number}>} Estimated requests in
+   *   the window and seconds until the current fixed window ends
+   */
+  async hit(key, window) {
+    const { db } = require('./db-mongodb');
+
+    const windowMs = window * 1000;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    const current = await db.incrementRateLimitCounter(
+      key,
+      new Date(windowStart),
+      new Date(windowStart + 2 * windowMs)
+    );
+    const previous = await db.getRateLimitCounter(key, new Date(windowStart - windowMs));
+
+    const overlap = 1 - (now - windowStart) / windowMs;
+    const count = Math.floor((previous ? previous.count : 0) * overlap) + current.count;
+
+    return {
+      count,
+      reset: Math.ceil((windowStart + windowMs - now) / 1000)
+    };
+  }
+
+  /**
+   * Count a request against the limit of its rule
+   * @param {Object} rule - Matching rule
+   * @param {Object} req - Express request
+   * @returns {Promise<Object|null>} { limit, count, reset }, or null when the
+   *   request is not limited
+   */
+  async check(rule, req) {
+    const { limit, key } = await this.resolveLimit(rule, req);
+    if (limit == null) return null;
+
+    const { count, reset } = await this.hit(key, rule.window);
+    return { limit, count, reset };
+  }
+
+  /**
+   * Middleware that limits requests per route group and sets the
+   * RateLimit-* headers
+   */
+  async middleware(req, res, next) {
+    const { db } = require('./db-mongodb');
+
+    const rule = this.enabled ? this.match(req.path) : null;
+    if (!rule || !db.isConnected) return next();
+
+    let result = null;
+    try {
+      result = await this.check(rule, req);
+    } catch (error) {
+      // Never turn a counter failure into a failed request
+      console.error('[RateLimiter] Error:', error);
+    }
+
+    if (!result) return next();
+
+    const { limit, count, reset } = result;
+    res.set('RateLimit-Policy', `${limit};w=${rule.window}`);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - count)));
+    res.set('RateLimit-Reset', String(reset));
+
+    if (count > limit) {
+      res.set('Retry-After', String(reset));
+      return res.status(429).json({
+        success: false,
+        error: 'Too Many Requests',
+        message: `Rate limit of ${limit} requests per ${rule.window} seconds exceeded`,
+        retryAfter: reset,
+        resetAt: new Date(Date.now() + reset * 1000).toISOString()
+      });
+    }
+
+    next();
+  }
+}
+
+// Create singleton instance
+const rateLimiter = new RateLimiter();
+
+module.exports = {
+  RateLimiter: rateLimiter,
+  rateLimit: rateLimiter.middleware.bind(rateLimiter)
+};
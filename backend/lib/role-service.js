@@ -0,0 +1,142 @@
+const { requireAuth } = require('./auth-middleware');
+
+class RoleService {
+  constructor() {
+    this.PERMISSIONS = {
+      PACKAGES_MANAGE: 'packages:manage',
+      LOGS_READ: 'logs:read',
+      ACTIVITIES_READ: 'activities:read',
+      STRIPE_EVENTS_READ: 'stripe-events:read',
+      CACHE_MANAGE: 'cache:manage',
+      ROLES_MANAGE: 'roles:manage',
+      INVITES_MANAGE: 'invites:manage',
+      COMMENTS_MODERATE: 'comments:moderate'
+    };
+
+    // Role -> permissions. Users without roles are regular users and hold
+    // no permissions beyond their own data.
+    this.ROLES = {
+      admin: Object.values(this.PERMISSIONS),
+      support: [
+        this.PERMISSIONS.LOGS_READ,
+        this.PERMISSIONS.ACTIVITIES_READ,
+        this.PERMISSIONS.STRIPE_EVENTS_READ
+      ],
+      moderator: [
+        this.PERMISSIONS.COMMENTS_MODERATE
+      ]
+    };
+  }
+
+  /**
+   * Get the roles stored on a user document
+   * @param {Object} user - User document
+   * @returns {Array<string>} Role names
+   */
+  getRoles(user) {
+    return user && Array.isArray(user.roles) ? user.roles : [];
+  }
+
+  /**
+   * Get every permission a user holds through their roles
+   * @param {Object} user - User document
+   * @returns {Array<string>} Permission names
+   */
+  getPermissions(user) {
+    const permissions = new Set();
+    this.getRoles(user).forEach(role => {
+      (this.ROLES[role] || []).forEach(permission => permissions.add(permission));
+    });
+    return [...permissions];
+  }
+
+  /**
+   * Check whether a user holds a permission
+   * @param {Object} user - User document
+   * @param {string} permission - Permission name
+   * @returns {boolean}
+   */
+  hasPermission(user, permission) {
+    return this.getRoles(user).some(role => (this.ROLES[role] || []).includes(permission));
+  }
+
+  isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(this.ROLES, role);
+  }
+
+  /**
+   * Grant a role to a user
+   * @param {string} userId - User ID
+   * @param {string} role - Role name
+   * @returns {Promise<Array<string>>} The user's roles afterwards
+   */
+  async grantRole(userId, role) {
+    const { db } = require('./db-mongodb');
+
+    if (!this.isValidRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const user = await db.addUserRole(userId, role);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return this.getRoles(user);
+  }
+
+  /**
+   * Revoke a role from a user. The last admin cannot be removed, so there is
+   * always someone left who can grant roles.
+   * @param {string} userId - User ID
+   * @param {string} role - Role name
+   * @returns {Promise<Array<string>>} The user's roles afterwards
+   */
+  async revokeRole(userId, role) {
+    const { db } = require('./db-mongodb');
+
+    if (!this.isValidRole(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (role === 'admin' && this.getRoles(user).includes('admin') && await db.countUsersWithRole('admin') <= 1) {
+      throw new Error('Cannot revoke the admin role from the last admin');
+    }
+
+    const updatedUser = await db.removeUserRole(userId, role);
+    return this.getRoles(updatedUser);
+  }
+
+  /**
+   * Create middleware that authenticates the request and requires every
+   * given permission. Sets req.user for the route handler.
+   * @param {...string} permissions - Required permission names
+   * @returns {Function} Express middleware
+   */
+  requirePermission(...permissions) {
+    return (req, res, next) => requireAuth(req, res, () => {
+      if (!permissions.every(permission => this.hasPermission(req.user, permission))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Insufficient permissions'
+        });
+      }
+
+      next();
+    });
+  }
+}
+
+// Create singleton instance
+const roleService = new RoleService();
+
+module.exports = {
+  RoleService: roleService,
+  requirePermission: roleService.requirePermission.bind(roleService)
+};
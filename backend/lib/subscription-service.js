@@ -27,6 +27,17 @@ class SubscriptionService {
       throw new Error(`Invalid interval. Must be one of: ${validIntervals.join(', ')}`);
     }
 
+    // Optional per route group request limits for subscribers, see
+    // RateLimiter.getPlanLimits
+    if (packageData.rateLimits !== undefined) {
+      const limits = packageData.rateLimits;
+      const isValid = limits && typeof limits === 'object' && !Array.isArray(limits) &&
+        Object.values(limits).every(limit => limit === null || (Number.isInteger(limit) && limit >= 0));
+      if (!isValid) {
+        throw new Error('rateLimits must map route groups to non-negative integer limits or null');
+      }
+    }
+
     try {
       // Create Stripe product first
       const stripeProduct = await this.stripeService.createProduct(
@@ -62,6 +73,7 @@ class SubscriptionService {
         status: 'active',
         sortOrder: packageData.sortOrder || 0,
         trialPeriodDays: packageData.trialPeriodDays || 0,
+        rateLimits: packageData.rateLimits || null,
         metadata: packageData.metadata || {}
       };
 
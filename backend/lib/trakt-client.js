@@ -0,0 +1,257 @@
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Token bucket that lets callers reserve tokens ahead of time. A negative
+ * balance means requests are queued waiting for the bucket to refill.
+ */
+class TokenBucket {
+  constructor(limit, periodSeconds) {
+    this.configure(limit, periodSeconds);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  configure(limit, periodSeconds) {
+    this.capacity = limit;
+    this.refillPerMs = limit / (periodSeconds * 1000);
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Estimate how long until a token is available
+   * @returns {number} Milliseconds
+   */
+  timeUntilAvailable() {
+    this.refill();
+    const pausedFor = Math.max(0, this.pausedUntil - Date.now());
+    const balance = this.tokens - 1;
+    return Math.max(pausedFor, balance >= 0 ? 0 : Math.ceil(-balance / this.refillPerMs));
+  }
+
+  /**
+   * Reserve one token
+   * @param {number} maxWaitMs - Longest acceptable wait
+   * @returns {number|null} Milliseconds to wait before sending, or null if the wait would exceed maxWaitMs
+   */
+  reserve(maxWaitMs) {
+    const wait = this.timeUntilAvailable();
+    if (wait > maxWaitMs) return null;
+
+    this.tokens -= 1;
+    return wait;
+  }
+
+  /**
+   * Stop handing out tokens until the given time
+   * @param {number} until - Epoch milliseconds
+   */
+  pause(until) {
+    this.pausedUntil = Math.max(this.pausedUntil, until);
+    this.tokens = Math.min(this.tokens, 0);
+  }
+}
+
+class TraktClient {
+  constructor() {
+    this.baseUrl = (process.env.TRAKT_BASE_URL || "https://api.trakt.tv").replace(/\/+$/, "");
+    this.clientId = process.env.TRAKT_CLIENT_ID;
+    this.apiVersion = process.env.TRAKT_API_VERSION || "2";
+
+    // Trakt allows 1000 GET calls per 5 minutes and 1 write call per second
+    this.buckets = {
+      read: new TokenBucket(Number(process.env.TRAKT_RATE_LIMIT) || 1000, Number(process.env.TRAKT_RATE_PERIOD) || 300),
+      write: new TokenBucket(1, 1)
+    };
+
+    // Requests that would wait longer than this fail fast so callers can
+    // fall back to cached data instead
+    this.maxQueueWaitMs = Number(process.env.TRAKT_MAX_QUEUE_WAIT_MS) || 5000;
+    this.maxRetries = process.env.TRAKT_MAX_RETRIES !== undefined ? Number(process.env.TRAKT_MAX_RETRIES) : 3;
+    this.retryBaseDelayMs = 500;
+
+    this.paginationHeaders = [
+      'X-Pagination-Page',
+      'X-Pagination-Limit',
+      'X-Pagination-Page-Count',
+      'X-Pagination-Item-Count'
+    ];
+
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      rateLimited: 0,
+      rejected: 0
+    };
+  }
+
+  isConfigured() {
+    return !!this.clientId;
+  }
+
+  /**
+   * Build the upstream URL for a Trakt path
+   * @param {string} path - Trakt path; any query string on it is replaced by `query`
+   * @param {Object} query - Query parameters
+   * @returns {string} Absolute URL
+   */
+  buildUrl(path, query = {}) {
+    const pathname = path.split('?')[0];
+    const search = new URLSearchParams(query).toString();
+    return `${this.baseUrl}${pathname}${search ? '?' + search : ''}`;
+  }
+
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      "trakt-api-key": this.clientId,
+      "trakt-api-version": this.apiVersion
+    };
+  }
+
+  /**
+   * Collect Trakt's pagination headers from a response
+   * @param {Response} response - Upstream response
+   * @returns {Object} Header name to value, only for headers that are present
+   */
+  getPaginationHeaders(response) {
+    const headers = {};
+    for (const name of this.paginationHeaders) {
+      const value = response.headers.get(name);
+      if (value !== null) headers[name] = value;
+    }
+    return headers;
+  }
+
+  /**
+   * Create the error thrown when the request budget is exhausted
+   * @param {number} waitMs - Time until the budget allows another request
+   * @returns {Error} Error with code TRAKT_RATE_LIMITED and retryAfter in seconds
+   */
+  rateLimitError(waitMs) {
+    const error = new Error('Trakt rate limit budget exhausted');
+    error.code = 'TRAKT_RATE_LIMITED';
+    error.retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    return error;
+  }
+
+  /**
+   * Wait for a token from the bucket that applies to this method
+   * @param {string} method - HTTP method
+   */
+  async acquire(method) {
+    const bucket = method === 'GET' ? this.buckets.read : this.buckets.write;
+    const wait = bucket.reserve(this.maxQueueWaitMs);
+
+    if (wait === null) {
+      this.stats.rejected++;
+      throw this.rateLimitError(bucket.timeUntilAvailable());
+    }
+
+    if (wait > 0) await sleep(wait);
+  }
+
+  /**
+   * Keep the local budget in line with what Trakt reports
+   * @param {string} method - HTTP method
+   * @param {Response} response - Upstream response
+   */
+  syncRateLimit(method, response) {
+    const bucket = method === 'GET' ? this.buckets.read : this.buckets.write;
+
+    const header = response.headers.get('x-ratelimit');
+    if (header) {
+      try {
+        const rateLimit = JSON.parse(header);
+        if (rateLimit.limit && rateLimit.period) {
+          bucket.configure(Number(rateLimit.limit), Number(rateLimit.period));
+        }
+        if (rateLimit.remaining !== undefined) {
+          // Other clients may share the API key, so never trust a higher local count
+          bucket.refill();
+          bucket.tokens = Math.min(bucket.tokens, Number(rateLimit.remaining));
+        }
+      } catch (error) {
+        console.error('[TraktClient] Could not parse X-Ratelimit header:', error.message);
+      }
+    }
+
+    if (response.status === 429) {
+      this.stats.rateLimited++;
+      bucket.pause(Date.now() + this.getRetryAfterMs(response));
+    }
+  }
+
+  /**
+   * Read Retry-After (seconds or HTTP date) from a response
+   * @param {Response} response - Upstream response
+   * @returns {number} Milliseconds, falling back to one second
+   */
+  getRetryAfterMs(response) {
+    const retryAfter = response.headers.get('retry-after');
+    if (!retryAfter) return 1000;
+
+    const seconds = Number(retryAfter);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+
+    const date = Date.parse(retryAfter);
+    return Number.isNaN(date) ? 1000 : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Send a request to Trakt, honouring the rate limit and retrying 429s and
+   * (for GETs) 5xx responses with backoff
+   * @param {string} path - Trakt path
+   * @param {Object} options - Request options
+   * @param {string} options.method - HTTP method
+   * @param {Object} options.query - Query parameters
+   * @param {Object} options.body - JSON body for non-GET requests
+   * @param {Object} options.headers - Extra headers, e.g. a user's Authorization
+   * @returns {Promise<Response>} The final upstream response
+   */
+  async request(path, { method = 'GET', query = {}, body, headers = {} } = {}) {
+    const url = this.buildUrl(path, query);
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(method);
+      this.stats.requests++;
+
+      const response = await fetch(url, {
+        method,
+        headers: { ...this.getHeaders(), ...headers },
+        body: method !== 'GET' ? JSON.stringify(body) : undefined
+      });
+
+      this.syncRateLimit(method, response);
+
+      // Writes are only retried when Trakt rejected them before processing
+      const retryable = response.status === 429 || (response.status >= 500 && method === 'GET');
+      if (!retryable || attempt >= this.maxRetries) {
+        return response;
+      }
+
+      this.stats.retries++;
+
+      // The discarded response holds its connection until the body is read
+      if (response.body) {
+        await response.body.cancel();
+      }
+
+      // A 429 pauses the bucket until Retry-After, so the next acquire() waits
+      // (or throws if that is longer than the queue allows)
+      if (response.status !== 429) {
+        await sleep(this.retryBaseDelayMs * Math.pow(2, attempt));
+      }
+    }
+  }
+}
+
+// Create singleton instance
+const traktClient = new TraktClient();
+
+module.exports = { TraktClient: traktClient };
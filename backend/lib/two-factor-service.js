@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'Pickford';
+    this.digits = 6;
+    this.period = 30; // seconds per TOTP step
+    this.window = 1; // steps of clock drift accepted either side
+    this.recoveryCodeCount = 10;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(encoded) {
+    const clean = encoded.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 secret');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Generate the TOTP code for a time step (RFC 6238, HMAC-SHA1)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** this.digits).padStart(this.digits, '0');
+  }
+
+  getCurrentStep() {
+    return Math.floor(Date.now() / 1000 / this.period);
+  }
+
+  /**
+   * Check a code against the steps around the current time
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @returns {number|null} The matching time step, or null
+   */
+  verifyCode(secret, code) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${this.digits}}$`).test(normalized)) return null;
+
+    const currentStep = this.getCurrentStep();
+    for (let step = currentStep - this.window; step <= currentStep + this.window; step++) {
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  getOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  // Recovery codes are random, so a fast hash is enough and lets the
+  // database look them up directly
+  hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const hex = crypto.randomBytes(5).toString('hex');
+      codes.push(`${hex.slice(0, 5)}-${hex.slice(5)}`);
+    }
+    return {
+      codes,
+      hashes: codes.map(code => this.hashRecoveryCode(code))
+    };
+  }
+
+  /**
+   * Start enrolment by storing a pending secret. It only takes effect once a
+   * code from the authenticator app is confirmed with enable().
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} Secret and otpauth URI for the authenticator app
+   */
+  async startEnrollment(user) {
+    const { db } = require('./db-mongodb');
+
+    if (user.twoFactorEnabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = this.generateSecret();
+    await db.setPendingTwoFactorSecret(user._id, secret);
+
+    return {
+      secret,
+      otpauthUri: this.getOtpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Activate two-factor authentication with a code for the pending secret
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array<string>>} Recovery codes, shown to the user once
+   */
+  async enable(userId, code) {
+    const { db } = require('./db-mongodb');
+
+    const twoFactor = await db.getTwoFactor(userId);
+    if (!twoFactor || !twoFactor.pendingSecret) {
+      throw new Error('Two-factor setup has not been started');
+    }
+
+    const step = this.verifyCode(twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await db.enableTwoFactor(userId, twoFactor.pendingSecret, hashes, step);
+
+    return codes;
+  }
+
+  /**
+   * Check the second login factor. Each TOTP step and recovery code can
+   * only be used once.
+   * @param {string} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @returns {Promise<boolean>}
+   */
+  async verifyLogin(userId, { code, recoveryCode }) {
+    const { db } = require('./db-mongodb');
+
+    const twoFactor = await db.getTwoFactor(userId);
+    if (!twoFactor || !twoFactor.secret) return false;
+
+    if (recoveryCode) {
+      return await db.useTwoFactorRecoveryCode(userId, this.hashRecoveryCode(recoveryCode));
+    }
+
+    const step = this.verifyCode(twoFactor.secret, code);
+    if (step === null) return false;
+
+    return await db.markTwoFactorStepUsed(userId, step);
+  }
+
+  /**
+   * Confirm it is the account owner before changing two-factor settings.
+   * Accounts without a password (OAuth sign-in only) can use a TOTP or
+   * recovery code instead, which are single-use as at login.
+   * @param {string} userId - User ID
+   * @param {Object} proof - { password }, { code } or { recoveryCode }
+   * @returns {Promise<void>} Rejects with code INVALID_CREDENTIALS on a wrong proof
+   */
+  async verifyOwner(userId, { password, code, recoveryCode } = {}) {
+    const { db } = require('./db-mongodb');
+    const { AuthService } = require('./auth');
+
+    if (!password && !code && !recoveryCode) {
+      throw new Error('Password or verification code is required');
+    }
+
+    let verified;
+    if (password) {
+      const user = await db.getUserById(userId);
+      verified = !!(user && user.password && await AuthService.comparePassword(password, user.password));
+    } else {
+      verified = await this.verifyLogin(userId, { code, recoveryCode });
+    }
+
+    if (!verified) {
+      const error = new Error(password ? 'Invalid password' : 'Invalid verification code');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+  }
+
+  // Callers confirm the owner with verifyOwner() first
+  async disable(userId) {
+    const { db } = require('./db-mongodb');
+
+    await db.disableTwoFactor(userId);
+  }
+
+  // Callers confirm the owner with verifyOwner() first
+  async regenerateRecoveryCodes(userId) {
+    const { db } = require('./db-mongodb');
+
+    const twoFactor = await db.getTwoFactor(userId);
+    if (!twoFactor || !twoFactor.secret) {
+      throw new Error('Two-factor authentication is not enabled');
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await db.setTwoFactorRecoveryCodes(userId, hashes);
+
+    return codes;
+  }
+
+  async getStatus(userId) {
+    const { db } = require('./db-mongodb');
+
+    const twoFactor = await db.getTwoFactor(userId);
+    const enabled = !!(twoFactor && twoFactor.secret);
+
+    return {
+      enabled,
+      enabledAt: enabled ? twoFactor.enabledAt : null,
+      recoveryCodesRemaining: enabled ? (twoFactor.recoveryCodes || []).length : 0
+    };
+  }
+}
+
+// Create singleton instance
+const twoFactorService = new TwoFactorService();
+
+module.exports = { TwoFactorService: twoFactorService };
@@ -1,54 +1,84 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { EmailService } = require('./email-service');
 const { AuthService } = require('./auth');
+const { TwoFactorService } = require('./two-factor-service');
+const { PasswordPolicy } = require('./password-policy');
 
 class UserService {
   constructor() {
     this.authService = AuthService;
     this.emailService = EmailService;
+    this.twoFactorService = TwoFactorService;
+
+    // How long the old address can undo a confirmed email change
+    this.emailChangeRevertWindow = 7 * 24 * 60 * 60 * 1000;
   }
 
+  /**
+   * Validate and normalize registration input
+   * @param {Object} userData - Registration form data
+   * @returns {Object} Normalized { email, username }
+   */
+  validateRegistration(userData) {
+    const email = typeof userData.email === 'string' ? userData.email.trim().toLowerCase() : '';
+    const username = typeof userData.username === 'string' ? userData.username.trim() : '';
+
+    if (!email || !username || !userData.password) {
+      throw new Error('Email, username, and password are required');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Email address is invalid');
+    }
+    if (!/^[a-zA-Z0-9_.-]{3,30}$/.test(username)) {
+      throw new Error('Username must be 3-30 characters of letters, numbers, dots, dashes or underscores');
+    }
+
+    PasswordPolicy.assertValid(userData.password, { email, username });
+
+    return { email, username };
+  }
+
+  /**
+   * Register a new account. This is the only place users are created, for
+   * both registration endpoints and for OAuth sign-ups.
+   * @param {Object} userData - email, username, password, firstName, lastName,
+   *   bio, avatar, preferences and inviteCode
+   * @returns {Promise<Object>} The new user without sensitive data
+   */
   async registerUser(userData) {
     const { db } = require('./db-mongodb');
 
-    // Validate required fields
-    const requiredFields = ['email', 'username', 'password', 'firstName', 'lastName'];
-    for (const field of requiredFields) {
-      if (!userData[field]) {
-        throw new Error(`${field} is required`);
-      }
-    }
+    const { email, username } = this.validateRegistration(userData);
 
     // Check if email already exists
-    const existingEmailUser = await db.findUserByEmail(userData.email);
+    const existingEmailUser = await db.findUserByEmail(email);
     if (existingEmailUser) {
       throw new Error('Email already registered');
     }
 
     // Check if username already exists
-    const existingUsernameUser = await db.findUserByUsername(userData.username);
+    const existingUsernameUser = await db.findUserByUsername(username);
     if (existingUsernameUser) {
       throw new Error('Username already taken');
     }
 
+    const inviteCode = await this.redeemInviteCode(userData.inviteCode);
+
     // Hash password
     const hashedPassword = await this.authService.hashPassword(userData.password);
 
-    // Prepare user data
-    const userToCreate = {
-      email: userData.email,
-      username: userData.username,
+    const user = await this.createAccount({
+      email,
+      username,
       password: hashedPassword,
-      firstName: userData.firstName,
-      lastName: userData.lastName,
+      firstName: userData.firstName || '',
+      lastName: userData.lastName || '',
       bio: userData.bio || '',
       avatar: userData.avatar || '',
       preferences: userData.preferences || {},
-      isActive: true,
-      emailVerified: false
-    };
-
-    // Create user in database
-    const user = await db.createUser(userToCreate);
+      inviteCode
+    }, inviteCode);
 
     // Generate email verification token
     const { token: verificationToken, expiresAt: verificationExpiresAt } = this.emailService.generateVerificationToken();
@@ -69,8 +99,8 @@ class UserService {
       bio: user.bio,
       avatar: user.avatar,
       preferences: user.preferences,
-      isActive: user.isActive,
-      emailVerified: user.emailVerified,
+      isActive: true,
+      emailVerified: false,
       createdAt: user.createdAt,
       emailVerificationSent: emailSent
     };
@@ -78,13 +108,137 @@ class UserService {
     return userResponse;
   }
 
-  async loginUser(email, password) {
+  /**
+   * Create the account of a first-time OAuth sign-in. The provider has
+   * verified the email, so the account starts verified.
+   * @param {Object} profile - Provider profile
+   * @returns {Promise<Object>} The new user document
+   */
+  async registerOAuthUser(profile) {
+    const { db } = require('./db-mongodb');
+
+    if (this.isInviteOnly()) {
+      throw new Error('Registration requires an invite code. Register with your email first, then link your account.');
+    }
+
+    const user = await this.createAccount({
+      email: profile.email.trim().toLowerCase(),
+      username: await this.getAvailableUsername(profile.username || profile.email.split('@')[0]),
+      password: null,
+      firstName: profile.firstName || '',
+      lastName: profile.lastName || '',
+      bio: '',
+      avatar: profile.avatar || '',
+      preferences: {},
+      inviteCode: null
+    }, null);
+    await db.verifyEmail(user._id);
+
+    await this.emailService.sendWelcomeEmail(user.email, user.firstName || user.username);
+
+    return { ...user, isActive: true, emailVerified: true };
+  }
+
+  /**
+   * Insert the user. The unique indexes on email and username catch
+   * registrations that race past the duplicate checks.
+   */
+  async createAccount(userToCreate, inviteCode) {
+    const { db } = require('./db-mongodb');
+
+    try {
+      return await db.createUser(userToCreate);
+    } catch (error) {
+      if (inviteCode) {
+        await db.releaseInviteCode(inviteCode);
+      }
+      if (error.code === 11000) {
+        const field = error.keyPattern ? Object.keys(error.keyPattern)[0] : null;
+        throw new Error(field === 'username' ? 'Username already taken' : 'Email already registered');
+      }
+      throw error;
+    }
+  }
+
+  async getAvailableUsername(base) {
+    const { db } = require('./db-mongodb');
+
+    const clean = base.toLowerCase().replace(/[^a-z0-9_]/g, '').slice(0, 20) || 'user';
+    let username = clean.length >= 3 ? clean : `${clean}user`;
+    while (await db.findUserByUsername(username)) {
+      username = `${clean}${crypto.randomInt(1000, 10000)}`;
+    }
+    return username;
+  }
+
+  isInviteOnly() {
+    return process.env.REGISTRATION_INVITE_ONLY === 'true';
+  }
+
+  /**
+   * Use up one redemption of an invite code. Codes are optional unless
+   * REGISTRATION_INVITE_ONLY is set.
+   * @param {string} code - Invite code from the registration form
+   * @returns {Promise<string|null>} The redeemed code
+   */
+  async redeemInviteCode(code) {
+    const { db } = require('./db-mongodb');
+
+    if (!code) {
+      if (this.isInviteOnly()) {
+        throw new Error('An invite code is required to register');
+      }
+      return null;
+    }
+
+    const normalized = String(code).trim().toUpperCase();
+    const invite = await db.redeemInviteCode(normalized);
+    if (!invite) {
+      throw new Error('Invalid or expired invite code');
+    }
+    return normalized;
+  }
+
+  /**
+   * Create an invite code
+   * @param {string} userId - Admin creating the code
+   * @param {Object} options - { maxUses, expiresInDays, note }
+   * @returns {Promise<Object>} The invite code
+   */
+  async createInviteCode(userId, { maxUses = 1, expiresInDays = null, note = null } = {}) {
+    const { db } = require('./db-mongodb');
+
+    const uses = Number(maxUses);
+    if (!Number.isInteger(uses) || uses < 1) {
+      throw new Error('maxUses must be a positive integer');
+    }
+    const days = expiresInDays === null || expiresInDays === undefined ? null : Number(expiresInDays);
+    if (days !== null && !(days > 0)) {
+      throw new Error('expiresInDays must be a positive number');
+    }
+
+    // Unambiguous characters only, grouped for reading out loud
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const chars = Array.from({ length: 10 }, () => alphabet[crypto.randomInt(alphabet.length)]).join('');
+
+    return await db.createInviteCode({
+      code: `${chars.slice(0, 5)}-${chars.slice(5)}`,
+      maxUses: uses,
+      expiresAt: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      note: note ? String(note).slice(0, 200) : null,
+      createdBy: userId
+    });
+  }
+
+  async loginUser(email, password, client = {}) {
     const { db } = require('./db-mongodb');
 
     // Find user by email
     const user = await db.authenticateUser(email, password);
     if (!user) {
-      throw new Error('Invalid email or password');
+      const error = new Error('Invalid email or password');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
     }
 
     // Check if user is active
@@ -98,11 +252,66 @@ class UserService {
       throw new Error('Please verify your email before logging in');
     }
 
-    // Create session
-    const session = await this.authService.createSession(user._id);
+    return await this.startLogin(user, client);
+  }
 
-    // Remove sensitive data before returning
-    const userResponse = {
+  async loginWithOAuth(user, client = {}) {
+    if (!user.isActive) {
+      throw new Error('Account is deactivated');
+    }
+
+    return await this.startLogin(user, client);
+  }
+
+  async startLogin(user, client = {}) {
+    // With two-factor authentication the session is only created once the
+    // second factor is confirmed with completeTwoFactorLogin
+    if (user.twoFactorEnabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: this.authService.generateChallengeToken(user._id.toString()),
+        expiresIn: this.authService.challengeTokenTtl
+      };
+    }
+
+    return await this.createLoginSession(user, client);
+  }
+
+  async completeTwoFactorLogin(challengeToken, factor, client = {}) {
+    const { db } = require('./db-mongodb');
+
+    const decoded = this.authService.verifyChallengeToken(challengeToken);
+    if (!decoded) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    const user = await db.getUserById(decoded.userId);
+    if (!user || !user.isActive) {
+      throw new Error('Invalid or expired challenge token');
+    }
+
+    if (!factor.code && !factor.recoveryCode) {
+      throw new Error('Verification code or recovery code is required');
+    }
+
+    const verified = await this.twoFactorService.verifyLogin(user._id, factor);
+    if (!verified) {
+      const error = new Error('Invalid verification code');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    return await this.createLoginSession(user, client);
+  }
+
+  /**
+   * The fields of a user document that are returned to the user themselves;
+   * leaves out the password hash, tokens, 2FA secrets, roles and moderation state
+   * @param {Object} user - User document
+   * @returns {Object}
+   */
+  toPublicUser(user) {
+    return {
       _id: user._id,
       email: user.email,
       username: user.username,
@@ -110,14 +319,21 @@ class UserService {
       lastName: user.lastName,
       bio: user.bio,
       avatar: user.avatar,
+      photo: user.photo,
       preferences: user.preferences,
       isActive: user.isActive,
       emailVerified: user.emailVerified,
+      twoFactorEnabled: !!user.twoFactorEnabled,
       createdAt: user.createdAt
     };
+  }
+
+  async createLoginSession(user, client = {}) {
+    // Create session
+    const session = await this.authService.createSession(user._id, client);
 
     return {
-      user: userResponse,
+      user: this.toPublicUser(user),
       session
     };
   }
@@ -125,6 +341,16 @@ class UserService {
   async verifyEmail(token) {
     const { db } = require('./db-mongodb');
 
+    // Email change tokens were only sent to the new address and confirm it
+    const emailChange = token ? await db.findEmailChangeByToken(token) : null;
+    if (emailChange) {
+      const changingUser = await db.getUserById(emailChange.userId);
+      if (!changingUser) {
+        throw new Error('Invalid or expired verification token');
+      }
+      return await this.confirmEmailChange(changingUser, emailChange);
+    }
+
     // Find user by verification token
     const user = await db.findUserByVerificationToken(token);
     if (!user) {
@@ -139,6 +365,8 @@ class UserService {
     // Mark email as verified
     await db.verifyEmail(user._id);
 
+    await this.emailService.sendWelcomeEmail(user.email, user.firstName || user.username);
+
     // Return user without sensitive data
     return {
       _id: user._id,
@@ -150,6 +378,177 @@ class UserService {
     };
   }
 
+  /**
+   * Start changing a user's email. The address stays until the new one is
+   * confirmed, but emailVerified is reset until then; the old address is told
+   * and can cancel.
+   * @param {string} userId - User ID
+   * @param {string} newEmail - Requested address
+   * @param {string} password - Current password (not needed by OAuth users without one)
+   * @returns {Promise<Object>} { pendingEmail, expiresAt, confirmationSent }
+   */
+  async requestEmailChange(userId, newEmail, password) {
+    const { db } = require('./db-mongodb');
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    if (user.password && (!password || !await this.authService.comparePassword(password, user.password))) {
+      const error = new Error('Password is incorrect');
+      error.code = 'INVALID_CREDENTIALS';
+      throw error;
+    }
+
+    const email = typeof newEmail === 'string' ? newEmail.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new Error('Email address is invalid');
+    }
+    if (email === user.email.toLowerCase()) {
+      throw new Error('This is already your email address');
+    }
+    if (await db.findUserByEmail(email)) {
+      throw new Error('Email already registered');
+    }
+
+    const { token: verificationToken, expiresAt } = this.emailService.generateVerificationToken();
+    const cancelToken = uuidv4();
+
+    // A request that replaces a pending one keeps the status from before the first
+    const pending = await db.getPendingEmailChange(user._id);
+    const previousEmailVerified = pending ? !!pending.previousEmailVerified : !!user.emailVerified;
+
+    await db.createEmailChange({
+      userId: user._id,
+      oldEmail: user.email,
+      newEmail: email,
+      token: verificationToken,
+      cancelToken,
+      previousEmailVerified,
+      expiresAt,
+      // The old address can undo a confirmed change for a while, in case
+      // someone else made it
+      revertibleUntil: new Date(Date.now() + this.emailChangeRevertWindow),
+      purgeAt: new Date(Date.now() + this.emailChangeRevertWindow + 30 * 24 * 60 * 60 * 1000)
+    });
+    await db.setEmailVerified(user._id, false);
+
+    const confirmationSent = await this.emailService.sendEmailChangeConfirmation(email, verificationToken);
+    await this.emailService.sendEmailChangeNotice(user.email, email, cancelToken);
+
+    return { pendingEmail: email, expiresAt, confirmationSent };
+  }
+
+  async confirmEmailChange(user, emailChange) {
+    const { db } = require('./db-mongodb');
+
+    if (!await db.updateEmailChangeStatus(emailChange._id, 'pending', 'confirmed')) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    // The address is taken if someone registered it in the meantime
+    try {
+      await db.updateUserEmail(user._id, emailChange.newEmail);
+    } catch (error) {
+      await db.updateEmailChangeStatus(emailChange._id, 'confirmed', 'failed');
+      if (error.code === 11000) {
+        throw new Error('Email already registered');
+      }
+      throw error;
+    }
+
+    // The new address proved itself with the token, so it is verified again
+    await db.verifyEmail(user._id);
+
+    return {
+      _id: user._id,
+      email: emailChange.newEmail,
+      previousEmail: emailChange.oldEmail,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      emailVerified: true,
+      emailChanged: true
+    };
+  }
+
+  /**
+   * Cancel an email change with the link sent to the old address. A change
+   * that was already confirmed is reverted and every session is logged out.
+   * @param {string} cancelToken - Token from the notification email
+   * @returns {Promise<Object>} { reverted, email }
+   */
+  async cancelEmailChange(cancelToken) {
+    const { db } = require('./db-mongodb');
+
+    const emailChange = cancelToken ? await db.findEmailChangeByCancelToken(cancelToken) : null;
+    if (!emailChange) {
+      throw new Error('Invalid or expired cancel link');
+    }
+
+    if (emailChange.status === 'pending') {
+      if (await db.updateEmailChangeStatus(emailChange._id, 'pending', 'cancelled')) {
+        await this.restoreEmailVerified(emailChange);
+      }
+      return { reverted: false, email: emailChange.oldEmail };
+    }
+
+    if (emailChange.status !== 'confirmed' || emailChange.revertibleUntil < new Date()) {
+      throw new Error('Invalid or expired cancel link');
+    }
+    if (!await db.updateEmailChangeStatus(emailChange._id, 'confirmed', 'reverted')) {
+      throw new Error('Invalid or expired cancel link');
+    }
+
+    try {
+      await db.updateUserEmail(emailChange.userId, emailChange.oldEmail);
+    } catch (error) {
+      await db.updateEmailChangeStatus(emailChange._id, 'reverted', 'confirmed');
+      if (error.code === 11000) {
+        throw new Error('Your previous address has been registered by another account');
+      }
+      throw error;
+    }
+    await db.verifyEmail(emailChange.userId);
+    await this.authService.destroyAllUserSessions(emailChange.userId, 'email_change_reverted');
+
+    return { reverted: true, email: emailChange.oldEmail };
+  }
+
+  async cancelOwnEmailChange(userId) {
+    const { db } = require('./db-mongodb');
+
+    const emailChange = await db.getPendingEmailChange(userId);
+    if (!emailChange) {
+      return false;
+    }
+
+    if (!await db.updateEmailChangeStatus(emailChange._id, 'pending', 'cancelled')) {
+      return false;
+    }
+    await this.restoreEmailVerified(emailChange);
+    return true;
+  }
+
+  // A cancelled change gives the old address back the verified status it had
+  async restoreEmailVerified(emailChange) {
+    const { db } = require('./db-mongodb');
+
+    if (emailChange.previousEmailVerified) {
+      await db.setEmailVerified(emailChange.userId, true);
+    }
+  }
+
+  async getPendingEmailChange(userId) {
+    const { db } = require('./db-mongodb');
+
+    const emailChange = await db.getPendingEmailChange(userId);
+    return emailChange
+      ? { pendingEmail: emailChange.newEmail, requestedAt: emailChange.createdAt, expiresAt: emailChange.expiresAt }
+      : null;
+  }
+
   async resendVerificationEmail(email) {
     const { db } = require('./db-mongodb');
 
@@ -159,6 +558,20 @@ class UserService {
       throw new Error('No account found with this email');
     }
 
+    // While an email change is pending, only the new address gets a link,
+    // and it is the change's own token
+    const emailChange = await db.getPendingEmailChange(user._id);
+    if (emailChange) {
+      const { token, expiresAt } = this.emailService.generateVerificationToken();
+      await db.setEmailChangeToken(emailChange._id, token, expiresAt);
+      const sent = await this.emailService.sendEmailChangeConfirmation(emailChange.newEmail, token);
+
+      return {
+        success: sent,
+        message: sent ? 'Confirmation email sent to your new address' : 'Failed to send confirmation email'
+      };
+    }
+
     // Check if email is already verified
     if (user.emailVerified) {
       throw new Error('Email is already verified');
@@ -212,6 +625,8 @@ class UserService {
       throw new Error('Invalid or expired reset token');
     }
 
+    PasswordPolicy.assertValid(newPassword, user);
+
     // Hash new password
     const hashedPassword = await this.authService.hashPassword(newPassword);
 
@@ -219,7 +634,7 @@ class UserService {
     await db.updatePassword(user._id, hashedPassword);
 
     // Destroy all existing sessions for security
-    await this.authService.destroyAllUserSessions(user._id);
+    await this.authService.destroyAllUserSessions(user._id, 'password_reset');
 
     return {
       success: true,
@@ -227,6 +642,49 @@ class UserService {
     };
   }
 
+  /**
+   * Change the password of a signed-in user and log out their other devices.
+   * Users who signed up through OAuth have no password yet and can set one
+   * without a current password.
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @param {string} currentToken - Access token of the session to keep
+   * @returns {Promise<Object>} { passwordSet, sessionsRevoked }
+   */
+  async changePassword(userId, currentPassword, newPassword, currentToken) {
+    const { db } = require('./db-mongodb');
+
+    const user = await db.getUserById(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const hadPassword = !!user.password;
+    if (hadPassword) {
+      if (!currentPassword || !await this.authService.comparePassword(currentPassword, user.password)) {
+        const error = new Error('Current password is incorrect');
+        error.code = 'INVALID_CREDENTIALS';
+        throw error;
+      }
+      if (currentPassword === newPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+    }
+
+    PasswordPolicy.assertValid(newPassword, user);
+
+    const hashedPassword = await this.authService.hashPassword(newPassword);
+    await db.updatePassword(user._id, hashedPassword);
+
+    const sessionsRevoked = await this.authService.revokeOtherSessions(user._id, currentToken, 'password_change');
+
+    return {
+      passwordSet: !hadPassword,
+      sessionsRevoked
+    };
+  }
+
   async getUserProfile(userId) {
     const { db } = require('./db-mongodb');
 
@@ -238,33 +696,33 @@ class UserService {
     // Get user statistics
     const stats = await db.getUserStats(userId);
 
-    // Remove sensitive data
     return {
-      _id: user._id,
-      email: user.email,
-      username: user.username,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      bio: user.bio,
-      avatar: user.avatar,
-      preferences: user.preferences,
-      isActive: user.isActive,
-      emailVerified: user.emailVerified,
-      createdAt: user.createdAt,
+      ...this.toPublicUser(user),
+      roles: user.roles || [],
       stats
     };
   }
 
   async updateUserProfile(userId, updates) {
     const { db } = require('./db-mongodb');
+    const { CommentService } = require('./comment-service');
+
+    const preferences = updates.preferences;
+    if (preferences !== undefined && (!preferences || typeof preferences !== 'object' || Array.isArray(preferences))) {
+      throw new Error('Preferences must be an object');
+    }
+
+    const spoilers = preferences && preferences.spoilers;
+    if (spoilers !== undefined && !CommentService.SPOILER_PREFERENCES.includes(spoilers)) {
+      throw new Error(`Spoiler preference must be one of: ${CommentService.SPOILER_PREFERENCES.join(', ')}`);
+    }
 
     // Don't allow updating sensitive fields
     const allowedUpdates = {
       firstName: updates.firstName,
       lastName: updates.lastName,
       bio: updates.bio,
-      avatar: updates.avatar,
-      preferences: updates.preferences
+      avatar: updates.avatar
     };
 
     // Filter out undefined values
@@ -274,25 +732,22 @@ class UserService {
       }
     });
 
+    // Preferences are merged key by key, so updating one keeps the others
+    Object.entries(preferences || {}).forEach(([key, value]) => {
+      if (key.startsWith('$') || key.includes('.')) {
+        throw new Error(`Invalid preference name: ${key}`);
+      }
+      if (value !== undefined) {
+        allowedUpdates[`preferences.${key}`] = value;
+      }
+    });
+
     const updatedUser = await db.updateUser(userId, allowedUpdates);
     if (!updatedUser) {
       throw new Error('User not found');
     }
 
-    // Remove sensitive data
-    return {
-      _id: updatedUser._id,
-      email: updatedUser.email,
-      username: updatedUser.username,
-      firstName: updatedUser.firstName,
-      lastName: updatedUser.lastName,
-      bio: updatedUser.bio,
-      avatar: updatedUser.avatar,
-      preferences: updatedUser.preferences,
-      isActive: updatedUser.isActive,
-      emailVerified: updatedUser.emailVerified,
-      createdAt: updatedUser.createdAt
-    };
+    return this.toPublicUser(updatedUser);
   }
 
   async deactivateAccount(userId) {
@@ -302,7 +757,7 @@ class UserService {
     await db.updateUser(userId, { isActive: false });
 
     // Destroy all sessions
-    await this.authService.destroyAllUserSessions(userId);
+    await this.authService.destroyAllUserSessions(userId, 'account_deactivated');
 
     return {
       success: true,
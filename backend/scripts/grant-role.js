@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Role Management Script
+ * Grants or revokes a role for a user, e.g. to create the first admin
+ *
+ * Usage: node scripts/grant-role.js <email> [role] [--revoke]
+ *   role defaults to "admin"
+ * Environment variables:
+ *   MONGODB_URI: MongoDB connection URI (default: mongodb://localhost:27017)
+ *   MONGODB_DB: Database name (default: trakt-proxy)
+ */
+
+require('dotenv').config({ path: '.env.local' });
+require('dotenv').config();
+
+const { db } = require('../lib/db-mongodb');
+const { RoleService } = require('../lib/role-service');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const revoke = args.includes('--revoke');
+  const [email, role = 'admin'] = args.filter(arg => arg !== '--revoke');
+
+  if (!email) {
+    console.log('Usage: node scripts/grant-role.js <email> [role] [--revoke]');
+    console.log(`Roles: ${Object.keys(RoleService.ROLES).join(', ')}`);
+    process.exit(1);
+  }
+
+  try {
+    await db.connect();
+    if (!db.isConnected) {
+      throw new Error('Could not connect to MongoDB');
+    }
+
+    const user = await db.findUserByEmail(email);
+    if (!user) {
+      throw new Error(`No user found with email ${email}`);
+    }
+
+    const roles = revoke
+      ? await RoleService.revokeRole(user._id, role)
+      : await RoleService.grantRole(user._id, role);
+
+    console.log(`✅ ${revoke ? 'Revoked' : 'Granted'} ${role} ${revoke ? 'from' : 'to'} ${email}`);
+    console.log(`   Roles: ${roles.length > 0 ? roles.join(', ') : '(none)'}`);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+}
+
+// Run the script
+if (require.main === module) {
+  main().catch(console.error);
+}
+
+module.exports = { main };
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Mock OAuth Provider
+ * A local stand-in for Google, GitHub and Trakt, so the OAuth sign-in and
+ * account linking flows can be tried without real provider accounts. The
+ * consent screen approves straight away and redirects back with a code.
+ *
+ * Usage: node scripts/mock-oauth-server.js [port]
+ *   port defaults to 4010; prints the environment variables that point the
+ *   backend at the mock
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const DEFAULT_PROFILES = {
+  google: {
+    sub: 'mock-google-user',
+    email: 'mock.user@example.com',
+    email_verified: true,
+    given_name: 'Mock',
+    family_name: 'User',
+    picture: ''
+  },
+  github: {
+    id: 4242,
+    login: 'mockuser',
+    name: 'Mock User',
+    avatar_url: '',
+    emails: [{ email: 'mock.user@example.com', primary: true, verified: true }]
+  },
+  trakt: {
+    username: 'mockuser',
+    name: 'Mock User',
+    ids: { slug: 'mockuser', uuid: 'mock-trakt-user' }
+  }
+};
+
+/**
+ * Create a mock provider. Every provider accepts the client ID
+ * mock-<provider>-client with the secret mock-<provider>-secret.
+ * @returns {Object} { app, profiles, setProfile(provider, profile), env(baseUrl), listen(port) }
+ */
+function createMockOAuthServer() {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const profiles = JSON.parse(JSON.stringify(DEFAULT_PROFILES));
+  const codes = new Map(); // code -> pending grant
+  const tokens = new Map(); // access or refresh token -> grant
+
+  const client = (provider) => ({
+    id: `mock-${provider}-client`,
+    secret: `mock-${provider}-secret`
+  });
+
+  const issueTokens = (grant) => {
+    const issued = {
+      access_token: crypto.randomBytes(16).toString('hex'),
+      refresh_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'bearer',
+      expires_in: 3600,
+      scope: grant.scope || null
+    };
+    tokens.set(issued.access_token, { ...grant, type: 'access' });
+    tokens.set(issued.refresh_token, { ...grant, type: 'refresh' });
+    return issued;
+  };
+
+  const authorize = (provider) => (req, res) => {
+    const { response_type, client_id, redirect_uri, state, scope, code_challenge } = req.query;
+    if (response_type !== 'code' || client_id !== client(provider).id || !redirect_uri) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const location = new URL(redirect_uri);
+    if (state) location.searchParams.set('state', state);
+
+    if (req.query.deny) {
+      location.searchParams.set('error', 'access_denied');
+      return res.redirect(location.toString());
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      provider,
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge || null,
+      scope: scope || null,
+      profile: JSON.parse(JSON.stringify(profiles[provider]))
+    });
+
+    location.searchParams.set('code', code);
+    return res.redirect(location.toString());
+  };
+
+  const token = (provider) => (req, res) => {
+    const params = req.body || {};
+    if (params.client_id !== client(provider).id || params.client_secret !== client(provider).secret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    if (params.grant_type === 'refresh_token') {
+      const grant = tokens.get(params.refresh_token);
+      if (!grant || grant.type !== 'refresh' || grant.provider !== provider) {
+        return res.status(400).json({ error: 'invalid_grant' });
+      }
+      tokens.delete(params.refresh_token);
+      return res.json(issueTokens(grant));
+    }
+
+    if (params.grant_type !== 'authorization_code') {
+      return res.status(400).json({ error: 'unsupported_grant_type' });
+    }
+
+    // Codes are single-use, bound to the redirect URI and, with PKCE, to the verifier
+    const grant = codes.get(params.code);
+    codes.delete(params.code);
+    if (!grant || grant.provider !== provider || grant.redirectUri !== params.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(params.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+    }
+
+    return res.json(issueTokens(grant));
+  };
+
+  const bearer = (provider) => (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const grant = tokens.get(header.replace(/^Bearer /i, ''));
+    if (!grant || grant.type !== 'access' || grant.provider !== provider) {
+      return res.status(401).json({ error: 'invalid_token' });
+    }
+    req.profile = grant.profile;
+    next();
+  };
+
+  app.get('/google/authorize', authorize('google'));
+  app.post('/google/token', token('google'));
+  app.get('/google/userinfo', bearer('google'), (req, res) => res.json(req.profile));
+
+  app.get('/github/authorize', authorize('github'));
+  app.post('/github/token', token('github'));
+  app.get('/github/user', bearer('github'), (req, res) => {
+    const { emails, ...profile } = req.profile;
+    res.json(profile);
+  });
+  app.get('/github/user/emails', bearer('github'), (req, res) => res.json(req.profile.emails || []));
+
+  // Trakt's API base URL, so /oauth/token and /users/settings match the real paths
+  app.get('/trakt/oauth/authorize', authorize('trakt'));
+  app.post('/trakt/oauth/token', token('trakt'));
+  app.get('/trakt/users/settings', bearer('trakt'), (req, res) => res.json({ user: req.profile }));
+
+  return {
+    app,
+    profiles,
+
+    /**
+     * Change the account the next authorization returns
+     * @param {string} provider - google, github or trakt
+     * @param {Object} profile - Fields to replace in the provider's profile
+     */
+    setProfile(provider, profile) {
+      profiles[provider] = { ...profiles[provider], ...profile };
+    },
+
+    /**
+     * Environment variables that point the backend at this mock
+     * @param {string} baseUrl - Where the mock is listening
+     * @returns {Object}
+     */
+    env(baseUrl) {
+      return {
+        OAUTH_GOOGLE_CLIENT_ID: client('google').id,
+        OAUTH_GOOGLE_CLIENT_SECRET: client('google').secret,
+        OAUTH_GOOGLE_AUTHORIZE_URL: `${baseUrl}/google/authorize`,
+        OAUTH_GOOGLE_TOKEN_URL: `${baseUrl}/google/token`,
+        OAUTH_GOOGLE_USERINFO_URL: `${baseUrl}/google/userinfo`,
+        OAUTH_GITHUB_CLIENT_ID: client('github').id,
+        OAUTH_GITHUB_CLIENT_SECRET: client('github').secret,
+        OAUTH_GITHUB_AUTHORIZE_URL: `${baseUrl}/github/authorize`,
+        OAUTH_GITHUB_TOKEN_URL: `${baseUrl}/github/token`,
+        OAUTH_GITHUB_API_URL: `${baseUrl}/github`,
+        TRAKT_CLIENT_ID: client('trakt').id,
+        TRAKT_CLIENT_SECRET: client('trakt').secret,
+        TRAKT_BASE_URL: `${baseUrl}/trakt`,
+        TRAKT_OAUTH_AUTHORIZE_URL: `${baseUrl}/trakt/oauth/authorize`
+      };
+    },
+
+    /**
+     * Start listening
+     * @param {number} [port] - 0 picks a free port
+     * @returns {Promise<Object>} { server, baseUrl }
+     */
+    listen(port = 0) {
+      return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+          resolve({ server, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+        server.on('error', reject);
+      });
+    }
+  };
+}
+
+module.exports = { createMockOAuthServer };
+
+if (require.main === module) {
+  const mock = createMockOAuthServer();
+  mock.listen(Number(process.argv[2]) || 4010).then(({ baseUrl }) => {
+    console.log(`🔐 Mock OAuth provider listening on ${baseUrl}`);
+    console.log('Start the backend with:');
+    for (const [name, value] of Object.entries(mock.env(baseUrl))) {
+      console.log(`${name}=${value}`);
+    }
+  });
+}
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Cache Policy Test
+ * Checks which TTL rule the Trakt proxy picks for a path and how cache keys
+ * are built. Needs no database or network.
+ *
+ * Usage: node scripts/test-cache-policy.js
+ */
+
+// Rules from the environment take precedence, so only the built-ins are tested
+delete process.env.TRAKT_CACHE_POLICY;
+
+const { CachePolicy } = require('../lib/cache-policy');
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+function checkTtl(path, expected) {
+  const ttl = CachePolicy.getTtl(path);
+  check(`${path} is cached for ${expected} seconds`, ttl === expected, `got ${ttl} from ${CachePolicy.getGroup(path)}`);
+}
+
+console.log('TTL rules');
+checkTtl('/movies/trending', 15 * MINUTE);
+checkTtl('/movies/trending?page=2', 15 * MINUTE);
+checkTtl('/shows/popular', HOUR);
+checkTtl('/movies/watched/weekly', HOUR);
+checkTtl('/movies/favorited', HOUR);
+checkTtl('/shows/favorited/monthly', HOUR);
+checkTtl('/movies/streaming', HOUR);
+checkTtl('/movies/updates/2024-01-01', 15 * MINUTE);
+checkTtl('/shows/updates', 15 * MINUTE);
+checkTtl('/search/movie', HOUR);
+checkTtl('/movies/tron-legacy-2010', 7 * DAY);
+checkTtl('/movies/tron-legacy-2010/', 7 * DAY);
+checkTtl('/shows/breaking-bad/seasons', DAY);
+checkTtl('/people/bryan-cranston', CachePolicy.defaultTtl);
+
+check('Prefix rules do not match longer segment names',
+  CachePolicy.getGroup('/movies/watchedness') === '/movies/:id',
+  CachePolicy.getGroup('/movies/watchedness'));
+
+console.log('Cache keys');
+check('The extended parameter is not part of the key',
+  CachePolicy.getCacheKey('/movies/1', { extended: 'full' }) === CachePolicy.getCacheKey('/movies/1', {}));
+check('The query string on the path is ignored',
+  CachePolicy.getCacheKey('/movies/1?extended=full', {}) === '/movies/1{}');
+check('Query parameters are sorted',
+  CachePolicy.getCacheKey('/search/movie', { query: 'tron', page: '1' }) === '/search/movie{"page":"1","query":"tron"}');
+
+const key = CachePolicy.getCacheKey('/movies/popular', { page: '2', limit: '20' });
+const parsed = CachePolicy.parseCacheKey(key);
+check('A cache key parses back into its request',
+  !!parsed && parsed.path === '/movies/popular' && parsed.query.page === '2' && parsed.query.limit === '20',
+  JSON.stringify(parsed));
+check('Keys not created by getCacheKey are not parsed',
+  CachePolicy.parseCacheKey('trakt-movies-1') === null && CachePolicy.parseCacheKey('/movies/1{oops') === null);
+
+console.log('=========================================');
+console.log(failures === 0 ? '✅ All cache policy checks passed' : `❌ ${failures} cache policy check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * OAuth Flow Test
+ * Runs the sign-in, account linking and return URL checks end to end against
+ * the mock provider in scripts/mock-oauth-server.js. Uses its own database,
+ * which is dropped afterwards.
+ *
+ * Usage: node scripts/test-oauth.js
+ * Environment variables:
+ *   MONGODB_URI: MongoDB connection URI (default: mongodb://localhost:27017)
+ *   MONGODB_TEST_DB: Database name (default: trakt-proxy-oauth-test)
+ */
+
+require('dotenv').config({ path: '.env.local' });
+require('dotenv').config();
+
+const { createMockOAuthServer } = require('./mock-oauth-server');
+
+const APP_URL = 'http://localhost:5173/app';
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+async function main() {
+  const mock = createMockOAuthServer();
+  const { server: mockServer, baseUrl: mockUrl } = await mock.listen();
+
+  // Provider settings are read when the services load, so they are set first
+  Object.assign(process.env, mock.env(mockUrl), {
+    MONGODB_DB: process.env.MONGODB_TEST_DB || 'trakt-proxy-oauth-test',
+    OAUTH_ALLOWED_REDIRECTS: APP_URL,
+    REGISTRATION_INVITE_ONLY: 'false'
+  });
+  delete process.env.EMAIL_HOST;
+  delete process.env.EMAIL_USER;
+
+  const { db } = require('../lib/db-mongodb');
+  const { OAuthService } = require('../lib/oauth-service');
+
+  await db.connect();
+  if (!db.isConnected) {
+    throw new Error('Could not connect to MongoDB');
+  }
+  await db.createUserIndexes();
+  await db.createOAuthIndexes();
+
+  const app = require('../app');
+  const backend = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  const baseUrl = `http://127.0.0.1:${backend.address().port}`;
+  process.env.BASE_URL = baseUrl;
+
+  const api = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json().catch(() => null), location: response.headers.get('location') };
+  };
+
+  // Start a flow, pass the mock's consent screen and call the backend callback
+  const runFlow = async (path, { token, returnUrl, deny = false } = {}) => {
+    const started = await api('POST', path, { token, body: returnUrl ? { returnUrl } : {} });
+    if (started.status !== 200) return { started };
+
+    const authorizationUrl = new URL(started.body.authorizationUrl);
+    if (deny) authorizationUrl.searchParams.set('deny', '1');
+    const consent = await fetch(authorizationUrl, { redirect: 'manual' });
+    const callbackUrl = consent.headers.get('location');
+
+    const response = await fetch(callbackUrl, { redirect: 'manual' });
+    return {
+      started,
+      callbackUrl,
+      status: response.status,
+      body: await response.json().catch(() => null),
+      location: response.headers.get('location')
+    };
+  };
+
+  try {
+    console.log('🔐 Testing OAuth flows against the mock provider');
+    console.log('=========================================');
+
+    const providers = await api('GET', '/api/auth/oauth/providers');
+    const names = providers.body.providers.map(provider => provider.name);
+    check('Lists the mock providers', ['google', 'github', 'trakt'].every(name => names.includes(name)), names.join(', '));
+
+    // Authorize
+    const started = await api('POST', '/api/auth/oauth/google/start', { body: {} });
+    const authorizationUrl = new URL(started.body.authorizationUrl);
+    check('Authorization URL points at the provider', authorizationUrl.origin === mockUrl, authorizationUrl.origin);
+    check('Authorization URL uses PKCE', authorizationUrl.searchParams.get('code_challenge_method') === 'S256');
+    check(
+      'Authorization URL carries the callback',
+      authorizationUrl.searchParams.get('redirect_uri') === `${baseUrl}/api/auth/oauth/google/callback`
+    );
+
+    for (const returnUrl of [
+      'https://localhost:5173/app',
+      'http://localhost:5173/apple',
+      'http://localhost:5173.evil.com/app',
+      'http://localhost:51730/app',
+      'javascript:alert(1)'
+    ]) {
+      const rejected = await api('POST', '/api/auth/oauth/google/start', { body: { returnUrl } });
+      check(`Rejects return URL ${returnUrl}`, rejected.status === 400, `status ${rejected.status}`);
+    }
+
+    const traktLogin = await api('POST', '/api/auth/oauth/trakt/start', { body: {} });
+    check('Trakt cannot be used to sign in', traktLogin.status === 400, `status ${traktLogin.status}`);
+
+    // Callback: sign-in creates the user
+    const login = await runFlow('/api/auth/oauth/google/start');
+    check('Google sign-in succeeds', login.status === 200 && login.body.success, JSON.stringify(login.body));
+    const { user, session } = login.body;
+    check('Sign-in returns a session', !!(session && session.accessToken && session.refreshToken));
+    check('New user has the verified provider email', user.email === 'mock.user@example.com' && user.emailVerified === true);
+
+    const replay = await fetch(login.callbackUrl, { redirect: 'manual' });
+    check('State cannot be reused', replay.status === 400, `status ${replay.status}`);
+
+    const forged = await api('GET', '/api/auth/oauth/google/callback?code=abc&state=forged');
+    check('Unknown state is rejected', forged.status === 400, `status ${forged.status}`);
+
+    const denied = await runFlow('/api/auth/oauth/google/start', { deny: true });
+    check('Denied consent fails', denied.status === 400, `status ${denied.status}`);
+
+    const redirected = await runFlow('/api/auth/oauth/google/start', { returnUrl: `${APP_URL}/oauth` });
+    const fragment = redirected.location ? new URLSearchParams(new URL(redirected.location).hash.slice(1)) : null;
+    check(
+      'Sign-in with a return URL redirects with tokens in the fragment',
+      redirected.status === 302 && redirected.location.startsWith(`${APP_URL}/oauth#`) && !!fragment.get('accessToken'),
+      redirected.location
+    );
+
+    // Verified email on another provider links to the same user
+    const github = await runFlow('/api/auth/oauth/github/start');
+    check(
+      'GitHub sign-in with the same verified email reaches the same user',
+      github.status === 200 && String(github.body.user._id) === String(user._id),
+      JSON.stringify(github.body)
+    );
+
+    mock.setProfile('google', { sub: 'mock-google-unverified', email: 'unverified@example.com', email_verified: false });
+    const unverified = await runFlow('/api/auth/oauth/google/start');
+    check('Unverified provider email cannot sign in', unverified.status === 400, JSON.stringify(unverified.body));
+
+    // Link
+    const unauthenticated = await api('POST', '/api/auth/oauth/trakt/link', { body: {} });
+    check('Linking requires authentication', unauthenticated.status === 401, `status ${unauthenticated.status}`);
+
+    const link = await runFlow('/api/auth/oauth/trakt/link', { token: session.accessToken });
+    check('Trakt account links to the signed-in user', link.status === 200 && link.body.success, JSON.stringify(link.body));
+    check('Linked account is the Trakt user', link.body.account && link.body.account.username === 'mockuser');
+
+    const accounts = await api('GET', '/api/auth/oauth/accounts', { token: session.accessToken });
+    const linked = accounts.body.accounts.map(account => account.provider).sort();
+    check('Linked accounts are listed', linked.join(',') === 'github,google,trakt', linked.join(','));
+    check('Token fields are not exposed', accounts.body.accounts.every(account => !('tokens' in account)));
+
+    const traktTokens = await OAuthService.getAccessTokens(user._id, 'trakt');
+    check('Trakt tokens are stored for sync', !!(traktTokens && traktTokens.accessToken && traktTokens.refreshToken));
+
+    mock.setProfile('google', { sub: 'mock-google-second', email: 'second.user@example.com', email_verified: true });
+    const second = await runFlow('/api/auth/oauth/google/start');
+    const takenLink = await runFlow('/api/auth/oauth/trakt/link', { token: second.body.session.accessToken });
+    check('A Trakt account cannot be linked to two users', takenLink.status === 400, JSON.stringify(takenLink.body));
+
+    const unlink = await api('DELETE', '/api/auth/oauth/accounts/trakt', { token: session.accessToken });
+    check('Trakt account can be unlinked', unlink.status === 200, `status ${unlink.status}`);
+  } finally {
+    await db.db.dropDatabase();
+    await db.close();
+    backend.close();
+    mockServer.close();
+  }
+
+  console.log('=========================================');
+  console.log(failures === 0 ? '✅ All OAuth checks passed' : `❌ ${failures} OAuth check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
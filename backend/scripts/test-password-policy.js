@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Password Policy Test
+ * Checks the default password policy: length, character classes, personal
+ * information and the breached password list. Needs no database or network.
+ *
+ * Usage: node scripts/test-password-policy.js
+ */
+
+// The policy is read from the environment, so only the defaults are tested
+for (const name of ['PASSWORD_MIN_LENGTH', 'PASSWORD_MAX_LENGTH', 'PASSWORD_REQUIRED_CLASSES',
+  'PASSWORD_BREACH_CHECK', 'PASSWORD_BREACH_LIST_FILE']) {
+  delete process.env[name];
+}
+
+const { PasswordPolicy } = require('../lib/password-policy');
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+const user = { username: 'moviebuff', email: 'jane.doe@example.com' };
+
+function checkAccepted(name, password) {
+  const errors = PasswordPolicy.validate(password, user);
+  check(name, errors.length === 0, errors.join('; '));
+}
+
+function checkRejected(name, password, message) {
+  const errors = PasswordPolicy.validate(password, user);
+  check(name, errors.some(error => error.includes(message)), errors.join('; ') || 'accepted');
+}
+
+checkAccepted('A long password with letters and numbers is accepted', 'quiet-harbor-417');
+checkRejected('An empty password is rejected', '', 'required');
+checkRejected('A non-string password is rejected', 12345678, 'required');
+checkRejected('A short password is rejected', 'ab1', `at least ${PasswordPolicy.minLength}`);
+checkRejected('A password over 72 bytes is rejected', 'a1'.repeat(37), 'at most 72 bytes');
+checkRejected('Multi-byte characters count as bytes', 'é1'.repeat(25), 'at most 72 bytes');
+checkRejected('A password without a number is rejected', 'quiet-harbor', 'a number');
+checkRejected('A password without a letter is rejected', '4172-9931-55', 'a letter');
+checkRejected('A password containing the username is rejected', 'MovieBuff2024', 'username or email');
+checkRejected('A password containing the email name is rejected', 'jane.doe-4ever', 'username or email');
+const shortName = PasswordPolicy.validate('al-harbor-417', { username: 'al' });
+check('Usernames shorter than 3 characters are ignored', shortName.length === 0, shortName.join('; '));
+checkRejected('A breached password is rejected', 'password1', 'data breach');
+checkRejected('The breach check ignores case', 'PASSWORD1', 'data breach');
+
+let thrown = null;
+try {
+  PasswordPolicy.assertValid('short', user);
+} catch (error) {
+  thrown = error;
+}
+check('assertValid throws INVALID_PASSWORD with every violation',
+  !!thrown && thrown.code === 'INVALID_PASSWORD' && thrown.details.length > 1,
+  thrown ? `${thrown.code}: ${(thrown.details || []).join('; ')}` : 'no error');
+
+const described = PasswordPolicy.describe();
+check('The description lists the defaults',
+  described.minLength === 8 && described.maxLength === 72 &&
+  described.requiredClasses.join(',') === 'letter,number' && described.breachCheck === true,
+  JSON.stringify(described));
+
+console.log('=========================================');
+console.log(failures === 0 ? '✅ All password policy checks passed' : `❌ ${failures} password policy check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
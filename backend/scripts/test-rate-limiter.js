@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Rate Limiter Test
+ * Checks rule matching, plan limits and the sliding window estimate. The
+ * counters are kept in memory and the clock is set by the script, so no
+ * database is needed.
+ *
+ * Usage: node scripts/test-rate-limiter.js
+ */
+
+// Rules from the environment take precedence, so only the built-ins are tested
+delete process.env.RATE_LIMIT_POLICY;
+
+const { RateLimiter } = require('../lib/rate-limiter');
+const { db } = require('../lib/db-mongodb');
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+// In-memory stand-ins for the counter collection and subscriptions
+const counters = new Map();
+db.incrementRateLimitCounter = async (key, windowStart) => {
+  const id = `${key}@${windowStart.getTime()}`;
+  const count = (counters.get(id) || 0) + 1;
+  counters.set(id, count);
+  return { count };
+};
+db.getRateLimitCounter = async (key, windowStart) => {
+  const count = counters.get(`${key}@${windowStart.getTime()}`);
+  return count ? { count } : null;
+};
+
+let planLimits = null;
+db.getUserActiveSubscription = async () => planLimits ? { packageId: 'package' } : null;
+db.getPackageById = async () => ({ rateLimits: planLimits });
+
+let now = 0;
+Date.now = () => now;
+
+const anonymous = { ip: '203.0.113.1', get: () => undefined };
+const signedIn = { ...anonymous, user: { _id: 'user-1' } };
+
+async function main() {
+  console.log('Rules');
+  const groupOf = path => (RateLimiter.match(path) || {}).group;
+  check('/api/auth is in the auth group', groupOf('/api/auth') === 'auth');
+  check('/api/auth/login is in the auth group', groupOf('/api/auth/login') === 'auth');
+  check('/api/authors is not in the auth group', groupOf('/api/authors') === 'default', groupOf('/api/authors'));
+  check('/api/catalog/movies/1 is in the trakt group', groupOf('/api/catalog/movies/1') === 'trakt');
+  check('Paths outside /api are not limited', RateLimiter.match('/uploads/avatar.png') === null);
+  check('Webhooks are not limited', await RateLimiter.check(RateLimiter.match('/api/webhooks/stripe'), anonymous) === null);
+
+  console.log('Limits');
+  const rule = RateLimiter.match('/api/trakt/movies/popular');
+  check('Anonymous requests get the per-IP limit', (await RateLimiter.resolveLimit(rule, anonymous)).limit === rule.anonymous);
+  check('Signed-in requests get the per-user limit', (await RateLimiter.resolveLimit(rule, signedIn)).limit === rule.user);
+
+  const planLimitFor = async limits => {
+    planLimits = limits;
+    RateLimiter.planCache.clear();
+    return (await RateLimiter.resolveLimit(rule, signedIn)).limit;
+  };
+  check('A plan limit replaces the per-user limit', await planLimitFor({ trakt: 600 }) === 600);
+  check('Groups missing from a plan keep the per-user limit', await planLimitFor({ default: 1000 }) === rule.user);
+  check('A plan limit of null removes the limit', await planLimitFor({ trakt: null }) === null &&
+    await RateLimiter.check(rule, signedIn) === null);
+
+  await planLimitFor({ trakt: 0 });
+  const blocked = await RateLimiter.check(rule, { ...signedIn, user: { _id: 'user-3' } });
+  check('A plan limit of 0 blocks the group', !!blocked && blocked.limit === 0 && blocked.count > blocked.limit, JSON.stringify(blocked));
+  planLimits = null;
+  RateLimiter.planCache.clear();
+
+  console.log('Sliding window');
+  const window = 60;
+  now = 1000 * 60 * 1000;
+  for (let i = 0; i < 10; i++) await RateLimiter.hit('window-test', window);
+  const first = await RateLimiter.hit('window-test', window);
+  check('Requests in one window are counted', first.count === 11, `count ${first.count}`);
+  check('Reset is the time left in the window', first.reset === window, `reset ${first.reset}`);
+
+  // A quarter into the next window, three quarters of the previous one
+  // still overlap the sliding window
+  now += window * 1000 * 1.25;
+  const next = await RateLimiter.hit('window-test', window);
+  check('The previous window is weighted by its overlap', next.count === Math.floor(11 * 0.75) + 1, `count ${next.count}`);
+  check('Reset counts down within the window', next.reset === 45, `reset ${next.reset}`);
+
+  now += window * 1000 * 2;
+  const later = await RateLimiter.hit('window-test', window);
+  check('Windows older than the previous one are not counted', later.count === 1, `count ${later.count}`);
+
+  console.log('=========================================');
+  console.log(failures === 0 ? '✅ All rate limiter checks passed' : `❌ ${failures} rate limiter check(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
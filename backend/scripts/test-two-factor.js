@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Two-Factor Test
+ * Checks TOTP codes against the RFC 6238 test vectors, the accepted clock
+ * drift and the recovery code format. Needs no database or network.
+ *
+ * Usage: node scripts/test-two-factor.js
+ */
+
+const { TwoFactorService } = require('../lib/two-factor-service');
+
+let failures = 0;
+
+function check(name, passed, detail = '') {
+  if (passed) {
+    console.log(`✓ ${name}`);
+  } else {
+    failures++;
+    console.log(`✗ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+// RFC 6238 appendix B, SHA1 with the ASCII secret "12345678901234567890";
+// the RFC lists 8 digits, of which a 6 digit code is the last 6
+const rfcSecret = TwoFactorService.base32Encode(Buffer.from('12345678901234567890'));
+const vectors = [
+  [59, '287082'],
+  [1111111109, '081804'],
+  [1111111111, '050471'],
+  [1234567890, '005924'],
+  [2000000000, '279037'],
+  [20000000000, '353130']
+];
+
+console.log('Codes');
+check('The RFC secret encodes to the expected base32',
+  rfcSecret === 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', rfcSecret);
+for (const [time, expected] of vectors) {
+  const code = TwoFactorService.generateCode(rfcSecret, Math.floor(time / TwoFactorService.period));
+  check(`Code at ${time}s is ${expected}`, code === expected, `got ${code}`);
+}
+
+const secret = TwoFactorService.generateSecret();
+check('Secrets decode back to 20 bytes',
+  TwoFactorService.base32Decode(secret).length === 20 &&
+  TwoFactorService.base32Encode(TwoFactorService.base32Decode(secret)) === secret);
+check('Lowercase and spaced secrets decode the same',
+  TwoFactorService.base32Decode(secret.toLowerCase().replace(/(.{4})/g, '$1 ')).equals(TwoFactorService.base32Decode(secret)));
+
+console.log('Verification');
+// Pinned, so the checks cannot straddle the end of a step
+const step = TwoFactorService.getCurrentStep();
+TwoFactorService.getCurrentStep = () => step;
+const codeAt = offset => TwoFactorService.generateCode(secret, step + offset);
+check('The current code is accepted', TwoFactorService.verifyCode(secret, codeAt(0)) === step);
+check('A code one step old is accepted', TwoFactorService.verifyCode(secret, codeAt(-1)) === step - 1);
+check('A code one step ahead is accepted', TwoFactorService.verifyCode(secret, codeAt(1)) === step + 1);
+// Another step can produce the same code by chance, so only check when it differs
+const old = codeAt(-3);
+if (![-1, 0, 1].some(offset => codeAt(offset) === old)) {
+  check('A code three steps old is rejected', TwoFactorService.verifyCode(secret, old) === null);
+}
+check('Spaces in a code are ignored', TwoFactorService.verifyCode(secret, `${codeAt(0).slice(0, 3)} ${codeAt(0).slice(3)}`) === step);
+check('Malformed codes are rejected',
+  ['', '12345', '1234567', 'abcdef', null].every(code => TwoFactorService.verifyCode(secret, code) === null));
+
+console.log('Recovery codes');
+const { codes, hashes } = TwoFactorService.generateRecoveryCodes();
+check(`${TwoFactorService.recoveryCodeCount} recovery codes are generated`,
+  codes.length === TwoFactorService.recoveryCodeCount && new Set(codes).size === codes.length);
+check('Recovery codes look like xxxxx-xxxxx', codes.every(code => /^[0-9a-f]{5}-[0-9a-f]{5}$/.test(code)), codes[0]);
+check('Recovery codes are stored as their hashes',
+  codes.every((code, i) => TwoFactorService.hashRecoveryCode(code) === hashes[i] && hashes[i] !== code));
+check('Recovery codes match without the dash and in uppercase',
+  TwoFactorService.hashRecoveryCode(codes[0].replace('-', '').toUpperCase()) === hashes[0]);
+
+const uri = new URL(TwoFactorService.getOtpauthUri(secret, 'user@example.com'));
+check('The otpauth URI carries the secret and issuer',
+  uri.protocol === 'otpauth:' && uri.searchParams.get('secret') === secret &&
+  uri.searchParams.get('issuer') === TwoFactorService.issuer, uri.href);
+
+console.log('=========================================');
+console.log(failures === 0 ? '✅ All two-factor checks passed' : `❌ ${failures} two-factor check(s) failed`);
+process.exitCode = failures === 0 ? 0 : 1;
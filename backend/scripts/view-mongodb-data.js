@@ -21,8 +21,11 @@ const MONGODB_DB = process.env.MONGODB_DB || process.env.MONGO_DB || 'trakt-prox
 
 // Collection names and their descriptions
 const COLLECTIONS = [
-  { name: 'movies', description: 'Cached movie data from Trakt API' },
-  { name: 'shows', description: 'Cached TV show data from Trakt API' },
+  { name: 'movies', description: 'Movie catalog from Trakt API' },
+  { name: 'shows', description: 'TV show catalog from Trakt API' },
+  { name: 'seasons', description: 'TV season catalog from Trakt API' },
+  { name: 'episodes', description: 'TV episode catalog from Trakt API' },
+  { name: 'people', description: 'People catalog from Trakt API' },
   { name: 'movie_translations', description: 'Movie translations data' },
   { name: 'show_translations', description: 'TV show translations data' },
   { name: 'search_results', description: 'Cached search results' },